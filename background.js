@@ -8,31 +8,163 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  if (request.type === 'refine') {
+    handleRefine(request, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'feedback') {
+    handleFeedback(request, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'explainSearch') {
+    handleExplainSearch(request, sendResponse);
+    return true;
+  }
+
+  if (request.type === 'trialStatus') {
+    handleTrialStatus(sendResponse);
+    return true;
+  }
+
+  if (request.type === 'deviceInfo') {
+    getDeviceId()
+      .then((deviceId) => sendResponse({ ok: true, deviceId, deviceLabel: getDeviceLabel() }))
+      .catch((error) => sendResponse({ ok: false, error: error.message }));
+    return true;
+  }
+
   if (request.type === 'openUpgrade') {
     chrome.tabs.create({ url: PAYMENT_LINK });
     return false;
   }
 });
 
+// Anonymous install token for the free trial; the server tracks usage against it
+async function getTrialToken({ refresh = false } = {}) {
+  if (!refresh) {
+    const { trialToken } = await chrome.storage.local.get(['trialToken']);
+    if (trialToken) return trialToken;
+  }
+  const response = await fetch(`${BACKEND_URL}/api/trial/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.trialToken) {
+    throw new Error(data.error || 'Could not start free trial');
+  }
+  await chrome.storage.local.set({ trialToken: data.trialToken });
+  return data.trialToken;
+}
+
+// Random per-install ID; a paid license is activated on a limited number of these
+async function getDeviceId() {
+  const { deviceId } = await chrome.storage.local.get(['deviceId']);
+  if (deviceId) return deviceId;
+  const id = crypto.randomUUID();
+  await chrome.storage.local.set({ deviceId: id });
+  return id;
+}
+
+// "Chrome on Windows" - shown in the popup's device list
+function getDeviceLabel() {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\//.test(ua) ? 'Opera' : /Brave/.test(ua) ? 'Brave' : 'Chrome';
+  const os = /Windows/.test(ua) ? 'Windows'
+    : /Mac OS X/.test(ua) ? 'macOS'
+    : /CrOS/.test(ua) ? 'ChromeOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'unknown OS';
+  return `${browser} on ${os}`;
+}
+
+// Claims a seat for this install (keys activated before device tracking have none yet)
+async function registerDevice(licenseKey) {
+  const response = await fetch(`${BACKEND_URL}/api/validate-license`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ licenseKey, deviceId: await getDeviceId(), deviceLabel: getDeviceLabel() })
+  });
+  return response.json().catch(() => ({ valid: false }));
+}
+
+async function postApi(path, body) {
+  return fetch(`${BACKEND_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
 async function handleConvert(request, sendResponse) {
-  const { query, licenseKey, provider } = request;
+  const { query, licenseKey, explain, alternatives } = request;
+  const body = { query, licenseKey };
+  if (explain) body.explain = true;
+  if (alternatives > 1) body.alternatives = alternatives;
+  await callLicensedApi('/api/convert', body, sendResponse);
+}
+
+async function handleRefine(request, sendResponse) {
+  const { instruction, syntax, sessionId, licenseKey } = request;
+  await callLicensedApi('/api/refine', {
+    instruction,
+    syntax,
+    sessionId,
+    licenseKey
+  }, sendResponse);
+}
+
+// Thumbs up/down on a conversion, or the syntax the user searched instead of ours
+async function handleFeedback(request, sendResponse) {
+  const { conversionId, rating, correctedSyntax, source, licenseKey } = request;
+  await callLicensedApi('/api/feedback', {
+    conversionId,
+    rating,
+    correctedSyntax,
+    source,
+    licenseKey
+  }, sendResponse);
+}
+
+// POSTs a license-gated request, attaching the trial token or device ID and recovering once
+// from a stale trial token or an unregistered device
+async function callLicensedApi(path, body, sendResponse) {
+  const { licenseKey } = body;
 
   try {
-    const response = await fetch(`${BACKEND_URL}/api/convert`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query,
-        licenseKey,
-        provider: provider || 'openai'
-      })
-    });
+    if (licenseKey === 'FREE_TRIAL') body.trialToken = await getTrialToken();
+    else body.deviceId = await getDeviceId();
+
+    let response = await postApi(path, body);
+    let errorData = response.ok ? null : await response.json().catch(() => ({}));
+
+    // token unknown to the server (e.g. storage cleared) - get a fresh one and retry once
+    if (errorData?.code === 'TRIAL_TOKEN_REQUIRED' && licenseKey === 'FREE_TRIAL') {
+      body.trialToken = await getTrialToken({ refresh: true });
+      response = await postApi(path, body);
+      errorData = response.ok ? null : await response.json().catch(() => ({}));
+    }
+
+    // this install has no seat yet - claim one and retry once
+    if (errorData?.code === 'DEVICE_NOT_REGISTERED') {
+      const registration = await registerDevice(licenseKey);
+      if (registration.valid) {
+        response = await postApi(path, body);
+        errorData = response.ok ? null : await response.json().catch(() => ({}));
+      } else if (registration.code === 'DEVICE_LIMIT') {
+        errorData = { error: registration.error, code: registration.code };
+      }
+    }
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
       sendResponse({
         ok: false,
-        error: errorData.error || `Server error: ${response.status}`
+        error: errorData.error || `Server error: ${response.status}`,
+        code: errorData.code,
+        trial: errorData.trial
       });
       return;
     }
@@ -43,10 +175,41 @@ async function handleConvert(request, sendResponse) {
       data: data
     });
   } catch (error) {
-    console.error('Conversion error:', error);
+    console.error(`Request to ${path} failed:`, error);
     sendResponse({
       ok: false,
       error: error.message || 'Network error'
     });
   }
-}
\ No newline at end of file
+}
+
+// Plain-English description of a Scryfall query; paid users also get the model-polished wording
+async function handleExplainSearch(request, sendResponse) {
+  const { syntax, licenseKey } = request;
+  try {
+    const response = await postApi('/api/explain', {
+      syntax,
+      licenseKey,
+      polish: !!licenseKey
+    });
+    const data = await response.json().catch(() => ({}));
+    sendResponse(response.ok ? { ok: true, data } : { ok: false, error: data.error || `Server error: ${response.status}` });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message || 'Network error' });
+  }
+}
+
+async function handleTrialStatus(sendResponse) {
+  try {
+    const trialToken = await getTrialToken();
+    const response = await fetch(`${BACKEND_URL}/api/trial/status`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trialToken })
+    });
+    const data = await response.json().catch(() => ({}));
+    sendResponse(response.ok ? { ok: true, trial: data.trial } : { ok: false, error: data.error });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message || 'Network error' });
+  }
+}
@@ -3,6 +3,14 @@
   'use strict';
 
   const FREE_SEARCH_LIMIT = 5;
+  const ALTERNATIVES = 3;
+  // { sessionId, syntax } of the last refinement, so a chain of follow-ups shares one server session
+  const REFINE_SESSION_KEY = 'nlpRefineSession';
+  // { conversionId, syntax, submittedAt, landed } of the last converted search we submitted;
+  // a different q on a later results page means the user edited our syntax
+  const FEEDBACK_KEY = 'nlpPendingFeedback';
+  const FEEDBACK_WINDOW_MS = 30 * 60 * 1000;
+  let lastConversionId = null;
 
   function waitForSearchForm() {
     const searchForm = document.querySelector('form[action="/search"]');
@@ -46,16 +54,50 @@
           <button id="nlp-cancel" class="nlp-cancel-btn" type="button">
             Cancel
           </button>
+          <label class="nlp-explain-toggle" title="Show what each part of the search means before running it">
+            <input type="checkbox" id="nlp-explain"> Explain
+          </label>
+          <label class="nlp-explain-toggle" title="Offer other readings of ambiguous requests and let you pick one">
+            <input type="checkbox" id="nlp-alternatives"> Alternatives
+          </label>
         </div>
         <div id="nlp-usage" class="nlp-usage hidden"></div>
         <div id="nlp-result" class="nlp-result hidden"></div>
         <div id="nlp-error" class="nlp-error hidden"></div>
+        <div id="nlp-refine" class="nlp-refine hidden">
+          <label for="nlp-refine-input" class="nlp-label">
+            Refine <code id="nlp-refine-base" class="nlp-refine-base"></code>
+          </label>
+          <div class="nlp-actions">
+            <input
+              id="nlp-refine-input"
+              class="nlp-refine-input"
+              type="text"
+              placeholder="e.g., now only commander legal, drop the blue ones, cheaper"
+            >
+            <button id="nlp-refine-btn" class="nlp-cancel-btn" type="button">Refine</button>
+          </div>
+        </div>
       </div>
     `;
 
+    const explainButton = document.createElement('button');
+    explainButton.id = 'nlp-explain-search';
+    explainButton.type = 'button';
+    explainButton.textContent = '❓ Explain this search';
+    explainButton.className = 'nlp-toggle-btn nlp-explain-search-btn';
+
+    const explainPanel = document.createElement('div');
+    explainPanel.id = 'nlp-explain-panel';
+    explainPanel.className = 'nlp-explain-panel hidden';
+
     const searchContainer = searchInput.parentElement;
     searchContainer.appendChild(toggleButton);
+    searchContainer.appendChild(explainButton);
     searchContainer.appendChild(nlContainer);
+    searchContainer.appendChild(explainPanel);
+
+    explainButton.addEventListener('click', () => explainCurrentSearch(searchInput, explainPanel, explainButton));
 
     toggleButton.addEventListener('click', async () => {
       nlContainer.classList.toggle('hidden');
@@ -74,6 +116,34 @@
     });
 
     document.getElementById('nlp-convert').addEventListener('click', handleConvert);
+    document.getElementById('nlp-refine-btn').addEventListener('click', handleRefine);
+    document.getElementById('nlp-refine-input').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        handleRefine();
+      }
+    });
+
+    // on a results page the current search is what follow-ups refine
+    const currentQuery = new URLSearchParams(location.search).get('q');
+    if (currentQuery) showRefine(currentQuery);
+    checkSubmittedSearch(currentQuery, searchContainer);
+
+    const explainToggle = document.getElementById('nlp-explain');
+    chrome.storage.sync.get(['explainMode']).then(({ explainMode }) => {
+      explainToggle.checked = !!explainMode;
+    });
+    explainToggle.addEventListener('change', () => {
+      chrome.storage.sync.set({ explainMode: explainToggle.checked });
+    });
+
+    const alternativesToggle = document.getElementById('nlp-alternatives');
+    chrome.storage.sync.get(['alternativesMode']).then(({ alternativesMode }) => {
+      alternativesToggle.checked = !!alternativesMode;
+    });
+    alternativesToggle.addEventListener('change', () => {
+      chrome.storage.sync.set({ alternativesMode: alternativesToggle.checked });
+    });
 
     document.getElementById('nlp-input').addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -120,11 +190,30 @@
     }
   }
 
+  function showUpgradePrompt(errorDiv) {
+    errorDiv.innerHTML = `
+      You've used all 5 free searches! 🎉<br>
+      <a href="#" id="nlp-upgrade-error" style="color: #667eea; text-decoration: underline; font-weight: bold;">
+        Upgrade to unlimited for $4.99
+      </a>
+    `;
+    errorDiv.classList.remove('hidden');
+
+    setTimeout(() => {
+      document.getElementById('nlp-upgrade-error')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.sendMessage({ type: 'openUpgrade' });
+      });
+    }, 100);
+  }
+
   async function handleConvert() {
     const input = document.getElementById('nlp-input').value.trim();
     const resultDiv = document.getElementById('nlp-result');
     const errorDiv = document.getElementById('nlp-error');
     const convertBtn = document.getElementById('nlp-convert');
+    const explain = document.getElementById('nlp-explain').checked;
+    const alternatives = document.getElementById('nlp-alternatives').checked ? ALTERNATIVES : 1;
 
     if (!input) return;
 
@@ -136,20 +225,7 @@
     const count = searchCount || 0;
 
     if (!licenseKey && count >= FREE_SEARCH_LIMIT) {
-      errorDiv.innerHTML = `
-        You've used all 5 free searches! 🎉<br>
-        <a href="#" id="nlp-upgrade-error" style="color: #667eea; text-decoration: underline; font-weight: bold;">
-          Upgrade to unlimited for $4.99
-        </a>
-      `;
-      errorDiv.classList.remove('hidden');
-      
-      setTimeout(() => {
-        document.getElementById('nlp-upgrade-error')?.addEventListener('click', (e) => {
-          e.preventDefault();
-          chrome.runtime.sendMessage({ type: 'openUpgrade' });
-        });
-      }, 100);
+      showUpgradePrompt(errorDiv);
       return;
     }
 
@@ -161,33 +237,47 @@
         type: 'convert',
         query: input,
         licenseKey: licenseKey || 'FREE_TRIAL',
-        provider: 'openai'
+        explain,
+        alternatives
       });
 
+      if (resp?.code === 'TRIAL_EXHAUSTED') {
+        // server is the source of truth for the trial
+        await chrome.storage.sync.set({ searchCount: resp.trial?.limit ?? FREE_SEARCH_LIMIT });
+        await updateUsageDisplay();
+        showUpgradePrompt(errorDiv);
+        return;
+      }
+
       if (!resp || !resp.ok) {
         throw new Error(resp?.error || 'Conversion failed');
       }
 
       const syntax = resp.data?.syntax;
       if (!syntax) throw new Error('No syntax returned from backend');
+      lastConversionId = resp.data.conversionId || null;
 
+      const clauses = resp.data?.clauses;
+      const interpretations = resp.data?.interpretations || [];
       resultDiv.innerHTML = `
         <div class="nlp-result-label">Scryfall Syntax:</div>
-        <code class="nlp-syntax">${syntax}</code>
+        <code class="nlp-syntax"></code>
       `;
+      resultDiv.querySelector('.nlp-syntax').textContent = syntax;
+      if (explain && clauses?.length) renderExplanation(resultDiv, input, syntax, clauses);
+      if (interpretations.length > 1) renderInterpretations(resultDiv, interpretations);
       resultDiv.classList.remove('hidden');
+      showRefine(syntax);
 
-      // Increment search count
-      await chrome.storage.sync.set({ searchCount: count + 1 });
+      // Increment search count (trial users get the server's count back)
+      const trial = resp.data?.trial;
+      await chrome.storage.sync.set({ searchCount: trial ? trial.used : count + 1 });
       await updateUsageDisplay();
 
-      setTimeout(() => {
-        const searchInput = document.querySelector('input[name="q"]');
-        if (searchInput && searchInput.form) {
-          searchInput.value = syntax;
-          searchInput.form.submit();
-        }
-      }, 1000);
+      // explain mode waits for the user to read the breakdown; ambiguous queries wait for a pick
+      if (!(explain && clauses?.length) && interpretations.length <= 1) {
+        setTimeout(() => submitSearch(syntax), 1000);
+      }
     } catch (error) {
       errorDiv.textContent = error.message;
       errorDiv.classList.remove('hidden');
@@ -197,6 +287,347 @@
     }
   }
 
+  function showRefine(syntax) {
+    document.getElementById('nlp-refine-base').textContent = syntax;
+    document.getElementById('nlp-refine').classList.remove('hidden');
+  }
+
+  async function handleRefine() {
+    const refineInput = document.getElementById('nlp-refine-input');
+    const instruction = refineInput.value.trim();
+    const syntax = document.getElementById('nlp-refine-base').textContent;
+    const resultDiv = document.getElementById('nlp-result');
+    const errorDiv = document.getElementById('nlp-error');
+    const refineBtn = document.getElementById('nlp-refine-btn');
+
+    if (!instruction || !syntax) return;
+
+    resultDiv.classList.add('hidden');
+    errorDiv.classList.add('hidden');
+
+    const { licenseKey, searchCount } = await chrome.storage.sync.get(['licenseKey', 'searchCount']);
+    const count = searchCount || 0;
+
+    if (!licenseKey && count >= FREE_SEARCH_LIMIT) {
+      showUpgradePrompt(errorDiv);
+      return;
+    }
+
+    // only continue the stored session if it ended on the search being refined
+    let session = {};
+    try {
+      session = JSON.parse(sessionStorage.getItem(REFINE_SESSION_KEY) || '{}');
+    } catch {}
+
+    refineBtn.textContent = 'Refining...';
+    refineBtn.disabled = true;
+
+    try {
+      const resp = await chrome.runtime.sendMessage({
+        type: 'refine',
+        instruction,
+        syntax,
+        sessionId: session.syntax === syntax ? session.sessionId : undefined,
+        licenseKey: licenseKey || 'FREE_TRIAL'
+      });
+
+      if (resp?.code === 'TRIAL_EXHAUSTED') {
+        await chrome.storage.sync.set({ searchCount: resp.trial?.limit ?? FREE_SEARCH_LIMIT });
+        await updateUsageDisplay();
+        showUpgradePrompt(errorDiv);
+        return;
+      }
+
+      if (!resp || !resp.ok) {
+        throw new Error(resp?.error || 'Refinement failed');
+      }
+
+      const refined = resp.data.syntax;
+      sessionStorage.setItem(REFINE_SESSION_KEY, JSON.stringify({ sessionId: resp.data.sessionId, syntax: refined }));
+      // a refined search isn't the conversion any more; don't report it as an edit
+      lastConversionId = null;
+      sessionStorage.removeItem(FEEDBACK_KEY);
+
+      resultDiv.innerHTML = `
+        <div class="nlp-result-label">Refined Syntax:</div>
+        <code class="nlp-syntax"></code>
+      `;
+      resultDiv.querySelector('.nlp-syntax').textContent = refined;
+      resultDiv.classList.remove('hidden');
+      refineInput.value = '';
+      showRefine(refined);
+
+      const trial = resp.data.trial;
+      await chrome.storage.sync.set({ searchCount: trial ? trial.used : count + 1 });
+      await updateUsageDisplay();
+
+      setTimeout(() => submitSearch(refined), 1000);
+    } catch (error) {
+      errorDiv.textContent = error.message;
+      errorDiv.classList.remove('hidden');
+    } finally {
+      refineBtn.textContent = 'Refine';
+      refineBtn.disabled = false;
+    }
+  }
+
+  // "Explain this search": describes whatever is in Scryfall's own search box
+  async function explainCurrentSearch(searchInput, panel, button) {
+    const syntax = searchInput.value.trim() || new URLSearchParams(location.search).get('q') || '';
+    if (!syntax) {
+      panel.textContent = 'Type or paste a Scryfall search first.';
+      panel.classList.remove('hidden');
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Explaining...';
+    try {
+      const { licenseKey } = await chrome.storage.sync.get(['licenseKey']);
+      const resp = await chrome.runtime.sendMessage({ type: 'explainSearch', syntax, licenseKey });
+      if (!resp || !resp.ok) throw new Error(resp?.error || 'Could not explain this search');
+      renderSearchExplanation(panel, resp.data);
+    } catch (error) {
+      panel.textContent = error.message;
+      panel.classList.add('nlp-explain-panel-error');
+    } finally {
+      panel.classList.remove('hidden');
+      button.disabled = false;
+      button.textContent = '❓ Explain this search';
+    }
+  }
+
+  function renderSearchExplanation(panel, data) {
+    panel.classList.remove('nlp-explain-panel-error');
+    panel.textContent = '';
+
+    const code = document.createElement('code');
+    code.className = 'nlp-syntax';
+    code.textContent = data.syntax;
+
+    const summary = document.createElement('p');
+    summary.className = 'nlp-explain-summary';
+    summary.textContent = data.polished || data.description;
+
+    const list = document.createElement('ul');
+    list.className = 'nlp-explain-list';
+    for (const clause of data.clauses || []) {
+      const item = document.createElement('li');
+      const key = document.createElement('code');
+      key.textContent = clause.clause;
+      item.append(key, document.createTextNode(` — ${clause.description}`));
+      list.appendChild(item);
+    }
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'nlp-cancel-btn nlp-explain-close';
+    close.textContent = 'Close';
+    close.addEventListener('click', () => panel.classList.add('hidden'));
+
+    panel.append(code, summary);
+    if (data.polished) {
+      const literal = document.createElement('p');
+      literal.className = 'nlp-explain-literal';
+      literal.textContent = data.description;
+      panel.appendChild(literal);
+    }
+    if (data.unknownKeys?.length) {
+      const warning = document.createElement('p');
+      warning.className = 'nlp-explain-literal';
+      warning.textContent = `Unrecognized filters: ${data.unknownKeys.join(', ')}`;
+      panel.appendChild(warning);
+    }
+    panel.append(list, close);
+  }
+
+  // alternative: a "Did you mean" pick other than our answer, reported as the user's correction
+  // once its results load (see checkSubmittedSearch)
+  function submitSearch(syntax, { alternative = false } = {}) {
+    const searchInput = document.querySelector('input[name="q"]');
+    if (searchInput && searchInput.form) {
+      if (lastConversionId) {
+        sessionStorage.setItem(FEEDBACK_KEY, JSON.stringify({
+          conversionId: lastConversionId,
+          syntax,
+          alternative,
+          submittedAt: Date.now(),
+          landed: false
+        }));
+      }
+      searchInput.value = syntax;
+      searchInput.form.submit();
+    }
+  }
+
+  // Runs on every page with the search form. Landing on the results of a converted search asks
+  // for a rating; a later search with a different q within the window reports that q as the
+  // user's correction (once). A picked alternative is the correction itself: it's reported on
+  // landing, with no rating asked. Card pages (no q) leave the pending search alone.
+  function checkSubmittedSearch(currentQuery, searchContainer) {
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(FEEDBACK_KEY) || 'null');
+    } catch {}
+    if (!pending?.conversionId) return;
+    if (Date.now() - pending.submittedAt > FEEDBACK_WINDOW_MS) {
+      sessionStorage.removeItem(FEEDBACK_KEY);
+      return;
+    }
+    const q = (currentQuery || '').trim();
+    if (!q) return;
+
+    if (q === pending.syntax && pending.alternative) {
+      sessionStorage.removeItem(FEEDBACK_KEY);
+      sendFeedback({ conversionId: pending.conversionId, correctedSyntax: q, source: 'alternative' }).catch(() => {});
+      return;
+    }
+    if (q === pending.syntax) {
+      if (!pending.landed) {
+        sessionStorage.setItem(FEEDBACK_KEY, JSON.stringify({ ...pending, landed: true }));
+        renderFeedback(searchContainer, pending.conversionId);
+      }
+      return;
+    }
+    sessionStorage.removeItem(FEEDBACK_KEY);
+    if (pending.landed) sendFeedback({ conversionId: pending.conversionId, correctedSyntax: q, source: 'edit' });
+  }
+
+  async function sendFeedback(feedback) {
+    const { licenseKey } = await chrome.storage.sync.get(['licenseKey']);
+    return chrome.runtime.sendMessage({ type: 'feedback', ...feedback, licenseKey: licenseKey || 'FREE_TRIAL' });
+  }
+
+  // "Was this the search you wanted? 👍 👎" under the search box
+  function renderFeedback(container, conversionId) {
+    const bar = document.createElement('div');
+    bar.className = 'nlp-feedback';
+    const label = document.createElement('span');
+    label.textContent = 'Natural Language: was this the search you wanted?';
+    bar.appendChild(label);
+
+    for (const [rating, text, title] of [
+      ['up', '👍', 'Yes, this is what I meant'],
+      ['down', '👎', 'No - edit the search above to show what you meant']
+    ]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'nlp-feedback-btn';
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', async () => {
+        bar.querySelectorAll('button').forEach((b) => { b.disabled = true; });
+        const resp = await sendFeedback({ conversionId, rating, source: 'button' }).catch(() => null);
+        label.textContent = resp?.ok
+          ? rating === 'up' ? 'Thanks for the feedback!' : 'Thanks! Fix the search above and we\'ll learn from your edit.'
+          : 'Could not send feedback.';
+        bar.querySelectorAll('button').forEach((b) => b.remove());
+      });
+      bar.appendChild(btn);
+    }
+    container.appendChild(bar);
+  }
+
+  // Clause chips: syntax, what it means, and the words of the query it came from.
+  // Chips of one OR group are boxed together; hovering a chip highlights its words in the query.
+  function renderExplanation(resultDiv, query, syntax, clauses) {
+    const echo = document.createElement('div');
+    echo.className = 'nlp-query-echo';
+    const spans = clauses
+      .map((c, i) => (c.source ? { ...c.source, index: i } : null))
+      .filter(Boolean)
+      .sort((a, b) => a.start - b.start);
+    let pos = 0;
+    for (const span of spans) {
+      if (span.start < pos) continue; // shared span (e.g. t:creature with t:elf) - already marked
+      echo.appendChild(document.createTextNode(query.slice(pos, span.start)));
+      const mark = document.createElement('mark');
+      mark.textContent = query.slice(span.start, span.end);
+      mark.dataset.start = span.start;
+      echo.appendChild(mark);
+      pos = span.end;
+    }
+    echo.appendChild(document.createTextNode(query.slice(pos)));
+
+    const chips = document.createElement('div');
+    chips.className = 'nlp-chips';
+    const groups = new Map();
+    clauses.forEach((clause) => {
+      const chip = document.createElement('span');
+      chip.className = `nlp-chip${clause.negated ? ' nlp-chip-negated' : ''}${clause.source ? '' : ' nlp-chip-unsourced'}`;
+
+      const code = document.createElement('code');
+      code.textContent = clause.clause;
+      const desc = document.createElement('span');
+      desc.className = 'nlp-chip-desc';
+      desc.textContent = clause.description;
+      const source = document.createElement('span');
+      source.className = 'nlp-chip-source';
+      source.textContent = clause.source ? `from “${clause.source.text}”` : 'not from your words';
+      chip.append(code, desc, source);
+
+      if (clause.source) {
+        const mark = () => echo.querySelector(`mark[data-start="${clause.source.start}"]`);
+        chip.addEventListener('mouseenter', () => mark()?.classList.add('active'));
+        chip.addEventListener('mouseleave', () => mark()?.classList.remove('active'));
+      }
+
+      if (clause.orGroup === null || clause.orGroup === undefined) {
+        chips.appendChild(chip);
+        return;
+      }
+      let group = groups.get(clause.orGroup);
+      if (!group) {
+        group = document.createElement('span');
+        group.className = 'nlp-chip-group';
+        groups.set(clause.orGroup, group);
+        chips.appendChild(group);
+      } else {
+        const or = document.createElement('span');
+        or.className = 'nlp-chip-or';
+        or.textContent = 'or';
+        group.appendChild(or);
+      }
+      group.appendChild(chip);
+    });
+
+    const searchBtn = document.createElement('button');
+    searchBtn.type = 'button';
+    searchBtn.className = 'nlp-convert-btn nlp-search-btn';
+    searchBtn.textContent = 'Search';
+    searchBtn.addEventListener('click', () => submitSearch(syntax));
+
+    resultDiv.append(echo, chips, searchBtn);
+  }
+
+  // One button per reading of an ambiguous query, most likely first; clicking one searches it.
+  function renderInterpretations(resultDiv, interpretations) {
+    const label = document.createElement('div');
+    label.className = 'nlp-result-label nlp-pick-label';
+    label.textContent = 'Did you mean:';
+
+    const list = document.createElement('div');
+    list.className = 'nlp-picks';
+    for (const option of interpretations) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'nlp-pick';
+      const title = document.createElement('span');
+      title.className = 'nlp-pick-title';
+      title.textContent = option.label || option.syntax;
+      const confidence = document.createElement('span');
+      confidence.className = 'nlp-pick-confidence';
+      confidence.textContent = `${Math.round(option.confidence * 100)}%`;
+      const code = document.createElement('code');
+      code.textContent = option.syntax;
+      btn.append(title, confidence, code);
+      btn.addEventListener('click', () => submitSearch(option.syntax, { alternative: option.source !== 'primary' }));
+      list.appendChild(btn);
+    }
+
+    resultDiv.append(label, list);
+  }
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', waitForSearchForm);
   } else {
@@ -0,0 +1,73 @@
+// lib/cache.js — small in-memory LRU with per-entry TTL and hit/miss counters
+
+class LRUCache {
+  constructor({ max = 1000, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.map = new Map(); // key -> { value, expiresAt }
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    if (Date.now() >= entry.expiresAt) {
+      this.map.delete(key);
+      this.stats.misses++;
+      return undefined;
+    }
+    // refresh recency
+    this.map.delete(key);
+    this.map.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  // ttlMs <= 0 (e.g. what's left of an already expired entry) stores nothing
+  set(key, value, ttlMs = this.ttlMs) {
+    if (this.map.has(key)) this.map.delete(key);
+    if (!(ttlMs > 0)) return;
+    this.map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    this.stats.sets++;
+    while (this.map.size > this.max) {
+      this.map.delete(this.map.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  // removes every entry whose value matches `predicate`; returns the count removed
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of this.map) {
+      if (predicate(entry.value, key)) {
+        this.map.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    const size = this.map.size;
+    this.map.clear();
+    return size;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.map) if (now >= entry.expiresAt) this.map.delete(key);
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+module.exports = { LRUCache };
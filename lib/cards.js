@@ -0,0 +1,221 @@
+// lib/cards.js — card names in queries ("cards like Lightning Bolt", "my Atraxa deck")
+//
+// buildCardNameIndex() turns Scryfall's /catalog/card-names list into a lookup by normalized
+// words; each face of a double-faced card and the short name of a legend ("Atraxa" for
+// "Atraxa, Praetors' Voice") are indexed too. findCardNames() finds the longest names in a query.
+// A name made only of everyday Magic words ("Giant Spider", "Counterspell", "Lifelink") only
+// counts when the query points at a card: quotes, capitals, "like X", "my X deck", "X's ...".
+// cardFacts() reduces a Scryfall card object to what the prompt needs. All pure; server.js
+// owns fetching and caching.
+
+const {
+  COLORS,
+  COLOR_GROUPS,
+  COLOR_WORDS,
+  CARD_TYPES,
+  SUPERTYPES,
+  OTHER_SUBTYPES,
+  KEYWORDS,
+  FORMATS,
+  FUNCTION_TAGS,
+  toCreatureType,
+} = require('./vocabulary');
+
+const WORD_RE = /[a-z0-9\u00c0-\u024f]+(?:['’][a-z\u00c0-\u024f]+)*/gi;
+
+const STOP_WORDS = [
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'but', 'with', 'from', 'at', 'by',
+  'into', 'my', 'your', 'all', 'each', 'any', 'no', 'not', 'one', 'two', 'three', 'four', 'five',
+  'card', 'cards', 'spell', 'spells', 'deck', 'mana', 'cost', 'life', 'damage', 'draw', 'target',
+  'token', 'tokens', 'counter', 'counters', 'cheap', 'big', 'small', 'new', 'old', 'good', 'best',
+];
+
+const COMMON_WORDS = new Set([
+  ...STOP_WORDS,
+  ...Object.keys(COLORS),
+  ...COLOR_GROUPS,
+  ...COLOR_WORDS,
+  ...CARD_TYPES,
+  ...SUPERTYPES,
+  ...OTHER_SUBTYPES,
+  ...FORMATS,
+  ...KEYWORDS.flatMap((k) => k.split(' ')),
+  ...FUNCTION_TAGS.flatMap((t) => t.split('-')),
+]);
+
+// words right before / after a name that say "this is a card"
+const CUE_BEFORE = /(?:\blike|\bunlike|\bsimilar to|\bthan|\bmy|\balongside|\binstead of|\breplacements? for|\bbesides)\s*$/;
+const CUE_AFTER = /^\s*(?:decks?|commander|combos?|synerg(?:y|ies)|colou?r identity|colou?rs)\b/;
+
+// Scryfall color order, lowercased as the syntax uses it
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+// oracle-text patterns behind the function: tags the prompt recommends (a rough guide, not tagger data)
+const FUNCTION_PATTERNS = [
+  ['burn', /deals? (?:\d+|x) damage to (?:any target|target (?:creature|player|opponent|planeswalker))/],
+  ['removal', /(?:destroy|exile) target (?:\w+ )?(?:creature|permanent|artifact|enchantment|planeswalker)|deals? (?:\d+|x) damage to (?:any target|target creature)/],
+  ['board-wipe', /(?:destroy|exile) all (?:\w+ )?(?:creatures|permanents)|all creatures get -\d+\/-\d+/],
+  ['counterspell', /counter target (?:\w+ )?spell/],
+  ['draw', /draws? (?:a|an|two|three|four|x|\d+) (?:additional )?cards?/],
+  ['tutor', /search your library for (?:a|an|up to \w+) (?!basic land)/],
+  ['lifegain', /gains? (?:\d+|x) life|you gain life/],
+  ['bounce', /return target (?:\w+ )*?(?:creature|permanent)[^.]* to (?:its|their) owner's hand/],
+  ['reanimate', /return target creature card from (?:a|your) graveyard to the battlefield|put target creature card from a graveyard onto the battlefield/],
+  ['recursion', /return target (?:\w+ )*?card from your graveyard to your hand/],
+  ['discard', /target (?:player|opponent) discards/],
+  ['mill', /mills? (?:\w+ )?cards?/],
+  ['token-generator', /create (?:a|an|one|two|three|four|x|\d+|that many) [^.]*tokens?/],
+  ['sacrifice-outlet', /sacrifice (?:a|an|another) (?:creature|permanent|artifact)[^.:]*:/],
+  ['edict', /(?:each|target) (?:player|opponent) sacrifices a creature/],
+  ['fog', /prevent all combat damage/],
+  ['extra-turn', /take an extra turn/],
+  ['graveyard-hate', /exile (?:target player's|each opponent's|all cards from all) graveyards?/],
+  ['anthem', /creatures you control get \+\d+\/\+\d+/],
+  ['tapper', /tap target creature/],
+];
+
+function normWord(word) {
+  return word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]s$/, '')
+    .replace(/['’]/g, '');
+}
+
+function wordsOf(text) {
+  return [...String(text).matchAll(WORD_RE)].map((m) => ({
+    raw: m[0],
+    word: normWord(m[0]),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+function normName(name) {
+  return wordsOf(name).map((w) => w.word).join(' ');
+}
+
+function isCommonWord(word) {
+  return COMMON_WORDS.has(word) || COMMON_WORDS.has(word.replace(/e?s$/, '')) || !!toCreatureType(word);
+}
+
+// Scryfall /catalog/card-names `data` -> { byKey: Map(normalized words -> [{ name, short }]), maxWords, size }
+function buildCardNameIndex(names = []) {
+  const byKey = new Map();
+  let maxWords = 1;
+  const add = (alias, name, short) => {
+    const key = normName(alias);
+    if (!key) return;
+    const entries = byKey.get(key) || [];
+    if (!entries.some((e) => e.name === name)) entries.push({ name, short });
+    byKey.set(key, entries);
+    maxWords = Math.max(maxWords, key.split(' ').length);
+  };
+  for (const name of names) {
+    for (const face of String(name).split(' // ')) {
+      add(face, name, false);
+      if (/^the /i.test(face)) add(face.slice(4), name, false);
+      const comma = face.indexOf(',');
+      if (comma > 0) add(face.slice(0, comma), name, true);
+    }
+  }
+  return { byKey, maxWords, size: names.length };
+}
+
+function pointsAtCard(query, words, i, n) {
+  const first = words[i];
+  const last = words[i + n - 1];
+  const before = query.slice(0, first.start);
+  const after = query.slice(last.end);
+  if (/["“]\s*$/.test(before) && /^\s*["”]/.test(after)) return true;
+  if (CUE_BEFORE.test(before.toLowerCase()) || CUE_AFTER.test(after.toLowerCase())) return true;
+  if (/['’]s$/i.test(last.raw)) return true;
+  // capitalized mid-sentence ("creatures like Sol Ring"); the first word of a query proves nothing
+  const span = words.slice(i, i + n);
+  if (i > 0 && span.every((w) => /^[A-Z0-9\u00c0-\u00dd]/.test(w.raw) || STOP_WORDS.includes(w.word))) return true;
+  return n > 1 && span.some((w) => !isCommonWord(w.word));
+}
+
+// Card names mentioned in `query`, longest first at each position:
+// [{ text, start, end, names }] — `names` has several entries when a short name is ambiguous
+// ("Sheoldred"). `exclude` spans (e.g. set filters) are skipped.
+function findCardNames(index, query, { exclude = [], limit = 3 } = {}) {
+  if (!index?.byKey?.size) return [];
+  const text = String(query || '');
+  const words = wordsOf(text).filter((w) => !exclude.some((f) => w.start < f.end && w.end > f.start));
+  const mentions = [];
+  for (let i = 0; i < words.length && mentions.length < limit;) {
+    let hit = null;
+    for (let n = Math.min(index.maxWords, words.length - i); n >= 1 && !hit; n--) {
+      // excluded words leave gaps; a name can't span one
+      if (words.slice(i + 1, i + n).some((w, k) => /[^\s,'’:/-]/.test(text.slice(words[i + k].end, w.start)))) continue;
+      const entries = index.byKey.get(words.slice(i, i + n).map((w) => w.word).join(' '));
+      if (entries && pointsAtCard(text, words, i, n)) hit = { n, entries };
+    }
+    if (!hit) {
+      i++;
+      continue;
+    }
+    const full = hit.entries.filter((e) => !e.short);
+    const start = words[i].start;
+    const end = words[i + hit.n - 1].end;
+    mentions.push({ text: text.slice(start, end), start, end, names: (full.length ? full : hit.entries).map((e) => e.name) });
+    i += hit.n;
+  }
+  return mentions;
+}
+
+function colorLetters(colors = []) {
+  const letters = COLOR_ORDER.filter((c) => colors.includes(c)).join('').toLowerCase();
+  return letters || 'c';
+}
+
+function inferFunctionTags(oracleText = '', typeLine = '') {
+  const text = oracleText.toLowerCase();
+  const tags = FUNCTION_PATTERNS.filter(([, re]) => re.test(text)).map(([tag]) => tag);
+  const makesMana = /\{t\}: add \{|\{t\}: add one mana|\{t\}: add \w+ mana/.test(text);
+  if (makesMana && /\bartifact\b/i.test(typeLine) && !/\bcreature\b/i.test(typeLine)) tags.push('mana-rock');
+  if (makesMana && /\bcreature\b/i.test(typeLine)) tags.push('mana-dork');
+  if ((makesMana && !/\bland\b/i.test(typeLine)) || /search your library for (?:a|up to \w+) basic land/.test(text)) tags.push('ramp');
+  return tags;
+}
+
+// Scryfall card object -> the facts a prompt can ground on
+function cardFacts(card) {
+  const faces = card.card_faces || [];
+  const oracleText = card.oracle_text ?? faces.map((f) => f.oracle_text || '').join('\n');
+  return {
+    name: card.name,
+    typeLine: card.type_line || faces.map((f) => f.type_line).join(' // '),
+    manaCost: card.mana_cost || faces[0]?.mana_cost || '',
+    mv: card.cmc ?? 0,
+    colors: colorLetters(card.colors ?? faces.flatMap((f) => f.colors || [])),
+    colorIdentity: colorLetters(card.color_identity),
+    powerToughness: card.power != null ? `${card.power}/${card.toughness}` : null,
+    keywords: card.keywords || [],
+    functions: inferFunctionTags(oracleText, card.type_line || ''),
+  };
+}
+
+// one prompt line per card
+function describeCardFacts(f) {
+  return [
+    `${f.name} — ${f.typeLine}`,
+    `mana cost ${f.manaCost || 'none'} (mv ${f.mv})`,
+    `colors ${f.colors}`,
+    `color identity ${f.colorIdentity}`,
+    f.powerToughness && `${f.powerToughness}`,
+    f.keywords.length && `keywords ${f.keywords.join(', ').toLowerCase()}`,
+    f.functions.length && `likely function: ${f.functions.join(', ')}`,
+  ].filter(Boolean).join('; ');
+}
+
+module.exports = {
+  buildCardNameIndex,
+  findCardNames,
+  inferFunctionTags,
+  cardFacts,
+  describeCardFacts,
+  normName,
+};
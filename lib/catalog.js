@@ -0,0 +1,214 @@
+// lib/catalog.js — remote reference data (Scryfall's set list, ...) served from local snapshots
+//
+// get() only waits on the network when nothing at all is loaded. Past the TTL the current
+// snapshot keeps being served while one background refresh runs (stale-while-revalidate), and
+// refreshes are conditional (If-None-Match / If-Modified-Since), so an unchanged list is a 304.
+// Data comes from, in order:
+//   memory -> snapshot store (Postgres row or JSON file) -> live fetch
+// With `file` set the catalog reads only that file (fixtures, offline development).
+//
+// Snapshots are { payload, etag, lastModified, fetchedAt }. Stores implement:
+//   load(name) -> snapshot | null
+//   save(name, snapshot)
+
+const fs = require('fs');
+const path = require('path');
+
+const RETRY_MS = Number(process.env.CATALOG_RETRY_MS ?? 5 * 60 * 1000); // after a failed refresh
+
+function createPostgresSnapshotStore(pool) {
+  return {
+    name: 'postgres',
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS catalog_snapshots (
+          name VARCHAR(64) PRIMARY KEY,
+          payload JSONB NOT NULL,
+          etag TEXT,
+          last_modified TEXT,
+          fetched_at TIMESTAMP NOT NULL
+        )
+      `);
+    },
+    async load(name) {
+      const result = await pool.query(
+        'SELECT payload, etag, last_modified, fetched_at FROM catalog_snapshots WHERE name = $1',
+        [name]
+      );
+      const row = result.rows[0];
+      return row
+        ? { payload: row.payload, etag: row.etag, lastModified: row.last_modified, fetchedAt: row.fetched_at }
+        : null;
+    },
+    async save(name, snapshot) {
+      await pool.query(
+        `INSERT INTO catalog_snapshots (name, payload, etag, last_modified, fetched_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO UPDATE SET payload = $2, etag = $3, last_modified = $4, fetched_at = $5`,
+        [name, JSON.stringify(snapshot.payload), snapshot.etag, snapshot.lastModified, snapshot.fetchedAt]
+      );
+    },
+  };
+}
+
+// one <name>.json per catalog under `dir`
+function createFileSnapshotStore(dir) {
+  const fileFor = (name) => path.join(dir, `${name}.json`);
+  return {
+    name: 'file',
+    async load(name) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(name), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async save(name, snapshot) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${fileFor(name)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+      await fs.promises.rename(tmp, fileFor(name));
+    },
+  };
+}
+
+// `extract(json)` picks what to keep from the response (the snapshot payload);
+// `transform(payload)` builds the in-memory value get() returns.
+function createCatalog({
+  name,
+  url,
+  ttlMs,
+  store = null,
+  file = null,
+  fetchImpl = fetch,
+  extract = (json) => json,
+  transform = (payload) => payload,
+}) {
+  const state = {
+    data: null,
+    payload: null,
+    etag: null,
+    lastModified: null,
+    fetchedAt: 0,
+    source: null,
+    lastError: null,
+    retryAt: 0,
+  };
+  let loading = null;
+  let refreshing = null;
+
+  function use(snapshot, source) {
+    state.data = transform(snapshot.payload);
+    state.payload = snapshot.payload;
+    state.etag = snapshot.etag || null;
+    state.lastModified = snapshot.lastModified || null;
+    state.fetchedAt = snapshot.fetchedAt ? new Date(snapshot.fetchedAt).getTime() : 0;
+    state.source = source;
+  }
+
+  async function readJson(filePath) {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  }
+
+  async function loadLocal() {
+    if (file) {
+      const { mtime } = await fs.promises.stat(file);
+      use({ payload: extract(await readJson(file)), fetchedAt: mtime }, 'file');
+      return;
+    }
+    const stored = store ? await store.load(name).catch((error) => {
+      console.warn(`Catalog ${name}: snapshot store (${store.name}) unreadable: ${error.message}`);
+      return null;
+    }) : null;
+    if (stored?.payload) use(stored, 'snapshot');
+  }
+
+  async function fetchLive() {
+    const headers = {};
+    if (state.payload && state.etag) headers['If-None-Match'] = state.etag;
+    if (state.payload && state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+    try {
+      const resp = await fetchImpl(url, { headers });
+      let snapshot;
+      if (resp.status === 304 && state.payload) {
+        snapshot = { payload: state.payload, etag: state.etag, lastModified: state.lastModified };
+      } else if (resp.ok) {
+        snapshot = {
+          payload: extract(await resp.json()),
+          etag: resp.headers.get('etag'),
+          lastModified: resp.headers.get('last-modified'),
+        };
+      } else {
+        throw new Error(`${url} responded ${resp.status}`);
+      }
+      snapshot.fetchedAt = new Date().toISOString();
+      if (resp.status === 304) state.fetchedAt = Date.now();
+      else use(snapshot, 'live');
+      state.lastError = null;
+      if (store) {
+        await store.save(name, snapshot).catch((error) => {
+          console.warn(`Catalog ${name}: could not save snapshot: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      state.lastError = { message: error.message, at: new Date().toISOString() };
+      state.retryAt = Date.now() + RETRY_MS;
+      throw error;
+    }
+  }
+
+  // single-flight; with `file` set this just re-reads the file
+  function refresh() {
+    if (!refreshing) {
+      refreshing = (file ? loadLocal() : fetchLive()).finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  function isStale() {
+    return !file && Date.now() - state.fetchedAt > ttlMs;
+  }
+
+  // Resolves with the catalog. Rejects only when there is no snapshot anywhere and the live
+  // fetch fails too.
+  async function get() {
+    if (!state.data) {
+      if (!loading) loading = loadLocal().finally(() => { loading = null; });
+      await loading;
+    }
+    if (!state.data) {
+      // nothing to serve: fail fast until the retry delay after a failed fetch has passed
+      if (Date.now() < state.retryAt) throw new Error(state.lastError.message);
+      await refresh();
+      return state.data;
+    }
+    if (isStale() && !refreshing && Date.now() >= state.retryAt) {
+      refresh().catch((error) => console.warn(`Catalog ${name}: background refresh failed: ${error.message}`));
+    }
+    return state.data;
+  }
+
+  // whatever is loaded right now, without touching disk or network
+  function peek() {
+    return state.data;
+  }
+
+  function status() {
+    return {
+      source: state.source,
+      entries: state.data?.length ?? state.data?.size ?? null,
+      fetchedAt: state.fetchedAt ? new Date(state.fetchedAt).toISOString() : null,
+      ageSeconds: state.fetchedAt ? Math.round((Date.now() - state.fetchedAt) / 1000) : null,
+      stale: !!state.data && isStale(),
+      refreshing: !!refreshing,
+      lastError: state.lastError,
+    };
+  }
+
+  return { name, get, peek, refresh, status };
+}
+
+module.exports = { createCatalog, createPostgresSnapshotStore, createFileSnapshotStore };
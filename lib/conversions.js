@@ -0,0 +1,204 @@
+// lib/conversions.js — one row per /api/convert request, and the aggregates /admin/stats shows
+//
+// Rows keep the query, the syntax returned, who answered (provider/model, or rules / cache),
+// latency, token usage, how the set was resolved (explicit / single / candidates / none) and the
+// class of any model failure, plus the provider attempts behind it and the ids and scores of the
+// similar examples put in the prompt (lib/examples.js). Options:
+//   retentionDays   rows older than this are deleted by purgeExpired() (0 = keep forever)
+//   queries         'full' keeps the query text; 'hash' keeps only a SHA-256 of the normalized
+//                   query, which still groups identical queries for the top-queries list
+
+const crypto = require('crypto');
+
+function hashQuery(queryNorm) {
+  return crypto.createHash('sha256').update(queryNorm).digest('hex');
+}
+
+const int = (v) => (v == null ? null : Number(v));
+
+function createConversionLog(pool, { retentionDays = 90, queries = 'full' } = {}) {
+  const storeText = queries !== 'hash';
+
+  return {
+    retentionDays,
+    queries: storeText ? 'full' : 'hash',
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS conversions (
+          id UUID PRIMARY KEY,
+          requester VARCHAR(255) NOT NULL,
+          query TEXT,
+          query_hash CHAR(64) NOT NULL,
+          syntax TEXT,
+          provider VARCHAR(64),
+          model VARCHAR(128),
+          prompt_version VARCHAR(64),
+          outcome VARCHAR(16) NOT NULL,
+          cache_hit BOOLEAN NOT NULL DEFAULT false,
+          set_path VARCHAR(16),
+          error_class VARCHAR(64),
+          latency_ms INTEGER NOT NULL,
+          input_tokens INTEGER,
+          output_tokens INTEGER,
+          attempts JSONB,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query('ALTER TABLE conversions ADD COLUMN IF NOT EXISTS examples JSONB');
+      await pool.query('CREATE INDEX IF NOT EXISTS conversions_created_idx ON conversions (created_at)');
+      await pool.query('CREATE INDEX IF NOT EXISTS conversions_requester_idx ON conversions (requester, created_at)');
+    },
+
+    // entry: { id, requester, query, queryNorm, syntax, provider, model, promptVersion, outcome,
+    //          setPath, error, latencyMs, usage, attempts, examples }
+    async record(entry) {
+      await pool.query(
+        `INSERT INTO conversions (id, requester, query, query_hash, syntax, provider, model, prompt_version,
+           outcome, cache_hit, set_path, error_class, latency_ms, input_tokens, output_tokens, attempts, examples)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+        [
+          entry.id,
+          entry.requester,
+          storeText ? entry.query : null,
+          hashQuery(entry.queryNorm),
+          entry.syntax ?? null,
+          entry.provider ?? null,
+          entry.model ?? null,
+          entry.promptVersion ?? null,
+          entry.outcome,
+          entry.outcome === 'cache',
+          entry.setPath ?? null,
+          entry.error ?? null,
+          Math.round(entry.latencyMs),
+          entry.usage?.inputTokens ?? null,
+          entry.usage?.outputTokens ?? null,
+          JSON.stringify((entry.attempts || []).map(({ provider, ok, ms }) => ({ provider, ok, ms }))),
+          JSON.stringify((entry.examples || []).map(({ id, score }) => ({ id, score }))),
+        ]
+      );
+    },
+
+    async get(id) {
+      const result = await pool.query('SELECT * FROM conversions WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    // aggregates over the last `days`; `limit` caps the top-queries and heaviest-licenses lists
+    async stats({ days = 30, limit = 10 } = {}) {
+      const since = `${Number(days)} days`;
+      const [daily, latency, byOutcome, errors, providers, top, heaviest] = await Promise.all([
+        pool.query(
+          `SELECT to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day,
+                  COUNT(*) AS requests,
+                  COUNT(*) FILTER (WHERE outcome = 'error') AS errors,
+                  COUNT(*) FILTER (WHERE cache_hit) AS cache_hits,
+                  COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                  COALESCE(SUM(output_tokens), 0) AS output_tokens
+             FROM conversions WHERE created_at > NOW() - $1::interval
+            GROUP BY 1 ORDER BY 1`,
+          [since]
+        ),
+        pool.query(
+          `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+                  percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+             FROM conversions WHERE created_at > NOW() - $1::interval`,
+          [since]
+        ),
+        pool.query(
+          `SELECT outcome, COUNT(*) AS requests,
+                  percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+                  percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+             FROM conversions WHERE created_at > NOW() - $1::interval
+            GROUP BY outcome ORDER BY requests DESC`,
+          [since]
+        ),
+        pool.query(
+          `SELECT error_class, COUNT(*) AS count
+             FROM conversions WHERE created_at > NOW() - $1::interval AND error_class IS NOT NULL
+            GROUP BY error_class ORDER BY count DESC`,
+          [since]
+        ),
+        // every provider call counts: a failover is a failure for the provider that was skipped,
+        // and syntax that didn't validate is a failure for the provider that wrote it
+        pool.query(
+          `SELECT a->>'provider' AS provider,
+                  COUNT(*) AS calls,
+                  COUNT(*) FILTER (WHERE NOT (a->>'ok')::boolean) AS failures,
+                  COUNT(*) FILTER (WHERE (a->>'ok')::boolean AND c.error_class = 'INVALID_SYNTAX') AS invalid
+             FROM conversions c, jsonb_array_elements(c.attempts) a
+            WHERE c.created_at > NOW() - $1::interval
+            GROUP BY 1 ORDER BY calls DESC`,
+          [since]
+        ),
+        pool.query(
+          `SELECT query_hash, MAX(query) AS query, COUNT(*) AS requests
+             FROM conversions WHERE created_at > NOW() - $1::interval
+            GROUP BY query_hash ORDER BY requests DESC LIMIT $2`,
+          [since, limit]
+        ),
+        pool.query(
+          `SELECT requester, COUNT(*) AS requests,
+                  COUNT(*) FILTER (WHERE outcome = 'model') AS model_calls,
+                  COALESCE(SUM(input_tokens), 0) + COALESCE(SUM(output_tokens), 0) AS tokens
+             FROM conversions WHERE created_at > NOW() - $1::interval
+            GROUP BY requester ORDER BY requests DESC LIMIT $2`,
+          [since, limit]
+        ),
+      ]);
+
+      const total = daily.rows.reduce((sum, r) => sum + Number(r.requests), 0);
+      const failed = daily.rows.reduce((sum, r) => sum + Number(r.errors), 0);
+      return {
+        days: Number(days),
+        requests: total,
+        errorRate: total ? Number((failed / total).toFixed(4)) : 0,
+        latencyMs: { p50: int(latency.rows[0]?.p50), p95: int(latency.rows[0]?.p95) },
+        perDay: daily.rows.map((r) => ({
+          day: r.day,
+          requests: Number(r.requests),
+          errors: Number(r.errors),
+          cacheHits: Number(r.cache_hits),
+          inputTokens: Number(r.input_tokens),
+          outputTokens: Number(r.output_tokens),
+        })),
+        byOutcome: byOutcome.rows.map((r) => ({
+          outcome: r.outcome,
+          requests: Number(r.requests),
+          latencyMs: { p50: int(r.p50), p95: int(r.p95) },
+        })),
+        errors: errors.rows.map((r) => ({ errorClass: r.error_class, count: Number(r.count) })),
+        providers: providers.rows.map((r) => {
+          const calls = Number(r.calls);
+          const bad = Number(r.failures) + Number(r.invalid);
+          return {
+            provider: r.provider,
+            calls,
+            failures: Number(r.failures),
+            invalid: Number(r.invalid),
+            errorRate: calls ? Number((bad / calls).toFixed(4)) : 0,
+          };
+        }),
+        topQueries: top.rows.map((r) => ({ query: r.query, queryHash: r.query_hash, requests: Number(r.requests) })),
+        heaviestLicenses: heaviest.rows.map((r) => ({
+          requester: r.requester,
+          requests: Number(r.requests),
+          modelCalls: Number(r.model_calls),
+          tokens: Number(r.tokens),
+        })),
+      };
+    },
+
+    // deletes rows past the retention period; returns how many
+    async purgeExpired() {
+      if (!retentionDays) return 0;
+      const result = await pool.query(
+        'DELETE FROM conversions WHERE created_at < NOW() - $1::interval',
+        [`${Number(retentionDays)} days`]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = { createConversionLog, hashQuery };
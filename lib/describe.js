@@ -0,0 +1,608 @@
+// lib/describe.js — plain-English descriptions of Scryfall clauses, alignment of each clause
+// with the words of the user's query that produced it (explain mode), and whole-query
+// descriptions for pasted syntax (/api/explain)
+
+const {
+  COLORS,
+  SUPERTYPES,
+  CARD_TYPES,
+  OTHER_SUBTYPES,
+  singularize,
+  toCreatureType,
+} = require('./vocabulary');
+const { KEY_SPECS, KEY_ALIASES, parseQuery, formatQuery, walk } = require('./syntax');
+
+const COLOR_NAMES = Object.fromEntries(Object.entries(COLORS).map(([name, letter]) => [letter, name]));
+
+const COLOR_GROUP_LETTERS = {
+  azorius: 'wu', dimir: 'ub', rakdos: 'br', gruul: 'rg', selesnya: 'gw',
+  orzhov: 'wb', izzet: 'ur', golgari: 'bg', boros: 'rw', simic: 'gu',
+  bant: 'gwu', esper: 'wub', grixis: 'ubr', jund: 'brg', naya: 'rgw',
+  abzan: 'wbg', jeskai: 'urw', sultai: 'bgu', mardu: 'rwb', temur: 'gur',
+  silverquill: 'wb', prismari: 'ur', witherbloom: 'bg', lorehold: 'rw', quandrix: 'gu',
+};
+
+const RARITY_NAMES = {
+  c: 'common', common: 'common',
+  u: 'uncommon', uncommon: 'uncommon',
+  r: 'rare', rare: 'rare',
+  m: 'mythic rare', mythic: 'mythic rare',
+  s: 'special', special: 'special',
+  b: 'bonus', bonus: 'bonus',
+};
+
+const FORMAT_NAMES = {
+  paupercommander: 'Pauper Commander',
+  historicbrawl: 'Historic Brawl',
+  standardbrawl: 'Standard Brawl',
+  oldschool: 'Old School',
+  premodern: 'Premodern',
+  predh: 'PreDH',
+  oathbreaker: 'Oathbreaker',
+};
+
+const NUMERIC_LABELS = {
+  mv: 'mana value',
+  pow: 'power',
+  tou: 'toughness',
+  pt: 'power plus toughness',
+  loy: 'starting loyalty',
+  def: 'defense',
+  cn: 'collector number',
+  usd: 'price',
+  eur: 'price',
+  tix: 'price',
+  prints: 'number of printings',
+  sets: 'number of sets printed in',
+};
+
+const CURRENCY = { usd: '$', eur: '€', tix: '' };
+
+const IS_PHRASES = {
+  commander: 'can be your commander',
+  spell: 'is a spell',
+  permanent: 'is a permanent',
+  historic: 'is historic',
+  vanilla: 'has no abilities',
+  dfc: 'is double-faced',
+  mdfc: 'is a modal double-faced card',
+  split: 'is a split card',
+  flip: 'is a flip card',
+  transform: 'transforms',
+  meld: 'melds',
+  reprint: 'is a reprint',
+  new: 'is a new card',
+  firstprint: 'is a first printing',
+  promo: 'is a promo',
+  foil: 'comes in foil',
+  nonfoil: 'comes in non-foil',
+  fullart: 'is full art',
+  funny: 'is from an Un-set or other funny product',
+  reserved: 'is on the Reserved List',
+  gamechanger: 'is a Game Changer',
+  modal: 'has modal choices',
+  party: 'is a party creature type',
+  outlaw: 'is an outlaw',
+  fetchland: 'is a fetch land',
+  shockland: 'is a shock land',
+  dual: 'is an original dual land',
+  bounceland: 'is a bounce land',
+  checkland: 'is a check land',
+  fastland: 'is a fast land',
+  painland: 'is a pain land',
+  triome: 'is a triome',
+};
+
+const ORDER_NAMES = {
+  name: 'name',
+  set: 'set',
+  released: 'release date',
+  rarity: 'rarity',
+  color: 'color',
+  usd: 'price (USD)',
+  eur: 'price (EUR)',
+  tix: 'price (tix)',
+  cmc: 'mana value',
+  mv: 'mana value',
+  power: 'power',
+  toughness: 'toughness',
+  edhrec: 'EDHREC popularity',
+  penny: 'Penny Dreadful popularity',
+  artist: 'artist',
+  review: 'set review order',
+};
+
+const TYPE_WORDS = new Set([...CARD_TYPES, ...OTHER_SUBTYPES]);
+const SUPERTYPE_SET = new Set(SUPERTYPES);
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const article = (word) => (/^[aeiou]/i.test(word) ? 'an' : 'a');
+
+function listWords(words, joiner = 'and') {
+  if (words.length <= 1) return words.join('');
+  return `${words.slice(0, -1).join(', ')} ${joiner} ${words[words.length - 1]}`;
+}
+
+// "ub" -> ["blue", "black"]; "esper" -> ["white", "blue", "black"]; null if unrecognised
+function colorList(value) {
+  const v = String(value).toLowerCase();
+  const letters = COLOR_GROUP_LETTERS[v] || (COLORS[v] ? COLORS[v] : v);
+  if (!/^[wubrg]+$/.test(letters)) return null;
+  return [...letters].map((l) => COLOR_NAMES[l]);
+}
+
+function describeColor(key, op, value) {
+  const v = String(value).toLowerCase();
+  const subject = key === 'id' ? 'color identity' : key === 'produces' ? 'produces' : 'color';
+  if (v === 'c' || v === 'colorless') {
+    return key === 'produces' ? 'produces colorless mana' : key === 'id' ? 'has a colorless color identity' : 'is colorless';
+  }
+  if (v === 'm' || v === 'multicolor' || v === 'multicolored') {
+    return key === 'id' ? 'has a multicolored color identity' : 'is multicolored';
+  }
+  const colors = colorList(v);
+  if (!colors) return `${subject} ${op} ${value}`;
+  const group = COLOR_GROUP_LETTERS[v] ? `${capitalize(v)} (${listWords(colors)})` : null;
+  const named = group || listWords(colors);
+
+  if (key === 'produces') return `produces ${listWords(colors, 'or')} mana`;
+  if (key === 'id') {
+    // id: behaves like id<= - the card fits in a deck of those colors
+    if (op === ':' || op === '<=') return `color identity within ${named}`;
+    if (op === '=') return `color identity exactly ${named}`;
+    if (op === '>=') return `color identity includes ${named}`;
+    if (op === '<') return `color identity strictly within ${named}`;
+    if (op === '>') return `color identity includes more than ${named}`;
+    return `color identity isn't exactly ${named}`;
+  }
+  if (op === '=') return `is exactly ${named}`;
+  if (op === '<=') return `is at most ${named}`;
+  if (op === '<') return `is fewer colors than ${named}`;
+  if (op === '>') return `is ${named} plus at least one more color`;
+  if (op === '!=') return `isn't exactly ${named}`;
+  return `is ${named}`;
+}
+
+function describeType(value) {
+  const v = String(value).toLowerCase();
+  if (SUPERTYPE_SET.has(v)) return `is ${v}`;
+  if (TYPE_WORDS.has(v)) return `is ${article(v)} ${v}`;
+  const name = v.split('-').map(capitalize).join('-');
+  return `is ${article(v)} ${name}`;
+}
+
+function compare(op, amount) {
+  switch (op) {
+    case '>=': return `${amount} or more`;
+    case '<=': return `${amount} or less`;
+    case '>': return `more than ${amount}`;
+    case '<': return `less than ${amount}`;
+    case '!=': return `not ${amount}`;
+    default: return `exactly ${amount}`;
+  }
+}
+
+function compareField(op, field) {
+  switch (op) {
+    case '>=': return `at least its ${field}`;
+    case '<=': return `at most its ${field}`;
+    case '>': return `greater than its ${field}`;
+    case '<': return `less than its ${field}`;
+    case '!=': return `different from its ${field}`;
+    default: return `equal to its ${field}`;
+  }
+}
+
+function compareDate(op, when) {
+  switch (op) {
+    case '>=': return `released in ${when} or later`;
+    case '<=': return `released in ${when} or earlier`;
+    case '>': return `released after ${when}`;
+    case '<': return `released before ${when}`;
+    case '!=': return `not released in ${when}`;
+    default: return `released in ${when}`;
+  }
+}
+
+function describeRarity(op, value) {
+  const name = RARITY_NAMES[String(value).toLowerCase()] || value;
+  switch (op) {
+    case '>=': return `is ${name} or rarer`;
+    case '<=': return `is ${name} or more common`;
+    case '>': return `is rarer than ${name}`;
+    case '<': return `is more common than ${name}`;
+    case '!=': return `isn't ${name}`;
+    default: return `is ${name}`;
+  }
+}
+
+function formatName(value) {
+  const v = String(value).toLowerCase();
+  return FORMAT_NAMES[v] || capitalize(v);
+}
+
+// Plain-English description of one clause or bare word node (without negation).
+// `setName(code)` may return a display name for set codes.
+function describeNode(node, { setName } = {}) {
+  if (node.type === 'word') {
+    return node.exact ? `is named exactly "${node.value}"` : `name contains "${node.value}"`;
+  }
+  const { op, value } = node;
+  const key = KEY_ALIASES[node.key.toLowerCase()] || node.key;
+  const text = node.regex ? `matches ${value}` : `contains "${value}"`;
+  switch (key) {
+    case 'c':
+    case 'id':
+    case 'produces':
+      return describeColor(key, op, value);
+    case 't':
+      return describeType(value);
+    case 'o':
+    case 'fo':
+      return `rules text ${text}`;
+    case 'kw':
+      return `has ${String(value).toLowerCase()}`;
+    case 'm':
+      return op === '=' ? `mana cost is exactly ${value}` : `mana cost includes ${value}`;
+    case 'devotion':
+      return `gives devotion ${compare(op, value)}`;
+    case 'f':
+      return `is legal in ${formatName(value)}`;
+    case 'banned':
+      return `is banned in ${formatName(value)}`;
+    case 'restricted':
+      return `is restricted in ${formatName(value)}`;
+    case 's':
+    case 'e': {
+      const name = setName?.(String(value).toLowerCase());
+      return name ? `is from ${name} (${String(value).toLowerCase()})` : `is from set ${String(value).toUpperCase()}`;
+    }
+    case 'b':
+      return `is from the ${String(value).toUpperCase()} block`;
+    case 'st':
+      return `is from ${article(value)} ${String(value).replace(/_/g, ' ')} set`;
+    case 'r':
+      return describeRarity(op, value);
+    case 'usd':
+    case 'eur':
+    case 'tix': {
+      const amount = key === 'tix' ? `${value} tix` : `${CURRENCY[key]}${value}`;
+      return `costs ${compare(op, amount)}`;
+    }
+    case 'year':
+      return compareDate(op, value);
+    case 'date':
+      return compareDate(op, value);
+    case 'function':
+      return `works as ${String(value).replace(/-/g, ' ')}`;
+    case 'art':
+      return `art shows ${String(value).replace(/-/g, ' ')}`;
+    case 'is':
+      return IS_PHRASES[String(value).toLowerCase()] || `is ${value}`;
+    case 'not':
+      return `is not ${value}`;
+    case 'has':
+      return `has ${article(value)} ${value}`;
+    case 'in':
+      return `was printed in ${value}`;
+    case 'a':
+      return `art by ${value}`;
+    case 'ft':
+      return `flavor text ${text}`;
+    case 'name':
+      return `name ${text}`;
+    case 'wm':
+      return `has the ${value} watermark`;
+    case 'lang':
+      return `is printed in ${value}`;
+    case 'border':
+      return `has a ${value} border`;
+    case 'frame':
+      return `uses the ${value} frame`;
+    case 'game':
+      return `is available on ${value}`;
+    case 'stamp':
+      return `has the ${value} security stamp`;
+    case 'order':
+      return `sorted by ${ORDER_NAMES[String(value).toLowerCase()] || value}`;
+    case 'direction':
+      return String(value).toLowerCase().startsWith('desc') ? 'highest first' : 'lowest first';
+    case 'unique':
+      return `one result per ${value === 'prints' ? 'printing' : value}`;
+    case 'prefer':
+      return `prefers the ${value} printing`;
+    case 'include':
+      return `includes ${value}`;
+    default:
+      if (NUMERIC_LABELS[key]) {
+        // pow>tou compares two fields
+        const other = String(value).toLowerCase();
+        const field = /^[a-z]+$/.test(other) && NUMERIC_LABELS[KEY_ALIASES[other] || other];
+        return `${NUMERIC_LABELS[key]} ${field ? compareField(op, field) : compare(op, value)}`;
+      }
+      return `${key} ${op} ${value}`;
+  }
+}
+
+function negateDescription(text) {
+  if (/^is /.test(text)) return text.replace(/^is /, "isn't ");
+  if (/^has /.test(text)) return text.replace(/^has /, "doesn't have ");
+  if (/^can /.test(text)) return text.replace(/^can /, "can't ");
+  if (/^costs /.test(text)) return text.replace(/^costs /, "doesn't cost ");
+  if (/^works as /.test(text)) return text.replace(/^works as /, "doesn't work as ");
+  return `not: ${text}`;
+}
+
+function describeClause(node, { negated = false, setName } = {}) {
+  const text = describeNode(node, { setName });
+  return negated ? negateDescription(text) : text;
+}
+
+// ---------- alignment with the user's query ----------
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// words that would have produced `node` in plain English, most specific first.
+// Numeric, color and keyword hints are regex sources; the rest are literal text.
+const PATTERN_HINT_KEYS = new Set(['usd', 'eur', 'tix', 'mv', 'pow', 'tou', 'loy', 'def', 'c', 'id', 'produces', 'kw']);
+
+function sourceHints(node, { query = '', setName } = {}) {
+  if (node.type === 'word') return [node.value];
+  const v = String(node.value).toLowerCase();
+  switch (node.key) {
+    case 'c':
+    case 'id':
+    case 'produces': {
+      if (v === 'c') return ['colorless'];
+      if (v === 'm') return ['multicolou?red', 'multicolou?r', 'gold'];
+      const colors = colorList(v) || [];
+      return COLOR_GROUP_LETTERS[v] ? [v, ...colors] : colors;
+    }
+    case 't': {
+      // plural forms as written in the query ("elves" for t:elf)
+      const known = new Set([v]);
+      const plurals = (query.toLowerCase().match(/[a-z]+/g) || []).filter((w) => w !== v && singularize(w, known));
+      return [v.replace(/-/g, ' '), ...plurals];
+    }
+    case 'kw':
+      return [v, v.replace(/ing$/, 'ers?'), v.replace(/ing$/, '')];
+    case 'function':
+      return [v.replace(/-/g, ' '), v.split('-')[0]];
+    case 'art':
+      return [v.replace(/-/g, ' ')];
+    case 'f':
+    case 'banned':
+    case 'restricted':
+      return v === 'commander' ? ['commander', 'edh'] : v === 'paupercommander' ? ['pauper commander', 'pdh'] : [v];
+    case 'r':
+      return [RARITY_NAMES[v] || v, v === 'm' || v === 'mythic' ? 'mythic' : null].filter(Boolean);
+    case 's':
+    case 'e': {
+      const name = setName?.(v);
+      return [name && name.toLowerCase(), v].filter(Boolean);
+    }
+    case 'usd':
+    case 'eur':
+    case 'tix':
+      return [`\\$?${escapeRe(v)}`, 'cheap', 'budget', 'expensive'];
+    case 'mv':
+      return [escapeRe(v), 'cheap', 'mana value', 'cmc', 'mana'];
+    case 'pow':
+    case 'tou':
+    case 'loy':
+    case 'def':
+      return [escapeRe(v), NUMERIC_LABELS[node.key]];
+    case 'o':
+    case 'fo':
+    case 'ft':
+    case 'name':
+      return node.regex ? [] : [v];
+    default:
+      return [v];
+  }
+}
+
+// first span of `query` matching one of `patterns` (regex sources) that no other clause has claimed
+function findSpan(query, patterns, taken) {
+  const lower = query.toLowerCase();
+  for (const pattern of patterns) {
+    const re = new RegExp(`(?<![a-z0-9])(?:${pattern})[a-z]*`, 'g');
+    for (const m of lower.matchAll(re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (taken.some((s) => start < s.end && end > s.start)) continue;
+      return { start, end };
+    }
+  }
+  return null;
+}
+
+function normalizeClause(text) {
+  try {
+    return formatQuery(parseQuery(text));
+  } catch {
+    return text;
+  }
+}
+
+// Leaves of the parsed syntax, each with a description and (when it can be traced) the span of
+// `query` it came from. Spans recorded by the rule converter are used as-is; the rest are found
+// by looking for the words that usually produce that clause.
+//   -> [{ clause, key, op, value, negated, orGroup, description, source: { start, end, text } | null }]
+function explainSyntax(syntax, { query = '', ruleClauses = [], setName } = {}) {
+  let ast;
+  try {
+    ast = parseQuery(syntax);
+  } catch {
+    return [];
+  }
+
+  const leaves = [];
+  let groups = 0;
+  (function collect(node, negated, orGroup) {
+    if (!node) return;
+    if (node.type === 'not') return collect(node.child, !negated, orGroup);
+    // negation is pushed down to the leaves, so -(a OR b) lists -a and -b as required together
+    const alternatives = (node.type === 'or') !== negated;
+    if (node.type === 'or' || node.type === 'and') {
+      const group = alternatives && node.children.length > 1 ? orGroup ?? groups++ : orGroup;
+      return node.children.forEach((c) => collect(c, negated, group));
+    }
+    leaves.push({ node, negated, orGroup });
+  })(ast, false, null);
+
+  const fromRules = new Map();
+  for (const rc of ruleClauses) {
+    const k = normalizeClause(rc.clause);
+    if (!fromRules.has(k)) fromRules.set(k, []);
+    fromRules.get(k).push(rc);
+  }
+
+  const taken = [];
+  const items = leaves.map(({ node, negated, orGroup }) => {
+    const clause = `${negated ? '-' : ''}${formatQuery(node)}`;
+    const ruled = fromRules.get(clause)?.shift();
+    return {
+      node,
+      item: {
+        clause,
+        key: node.type === 'clause' ? node.key : 'name',
+        op: node.type === 'clause' ? node.op : ':',
+        value: node.value,
+        negated,
+        orGroup,
+        description: describeClause(node, { negated, setName }),
+        source: ruled ? { start: ruled.start, end: ruled.end } : null,
+      },
+    };
+  });
+  for (const { item } of items) if (item.source) taken.push(item.source);
+
+  // more specific clauses claim their words first (t:elf before t:creature)
+  const pending = items.filter(({ item }) => !item.source)
+    .sort((a, b) => Number(a.node.value === 'creature') - Number(b.node.value === 'creature'));
+  for (const { node, item } of pending) {
+    const hints = sourceHints(node, { query, setName });
+    const patterns = node.type === 'clause' && PATTERN_HINT_KEYS.has(node.key)
+      ? hints
+      : hints.map((h) => escapeRe(h).replace(/\s+/g, '\\s+'));
+    let span = findSpan(query, patterns, taken);
+    // t:creature added alongside a creature type shares that type's words
+    if (!span && node.type === 'clause' && node.key === 't' && node.value === 'creature') {
+      const tribe = items.find(({ node: n, item: i }) => n.key === 't' && i.source && toCreatureType(n.value));
+      if (tribe) span = { ...tribe.item.source };
+    }
+    if (!span) continue;
+    // include a negation word right before the span ("non-", "not ", "without ")
+    if (item.negated) {
+      const neg = query.slice(0, span.start).match(/(?:\bnon-?|\bnot\s+|\bwithout\s+|\bno\s+|\bexcept\s+)$/i);
+      if (neg) span.start -= neg[0].length;
+    }
+    item.source = span;
+    taken.push(span);
+  }
+
+  for (const { item } of items) {
+    if (item.source) item.source = { ...item.source, text: query.slice(item.source.start, item.source.end) };
+  }
+  return items.map(({ item }) => item);
+}
+
+// ---------- whole-query description ----------
+
+// result-display options, described after the filters ("..., sorted by price")
+const DISPLAY_KEYS = new Set(['order', 'direction', 'unique', 'prefer', 'include']);
+
+const PLURAL_VERBS = {
+  is: 'are', has: 'have', costs: 'cost', works: 'work', gives: 'give', was: 'were', comes: 'come',
+  transforms: 'transform', melds: 'meld', uses: 'use', prefers: 'prefer', includes: 'include',
+  produces: 'produce', can: 'can',
+};
+const NEGATED_VERBS = { are: "aren't", have: "don't have", were: "weren't", can: "can't" };
+const PARTICIPLES = { contains: 'containing', shows: 'showing', matches: 'matching', includes: 'including' };
+
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(?:s|x|ch|sh)$/i.test(word)) return `${word}es`;
+  if (/(?:elf|wolf|dwarf)$/i.test(word)) return `${word.slice(0, -1)}ves`;
+  return `${word}s`;
+}
+
+// One leaf as a phrase about "cards": a verb phrase ("are creatures", "don't have flying")
+// or a with-phrase ("with mana value 3 or less", "without rules text containing "draw"").
+function leafPhrase(node, negated, setName) {
+  const text = describeNode(node, { setName });
+  const [first, ...rest] = text.split(' ');
+  let verb = PLURAL_VERBS[first];
+  let tail = rest.join(' ');
+  if (first === 'released') [verb, tail] = ['were', text];
+  if (!verb) {
+    const noun = text.replace(/\b(contains|shows|matches|includes)\b/, (w) => PARTICIPLES[w]);
+    return { kind: 'with', text: `${negated ? 'without' : 'with'} ${noun}` };
+  }
+  if (verb === 'are') tail = tail.replace(/^an? ([\w-]+)$/, (_, w) => pluralize(w));
+  if (negated) verb = NEGATED_VERBS[verb] || `don't ${verb}`;
+  return { kind: 'verb', text: `${verb} ${tail}` };
+}
+
+function asVerb(phrase) {
+  if (phrase.kind === 'verb') return phrase.text;
+  return phrase.text.replace(/^without /, "don't have ").replace(/^with /, 'have ');
+}
+
+// "are blue or are red" -> "are blue or red"
+function factorAlternatives(parts) {
+  const firsts = parts.map((p) => p.split(' ')[0]);
+  if (parts.length > 1 && firsts.every((f) => f === firsts[0]) && !firsts[0].endsWith("'t")) {
+    return `${firsts[0]} ${listWords(parts.map((p) => p.slice(firsts[0].length + 1)), 'or')}`;
+  }
+  return listWords(parts, 'or');
+}
+
+// negation is pushed to the leaves (De Morgan), so -(a OR b) reads "aren't a and aren't b"
+function describePhrase(node, negated, setName) {
+  if (node.type === 'not') return describePhrase(node.child, !negated, setName);
+  if (node.type === 'clause' || node.type === 'word') return leafPhrase(node, negated, setName);
+  const parts = node.children.map((c) => describePhrase(c, negated, setName));
+  const alternatives = (node.type === 'or') !== negated;
+  if (alternatives) return { kind: 'verb', text: factorAlternatives(parts.map(asVerb)) };
+  return { kind: 'verb', text: listWords(parts.map(asVerb)) };
+}
+
+// Whole-query reverse translation:
+//   "id<=esper -t:land f:pauper order:usd" ->
+//   "Cards with color identity within Esper (white, blue and black) that aren't lands and are
+//    legal in Pauper, sorted by price (USD)."
+// -> { description, clauses: [{ clause, description, negated, orGroup }], unknownKeys }
+function describeSyntax(syntax, { setName } = {}) {
+  const ast = parseQuery(syntax);
+  const top = !ast ? [] : ast.type === 'and' ? ast.children : [ast];
+  const filters = top.filter((n) => !(n.type === 'clause' && DISPLAY_KEYS.has(n.key)));
+  const display = top.filter((n) => n.type === 'clause' && DISPLAY_KEYS.has(n.key));
+
+  const phrases = filters.map((n) => describePhrase(n, false, setName));
+  const withs = phrases.filter((p) => p.kind === 'with').map((p) => p.text);
+  const verbs = phrases.filter((p) => p.kind === 'verb').map((p) => p.text);
+
+  let description = phrases.length ? 'Cards' : 'All cards';
+  if (withs.length) description += ` ${listWords(withs)}`;
+  if (verbs.length) description += ` that ${listWords(verbs)}`;
+  for (const n of display) description += `, ${describeNode(n, { setName })}`;
+
+  const unknownKeys = [];
+  walk(ast, (n) => {
+    if (n.type === 'clause' && !KEY_SPECS[n.key] && !KEY_ALIASES[n.key] && !unknownKeys.includes(n.key)) unknownKeys.push(n.key);
+  });
+
+  return {
+    description: `${description}.`,
+    clauses: explainSyntax(syntax, { setName }).map(({ clause, description: d, negated, orGroup }) => ({
+      clause, description: d, negated, orGroup,
+    })),
+    unknownKeys,
+  };
+}
+
+module.exports = { describeClause, describeSyntax, explainSyntax, colorList };
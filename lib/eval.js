@@ -0,0 +1,150 @@
+// lib/eval.js — clause-level scoring of conversions against expected syntax (see scripts/eval.js)
+//
+// Both sides go through validateAndRepair() and are then reduced to a set of canonical
+// top-level clauses, so order, quoting, key aliases and case don't count, and neither do
+// equivalent comparisons:
+//   mv<3 == mv<=2, pow>4 == pow>=5, mv:3 == mv=3      (integer fields)
+//   c:uw == c>=wu == c:azorius, id:bg == id<=bg        (colors, WUBRG order)
+//   (c:w OR c:u) == (c:u OR c:w), e:dom == s:dom
+// A case scores precision / recall / F1 over those clauses; `exact` means the sets are equal.
+
+const { parseQuery, validateAndRepair, formatValue, KEY_ALIASES } = require('./syntax');
+const { COLORS } = require('./vocabulary');
+
+const INTEGER_KEYS = new Set(['mv', 'pow', 'tou', 'loy', 'def']);
+const COLOR_KEYS = new Set(['c', 'id']);
+const COLOR_ORDER = 'wubrgc';
+// color names Scryfall accepts as values, as letters
+const COLOR_NAMES = {
+  ...COLORS,
+  colorless: 'c',
+  azorius: 'wu', dimir: 'ub', rakdos: 'br', gruul: 'rg', selesnya: 'gw',
+  orzhov: 'wb', izzet: 'ur', golgari: 'bg', boros: 'rw', simic: 'gu',
+  bant: 'gwu', esper: 'wub', grixis: 'ubr', jund: 'brg', naya: 'rgw',
+  abzan: 'wbg', jeskai: 'urw', sultai: 'bgu', mardu: 'rwb', temur: 'gur',
+  silverquill: 'wb', prismari: 'ur', witherbloom: 'bg', lorehold: 'rw', quandrix: 'gu',
+};
+const SAME_KEYS = { e: 's', ...KEY_ALIASES, edition: 's' };
+
+function canonicalClause(node) {
+  const key = SAME_KEYS[node.key.toLowerCase()] || node.key.toLowerCase();
+  let { op } = node;
+  let value = String(node.value).toLowerCase();
+
+  if (INTEGER_KEYS.has(key) && /^-?\d+$/.test(value)) {
+    const n = Number(value);
+    if (op === '<') [op, value] = ['<=', String(n - 1)];
+    else if (op === '>') [op, value] = ['>=', String(n + 1)];
+    else if (op === ':') op = '=';
+  } else if (COLOR_KEYS.has(key) && (COLOR_NAMES[value] || /^[wubrgc]+$/.test(value))) {
+    value = COLOR_NAMES[value] || value;
+    value = [...new Set(value)].sort((a, b) => COLOR_ORDER.indexOf(a) - COLOR_ORDER.indexOf(b)).join('');
+    if (op === ':') op = key === 'id' ? '<=' : '>=';
+  } else if (op === '=' && !COLOR_KEYS.has(key) && !INTEGER_KEYS.has(key)) {
+    op = ':';
+  }
+  return `${key}${op}${node.regex ? `/${node.value}/` : formatValue(value)}`;
+}
+
+function canonicalNode(node) {
+  switch (node.type) {
+    case 'clause':
+      return canonicalClause(node);
+    case 'word':
+      return `${node.exact ? '!' : ''}${formatValue(String(node.value).toLowerCase(), { quoted: node.exact })}`;
+    case 'not':
+      return `-${canonicalNode(node.child)}`;
+    case 'or':
+      return `(${[...new Set(node.children.map(canonicalNode))].sort().join(' or ')})`;
+    case 'and':
+      return `(${node.children.map(canonicalNode).sort().join(' ')})`;
+    default:
+      return '';
+  }
+}
+
+// syntax -> sorted canonical top-level clauses (nested ANDs flattened); [] when unparseable
+function canonicalClauses(syntax) {
+  if (!syntax) return [];
+  const checked = validateAndRepair(syntax);
+  let ast;
+  try {
+    ast = parseQuery(checked.ok ? checked.syntax : syntax);
+  } catch {
+    return [];
+  }
+  const out = new Set();
+  const add = (node) => {
+    if (node.type === 'and') node.children.forEach(add);
+    else out.add(canonicalNode(node));
+  };
+  if (ast) add(ast);
+  out.delete('');
+  return [...out].sort();
+}
+
+// -> { precision, recall, f1, exact, missing, extra }
+function scoreCase(expected, actual) {
+  const want = canonicalClauses(expected);
+  const got = canonicalClauses(actual);
+  const hits = got.filter((c) => want.includes(c)).length;
+  const precision = got.length ? hits / got.length : 0;
+  const recall = want.length ? hits / want.length : 0;
+  return {
+    precision,
+    recall,
+    f1: precision + recall ? (2 * precision * recall) / (precision + recall) : 0,
+    exact: hits === want.length && hits === got.length,
+    missing: want.filter((c) => !got.includes(c)),
+    extra: got.filter((c) => !want.includes(c)),
+  };
+}
+
+const round = (n) => Number(n.toFixed(3));
+
+// results: [{ category, score }] -> { <category>: { cases, exact, precision, recall, f1 } } with "all" last
+function summarize(results) {
+  const groups = new Map();
+  for (const r of results) {
+    for (const name of [r.category, 'all']) {
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(r.score);
+    }
+  }
+  const mean = (list, field) => list.reduce((sum, s) => sum + Number(s[field]), 0) / list.length;
+  const names = [...groups.keys()].filter((n) => n !== 'all').sort();
+  return Object.fromEntries([...names, 'all'].filter((n) => groups.has(n)).map((name) => {
+    const list = groups.get(name);
+    return [name, {
+      cases: list.length,
+      exact: round(mean(list, 'exact')),
+      precision: round(mean(list, 'precision')),
+      recall: round(mean(list, 'recall')),
+      f1: round(mean(list, 'f1')),
+    }];
+  }));
+}
+
+// case-by-case changes against a saved baseline ({ results: { <id>: { syntax, f1, exact } } });
+// `changes` lists cases whose F1 moved, `added` / `removed` cases present on one side only
+function diffBaseline(baseline, results) {
+  const before = baseline?.results || {};
+  const changes = [];
+  const added = [];
+  for (const r of results) {
+    const old = before[r.id];
+    if (!old) {
+      added.push(r.id);
+      continue;
+    }
+    const delta = round(r.score.f1 - old.f1);
+    if (delta !== 0 || old.syntax !== r.syntax) {
+      changes.push({ id: r.id, category: r.category, delta, from: old.syntax, to: r.syntax });
+    }
+  }
+  const ids = new Set(results.map((r) => r.id));
+  const removed = Object.keys(before).filter((id) => !ids.has(id));
+  return { changes, added, removed };
+}
+
+module.exports = { canonicalClauses, scoreCase, summarize, diffBaseline };
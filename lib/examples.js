@@ -0,0 +1,117 @@
+// lib/examples.js — solved queries similar to this one, as extra few-shot examples for the prompt
+//
+// The index holds the curated pairs in prompts/convert/examples.json plus whatever `load()`
+// returns: on the server, the approved corrections in curated_examples (see lib/feedback.js).
+// A loaded pair replaces a curated one for the same normalized query. similar() scores every pair
+// by word overlap (Jaccard over crudely stemmed words, stop words dropped) blended with
+// character-trigram overlap (Dice), which also catches typos and word forms the stemmer misses.
+// It's a linear scan in memory, which is plenty for a few thousand pairs; refresh() rebuilds it.
+
+const fs = require('fs');
+const { validateAndRepair } = require('./syntax');
+const { normQuery } = require('./pipeline');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'with', 'and', 'that', 'which', 'are', 'is', 'in', 'for', 'to', 'me', 'my',
+  'i', 'show', 'find', 'all', 'some', 'any', 'card', 'cards', 'want', 'have', 'has',
+]);
+const WORD_WEIGHT = 0.6;
+
+// plurals only: dragons -> dragon, sorceries -> sorcery, witches -> witch
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function features(queryNorm) {
+  const words = queryNorm.split(' ').filter((w) => w && !STOP_WORDS.has(w)).map(stem);
+  const padded = ` ${words.join(' ')} `;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) trigrams.add(padded.slice(i, i + 3));
+  return { words: new Set(words), trigrams };
+}
+
+function overlap(a, b) {
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared;
+}
+
+function similarity(a, b) {
+  const sharedWords = overlap(a.words, b.words);
+  const union = a.words.size + b.words.size - sharedWords;
+  const jaccard = union ? sharedWords / union : 0;
+  const sizes = a.trigrams.size + b.trigrams.size;
+  const dice = sizes ? (2 * overlap(a.trigrams, b.trigrams)) / sizes : 0;
+  return WORD_WEIGHT * jaccard + (1 - WORD_WEIGHT) * dice;
+}
+
+// k: examples per prompt (0 disables); minScore: below this a pair isn't "similar"
+function createExampleIndex({ file = null, load = null, k = 3, minScore = 0.3, logger = console } = {}) {
+  let entries = [];
+
+  // [{ query, syntax }] from the file, invalid syntax left out with a warning
+  function readCurated() {
+    if (!file || !fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).flatMap((pair, i) => {
+      const checked = validateAndRepair(pair.syntax);
+      if (!checked.ok) {
+        logger.warn(`⚠️ Skipping example "${pair.query}" in ${file}: ${checked.errors.map((e) => e.message).join('; ')}`);
+        return [];
+      }
+      return [{ id: `curated:${i + 1}`, query: pair.query, syntax: checked.syntax, source: 'curated' }];
+    });
+  }
+
+  // resolves even when load() fails (the curated pairs stay); -> number of pairs indexed
+  async function refresh() {
+    const byQuery = new Map();
+    const add = (pair) => {
+      const queryNorm = normQuery(pair.query);
+      if (queryNorm) byQuery.set(queryNorm, { ...pair, queryNorm, features: features(queryNorm) });
+    };
+    readCurated().forEach(add);
+    if (load) {
+      try {
+        for (const row of await load()) add({ id: `${row.source}:${row.id}`, query: row.query, syntax: row.syntax, source: row.source });
+      } catch (error) {
+        logger.warn(`⚠️ Could not load stored examples: ${error.message}`);
+      }
+    }
+    entries = [...byQuery.values()];
+    return entries.length;
+  }
+
+  // -> [{ id, query, syntax, source, score }], best first; one pair per syntax
+  function similar(query, { limit = k } = {}) {
+    if (!limit) return [];
+    const target = features(normQuery(query));
+    if (!target.words.size) return [];
+    const scored = entries
+      .map((e) => ({ entry: e, score: similarity(target, e.features) }))
+      .filter((s) => s.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+    const out = [];
+    const seen = new Set();
+    for (const { entry, score } of scored) {
+      if (seen.has(entry.syntax)) continue;
+      seen.add(entry.syntax);
+      out.push({ id: entry.id, query: entry.query, syntax: entry.syntax, source: entry.source, score: Number(score.toFixed(3)) });
+      if (out.length === limit) break;
+    }
+    return out;
+  }
+
+  function status() {
+    const bySource = {};
+    for (const e of entries) bySource[e.source] = (bySource[e.source] || 0) + 1;
+    return { examples: entries.length, bySource, k, minScore };
+  }
+
+  return { refresh, similar, status };
+}
+
+module.exports = { createExampleIndex };
@@ -0,0 +1,175 @@
+// lib/feedback.js — what users say about conversions, and the curated examples admins keep
+//
+// Feedback is one row per conversion (see lib/conversions.js): a thumbs up/down from the
+// extension, and the syntax the user actually searched when they edited ours on Scryfall or
+// picked another of the "Did you mean" readings.
+// Later reports on the same conversion update the row. The query and our syntax are copied in
+// at submit time, so feedback outlives the conversion log's retention.
+//
+// Review: pending feedback is promoted into curated_examples (a query -> syntax pair, one per
+// normalized query) or dismissed.
+
+function feedbackView(row) {
+  return {
+    id: row.id,
+    conversionId: row.conversion_id,
+    requester: row.requester,
+    query: row.query,
+    syntax: row.syntax,
+    rating: row.rating,
+    correctedSyntax: row.corrected_syntax,
+    source: row.source,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function exampleView(row) {
+  return {
+    id: row.id,
+    query: row.query,
+    syntax: row.syntax,
+    source: row.source,
+    feedbackId: row.feedback_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+function createFeedbackStore(pool) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS conversion_feedback (
+          id SERIAL PRIMARY KEY,
+          conversion_id UUID NOT NULL UNIQUE,
+          requester VARCHAR(255) NOT NULL,
+          query TEXT,
+          syntax TEXT,
+          rating VARCHAR(8) NOT NULL,
+          corrected_syntax TEXT,
+          source VARCHAR(16) NOT NULL,
+          status VARCHAR(16) NOT NULL DEFAULT 'pending',
+          reviewed_by VARCHAR(100),
+          reviewed_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS conversion_feedback_status_idx ON conversion_feedback (status, created_at)');
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS curated_examples (
+          id SERIAL PRIMARY KEY,
+          query TEXT NOT NULL,
+          query_norm TEXT NOT NULL UNIQUE,
+          syntax TEXT NOT NULL,
+          source VARCHAR(16) NOT NULL,
+          feedback_id INTEGER,
+          created_by VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+
+    // conversion: the conversions row being rated; a new correction puts reviewed feedback
+    // back in the queue
+    async submit(conversion, { rating, correctedSyntax = null, source }) {
+      const result = await pool.query(
+        `INSERT INTO conversion_feedback (conversion_id, requester, query, syntax, rating, corrected_syntax, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (conversion_id) DO UPDATE SET
+           rating = EXCLUDED.rating,
+           corrected_syntax = COALESCE(EXCLUDED.corrected_syntax, conversion_feedback.corrected_syntax),
+           source = EXCLUDED.source,
+           status = CASE
+             WHEN EXCLUDED.corrected_syntax IS DISTINCT FROM conversion_feedback.corrected_syntax
+                  AND EXCLUDED.corrected_syntax IS NOT NULL THEN 'pending'
+             ELSE conversion_feedback.status
+           END,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [conversion.id, conversion.requester, conversion.query, conversion.syntax, rating, correctedSyntax, source]
+      );
+      return feedbackView(result.rows[0]);
+    },
+
+    async get(id) {
+      if (!Number.isInteger(id)) return null;
+      const result = await pool.query('SELECT * FROM conversion_feedback WHERE id = $1', [id]);
+      return result.rows[0] ? feedbackView(result.rows[0]) : null;
+    },
+
+    // review queue: corrections first, newest first
+    async list({ status = 'pending', rating = null, limit = 50 } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM conversion_feedback
+          WHERE status = $1 AND ($2::text IS NULL OR rating = $2)
+          ORDER BY (corrected_syntax IS NOT NULL) DESC, created_at DESC
+          LIMIT $3`,
+        [status, rating, limit]
+      );
+      const counts = await pool.query(
+        'SELECT status, rating, COUNT(*) AS count FROM conversion_feedback GROUP BY status, rating'
+      );
+      return {
+        items: result.rows.map(feedbackView),
+        counts: counts.rows.map((r) => ({ status: r.status, rating: r.rating, count: Number(r.count) })),
+      };
+    },
+
+    // adds (or replaces) the example for this query and marks the feedback approved
+    async promote(id, { query, queryNorm, syntax, admin }) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const example = await client.query(
+          `INSERT INTO curated_examples (query, query_norm, syntax, source, feedback_id, created_by)
+           VALUES ($1, $2, $3, 'feedback', $4, $5)
+           ON CONFLICT (query_norm) DO UPDATE SET
+             query = EXCLUDED.query, syntax = EXCLUDED.syntax, source = EXCLUDED.source,
+             feedback_id = EXCLUDED.feedback_id, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [query, queryNorm, syntax, id, admin]
+        );
+        await client.query(
+          `UPDATE conversion_feedback SET status = 'approved', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+            WHERE id = $1`,
+          [id, admin]
+        );
+        await client.query('COMMIT');
+        return exampleView(example.rows[0]);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async dismiss(id, admin) {
+      if (!Number.isInteger(id)) return null;
+      const result = await pool.query(
+        `UPDATE conversion_feedback SET status = 'dismissed', reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+          WHERE id = $1 RETURNING *`,
+        [id, admin]
+      );
+      return result.rows[0] ? feedbackView(result.rows[0]) : null;
+    },
+
+    async examples() {
+      const result = await pool.query('SELECT * FROM curated_examples ORDER BY created_at DESC');
+      return result.rows.map(exampleView);
+    },
+
+    async deleteExample(id) {
+      if (!Number.isInteger(id)) return false;
+      const result = await pool.query('DELETE FROM curated_examples WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+  };
+}
+
+module.exports = { createFeedbackStore };
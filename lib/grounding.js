@@ -0,0 +1,208 @@
+// lib/grounding.js — the t:/kw:/function: values Scryfall actually knows
+//
+// buildVocabulary() merges Scryfall's catalogs (/catalog/creature-types, /catalog/keyword-abilities,
+// ...) with the static lists in vocabulary.js, so it also works offline with no catalog at all.
+// Oracle tags have no public catalog; function: values come from the curated FUNCTION_TAGS.
+// Against a vocabulary:
+//   vocabularyHints()     terms the words of a query point at, for the prompt ("dinosuars" -> t:dinosaur)
+//   vocabulary.correct()  used by validateAndRepair: known value, closest known value, or null
+// All pure; server.js owns fetching and caching the catalogs.
+
+const {
+  COLORS,
+  CARD_TYPES,
+  SUPERTYPES,
+  OTHER_SUBTYPES,
+  CREATURE_TYPES,
+  KEYWORDS,
+  FORMATS,
+  FUNCTION_TAGS,
+  ART_TAGS,
+  singularize,
+} = require('./vocabulary');
+const { editDistance } = require('./sets');
+
+// Scryfall catalog name -> which list it feeds
+const VOCABULARY_CATALOGS = {
+  'creature-types': 'types',
+  'planeswalker-types': 'types',
+  'land-types': 'types',
+  'artifact-types': 'types',
+  'enchantment-types': 'types',
+  'spell-types': 'types',
+  'battle-types': 'types',
+  'keyword-abilities': 'keywords',
+  'keyword-actions': 'keywords',
+  'ability-words': 'keywords',
+};
+
+// how people (and models) spell tags that exist under another name
+const TAG_FIXES = {
+  wipe: 'board-wipe',
+  boardwipe: 'board-wipe',
+  'board-wipes': 'board-wipe',
+  'mass-removal': 'board-wipe',
+  counter: 'counterspell',
+  'counter-spell': 'counterspell',
+  'removal-spell': 'removal',
+  'targeted-removal': 'spot-removal',
+  'mana-rocks': 'mana-rock',
+  'mana-dorks': 'mana-dork',
+  'mana-ramp': 'ramp',
+  'land-destruction': 'removal',
+  carddraw: 'card-draw',
+  'life-gain': 'lifegain',
+  'graveyard-recursion': 'recursion',
+  reanimation: 'reanimate',
+  'token-maker': 'token-generator',
+  tokens: 'token-generator',
+  'sac-outlet': 'sacrifice-outlet',
+};
+
+// query phrases that name a tag in other words
+const TAG_PHRASES = {
+  'board wipe': 'board-wipe',
+  'board wipes': 'board-wipe',
+  wrath: 'wrath',
+  wraths: 'wrath',
+  'card draw': 'card-draw',
+  'mana rock': 'mana-rock',
+  'mana rocks': 'mana-rock',
+  'mana dork': 'mana-dork',
+  'mana dorks': 'mana-dork',
+  'sac outlet': 'sacrifice-outlet',
+  'sacrifice outlet': 'sacrifice-outlet',
+  'extra turn': 'extra-turn',
+  'extra turns': 'extra-turn',
+  'graveyard hate': 'graveyard-hate',
+  'life gain': 'lifegain',
+  lifegain: 'lifegain',
+  reanimation: 'reanimate',
+  'token makers': 'token-generator',
+  'token generators': 'token-generator',
+  counterspells: 'counterspell',
+  tutors: 'tutor',
+};
+
+// type-line words that are mostly ordinary English in a query
+const AMBIGUOUS_TYPES = new Set(['case', 'class', 'role', 'map', 'town', 'room', 'sphere', 'gold', 'time']);
+
+// everyday words a letter away from a type or keyword ("power" / "tower")
+const PLAIN_WORDS = new Set([
+  ...Object.keys(COLORS), ...FORMATS, 'power', 'tower', 'under', 'other', 'their', 'there', 'spell',
+  'cheap', 'costs', 'about', 'these', 'those', 'legal', 'token', 'counter', 'price', 'small', 'large',
+]);
+
+const MAX_HINTS = 12;
+
+function norm(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9'-]+/g, ' ').replace(/'/g, '').trim();
+}
+
+// `value` or the single closest entry of `set` within a small edit distance
+function closest(set, value) {
+  if (set.has(value)) return value;
+  const max = value.length < 4 ? 0 : value.length < 9 ? 1 : 2;
+  if (!max) return null;
+  let best = null;
+  let tie = false;
+  for (const term of set) {
+    const d = editDistance(value, term, max);
+    if (d > max) continue;
+    if (!best || d < best.d) {
+      best = { term, d };
+      tie = false;
+    } else if (d === best.d) {
+      tie = true;
+    }
+  }
+  return best && !tie ? best.term : null;
+}
+
+// catalogs: { 'creature-types': [...], 'keyword-abilities': [...], ... } as Scryfall returns them
+function buildVocabulary(catalogs = {}) {
+  const lower = (list) => (list || []).map((v) => String(v).toLowerCase());
+  const types = new Set([...CARD_TYPES, ...SUPERTYPES, ...OTHER_SUBTYPES, ...CREATURE_TYPES]);
+  const creatureTypes = new Set([...CREATURE_TYPES, ...lower(catalogs['creature-types'])]);
+  const keywords = new Set(KEYWORDS);
+  for (const [name, list] of Object.entries(VOCABULARY_CATALOGS)) {
+    for (const v of lower(catalogs[name])) (list === 'types' ? types : keywords).add(v);
+  }
+  const functionTags = new Set(FUNCTION_TAGS);
+  const artTags = new Set(ART_TAGS);
+
+  function correct(kind, raw) {
+    const value = String(raw).toLowerCase();
+    if (kind === 'type') {
+      if (types.has(value)) return value;
+      return singularize(value, types) || closest(types, value);
+    }
+    if (kind === 'keyword') {
+      return closest(keywords, value);
+    }
+    if (kind === 'tag') {
+      const dashed = value.replace(/[\s_]+/g, '-');
+      if (functionTags.has(dashed)) return dashed;
+      const fixed = TAG_FIXES[dashed] || (functionTags.has(dashed.replace(/s$/, '')) && dashed.replace(/s$/, ''));
+      return fixed || closest(functionTags, dashed);
+    }
+    return value;
+  }
+
+  return { types, creatureTypes, keywords, functionTags, artTags, correct };
+}
+
+function clauseFor(key, value) {
+  return `${key}:${value.includes(' ') ? `"${value}"` : value}`;
+}
+
+// [{ text, clause }] for words and phrases of `query` that name a type, keyword or function tag;
+// words one typo away from a long enough term count too
+function vocabularyHints(vocab, query) {
+  const words = norm(query).split(/\s+/).filter(Boolean);
+  const hints = [];
+  const seen = new Set();
+  const used = new Set(); // word indexes already explained by a longer phrase
+  const add = (text, clause, from, size) => {
+    for (let k = from; k < from + size; k++) used.add(k);
+    if (seen.has(clause)) return;
+    seen.add(clause);
+    hints.push({ text, clause, at: from });
+  };
+
+  for (let size = 3; size >= 1; size--) {
+    for (let i = 0; i + size <= words.length; i++) {
+      if ([...Array(size).keys()].some((k) => used.has(i + k))) continue;
+      const phrase = words.slice(i, i + size).join(' ');
+      const tag = TAG_PHRASES[phrase] || (vocab.functionTags.has(phrase.replace(/ /g, '-')) && phrase.replace(/ /g, '-'));
+      if (tag && vocab.functionTags.has(tag)) {
+        add(phrase, `function:${tag}`, i, size);
+        continue;
+      }
+      if (vocab.keywords.has(phrase)) {
+        add(phrase, clauseFor('kw', phrase), i, size);
+        continue;
+      }
+      const type = size > 1 ? vocab.types.has(phrase) && phrase : singularize(phrase, vocab.types);
+      if (type && !AMBIGUOUS_TYPES.has(type)) {
+        add(phrase, clauseFor('t', type), i, size);
+        continue;
+      }
+      const stem = phrase.replace(/s$/, '');
+      if (size === 1 && stem.length >= 5 && !PLAIN_WORDS.has(stem)) {
+        const typo = closest(vocab.creatureTypes, stem) || closest(vocab.keywords, phrase);
+        if (typo) add(phrase, vocab.keywords.has(typo) ? clauseFor('kw', typo) : clauseFor('t', typo), i, 1);
+      }
+    }
+  }
+  return hints
+    .sort((a, b) => a.at - b.at)
+    .slice(0, MAX_HINTS)
+    .map(({ text, clause }) => ({ text, clause }));
+}
+
+module.exports = {
+  VOCABULARY_CATALOGS,
+  buildVocabulary,
+  vocabularyHints,
+};
@@ -0,0 +1,143 @@
+// lib/interpretations.js — ranked alternative readings of one query
+//
+// An interpretation is { syntax, label, confidence, source } where source is one of
+//   primary   the answer /api/convert would give on its own
+//   llm       an alternative reading proposed by the model
+//   set       the primary syntax with its s: clause swapped for another set candidate
+//   rules     the rule-based conversion, when it disagrees with the primary
+// rankInterpretations() dedupes by canonical syntax and normalizes confidences to sum to 1.
+
+const { parseQuery, formatQuery, walk, validateAndRepair } = require('./syntax');
+
+const MAX_INTERPRETATIONS = 5;
+
+// appended to the system prompt when alternatives are requested
+function alternativesPrompt(n) {
+  return `
+
+ALTERNATIVE READINGS
+The request may be ambiguous (a set name shared by several sets, "cheap" meaning mana value or price, ...).
+Return up to ${n} DIFFERENT plausible Scryfall searches for it, most likely first, one per line, exactly:
+<confidence 0-1> | <short label, max 6 words> | <scryfall syntax>
+Example:
+0.7 | Cheap by mana value | function:removal mv<=2
+0.3 | Cheap by price | function:removal usd<1
+Return only those lines. If the request is unambiguous, return a single line.`;
+}
+
+// "0.7 | label | syntax" lines -> [{ confidence, label, syntax }] (invalid syntax is dropped);
+// `vocabulary` is passed on to validateAndRepair
+function parseAlternativesReply(text, { vocabulary = null } = {}) {
+  const out = [];
+  for (const line of String(text || '').split('\n')) {
+    const parts = line.replace(/^\s*(?:[-*]|\d+[.)])\s+/, '').split('|').map((p) => p.trim());
+    if (parts.length < 2) continue;
+    const [first, ...rest] = parts;
+    const hasConfidence = /^\d*\.?\d+%?$/.test(first);
+    let confidence = hasConfidence ? parseFloat(first) : 0.5;
+    if (first.endsWith('%') || confidence > 1) confidence /= 100;
+    const fields = hasConfidence ? rest : parts;
+    const label = fields.length > 1 ? fields[0] : '';
+    const checked = validateAndRepair(fields[fields.length - 1], { vocabulary });
+    if (!checked.ok) continue;
+    out.push({ syntax: checked.syntax, label: label.slice(0, 60), confidence: Math.min(Math.max(confidence, 0), 1) });
+  }
+  return out;
+}
+
+function setClauses(ast) {
+  const found = [];
+  walk(ast, (node, parent) => {
+    if (node.type === 'clause' && (node.key === 's' || node.key === 'e') && parent?.type !== 'not') found.push(node);
+  });
+  return found;
+}
+
+// The primary syntax re-targeted at each other set candidate. Candidates come from
+// getSetCandidatesFromQuery; a candidate's share of the total score becomes its weight.
+// -> { primaryLabel, primaryWeight, swaps: [{ syntax, label, weight }] }
+function setSwapInterpretations(syntax, candidates = []) {
+  let ast;
+  try {
+    ast = parseQuery(syntax);
+  } catch {
+    return { primaryLabel: null, primaryWeight: 1, swaps: [] };
+  }
+  const clauses = setClauses(ast);
+  if (clauses.length !== 1 || candidates.length < 2) return { primaryLabel: null, primaryWeight: 1, swaps: [] };
+
+  const clause = clauses[0];
+  const current = String(clause.value).toLowerCase();
+  // near-misses (score 1-2 word overlaps) are only worth offering next to an exact-name hit
+  const top = Math.max(...candidates.map((c) => c.score));
+  const viable = candidates.filter((c) => c.score >= Math.min(top, 100) / 2 || c.code === current);
+  const total = viable.reduce((sum, c) => sum + c.score, 0) || 1;
+  const label = (c) => `${c.name.replace(/\b\w/g, (ch) => ch.toUpperCase())} (${c.code})`;
+
+  const primary = viable.find((c) => c.code === current);
+  const swaps = [];
+  for (const c of viable) {
+    if (c.code === current) continue;
+    const original = clause.value;
+    clause.value = c.code;
+    swaps.push({ syntax: formatQuery(ast), label: label(c), weight: c.score / total });
+    clause.value = original;
+  }
+  return {
+    primaryLabel: primary ? label(primary) : null,
+    primaryWeight: primary ? primary.score / total : 1 / (swaps.length + 1),
+    swaps,
+  };
+}
+
+// lower-cased, values quoted only where needed, top-level AND terms sorted:
+// `t:goblin c:r` and `c:r t:"goblin"` are the same search
+function canonical(syntax) {
+  try {
+    const ast = parseQuery(syntax);
+    walk(ast, (node) => {
+      if (node.type === 'clause' || node.type === 'word') node.quoted = false;
+    });
+    if (ast?.type === 'and') {
+      const keyed = ast.children.map((node) => ({ node, key: formatQuery(node).toLowerCase() }));
+      keyed.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      ast.children = keyed.map((k) => k.node);
+    }
+    return formatQuery(ast).toLowerCase();
+  } catch {
+    return String(syntax).toLowerCase();
+  }
+}
+
+function sameSyntax(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+// Dedupe (first occurrence wins, keeping the higher confidence), normalize, sort, trim to `limit`.
+function rankInterpretations(list, limit = MAX_INTERPRETATIONS) {
+  const byKey = new Map();
+  for (const item of list) {
+    if (!item?.syntax) continue;
+    const key = canonical(item.syntax);
+    const prev = byKey.get(key);
+    if (!prev) byKey.set(key, { ...item });
+    else {
+      prev.confidence = Math.max(prev.confidence, item.confidence);
+      prev.label = prev.label || item.label;
+    }
+  }
+  const ranked = [...byKey.values()]
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, Math.min(limit, MAX_INTERPRETATIONS));
+  const total = ranked.reduce((sum, i) => sum + i.confidence, 0) || 1;
+  return ranked.map((i) => ({ ...i, confidence: Number((i.confidence / total).toFixed(2)) }));
+}
+
+module.exports = {
+  MAX_INTERPRETATIONS,
+  alternativesPrompt,
+  parseAlternativesReply,
+  setSwapInterpretations,
+  rankInterpretations,
+  sameSyntax,
+};
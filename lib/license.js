@@ -0,0 +1,94 @@
+// lib/license.js — license key format: CSPRNG body + Luhn mod 32 check character
+//
+//   SCRY-XXXX-XXXX-XXXX-XXXC             current: 15 random chars + 1 check char
+//   SCRY-XXXX-XXXX-XXXX / TEST-XXXX-...   legacy keys (no checksum), still accepted
+//
+// Characters come from Crockford's base32 alphabet (no I, L, O or U); on input I/L read
+// as 1 and O as 0, so the usual look-alike mistakes still resolve to the right key.
+// popup.js carries a copy of the check so typos are caught before any request is made.
+
+const crypto = require('crypto');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'SCRY';
+const BODY_LENGTH = 15; // 75 bits of entropy
+const GROUP_SIZE = 4;
+const LEGACY_RE = /^(SCRY|TEST)-[A-Z0-9]{1,4}-[A-Z0-9]{1,4}-[A-Z0-9]{1,4}$/;
+
+function checkChar(body) {
+  const n = ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function hasValidCheck(chars) {
+  return chars.length === BODY_LENGTH + 1 && checkChar(chars.slice(0, -1)) === chars.slice(-1);
+}
+
+// "0123456789ABCDEF" -> "SCRY-0123-4567-89AB-CDEF"
+function formatKey(chars) {
+  const groups = chars.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')) || [];
+  return [PREFIX, ...groups].join('-');
+}
+
+function generateLicenseKey() {
+  // 256 is a multiple of 32, so masking keeps every character equally likely
+  const body = Array.from(crypto.randomBytes(BODY_LENGTH), (b) => ALPHABET[b & 31]).join('');
+  return formatKey(body + checkChar(body));
+}
+
+// Returns { ok, key, legacy } for a usable key, or { ok: false, reason, key } where reason is
+//   EMPTY   nothing entered
+//   FORMAT  not shaped like any key we issue
+//   TYPO    shaped like a current key but fails the check (wrong, missing or extra character)
+function parseLicenseKey(input) {
+  const raw = String(input ?? '').trim().toUpperCase().replace(/\s+/g, '');
+  if (!raw) return { ok: false, reason: 'EMPTY', key: '' };
+  if (LEGACY_RE.test(raw)) return { ok: true, key: raw, legacy: true };
+
+  const match = raw.match(/^SCRY-?([0-9A-Z-]+)$/);
+  if (!match) return { ok: false, reason: 'FORMAT', key: raw };
+  const chars = match[1].replace(/-/g, '').replace(/[IL]/g, '1').replace(/O/g, '0');
+  if ([...chars].some((c) => !ALPHABET.includes(c)) || Math.abs(chars.length - (BODY_LENGTH + 1)) > 1) {
+    return { ok: false, reason: 'FORMAT', key: raw };
+  }
+  const key = formatKey(chars);
+  return hasValidCheck(chars) ? { ok: true, key, legacy: false } : { ok: false, reason: 'TYPO', key };
+}
+
+// Checksum-valid keys one edit away from `input` (substitution, adjacent swap, one missing or
+// extra character). Used for "did you mean" after a TYPO or an unknown key.
+function typoCandidates(input) {
+  const parsed = parseLicenseKey(input);
+  if (parsed.legacy || !parsed.key.startsWith(`${PREFIX}-`)) return [];
+  const chars = parsed.key.slice(PREFIX.length + 1).replace(/-/g, '');
+  const out = new Set();
+  const consider = (candidate) => {
+    if (candidate !== chars && hasValidCheck(candidate)) out.add(formatKey(candidate));
+  };
+
+  for (let i = 0; i <= chars.length; i++) {
+    if (i < chars.length) {
+      consider(chars.slice(0, i) + chars.slice(i + 1));
+      for (const c of ALPHABET) consider(chars.slice(0, i) + c + chars.slice(i + 1));
+      if (i + 1 < chars.length) consider(chars.slice(0, i) + chars[i + 1] + chars[i] + chars.slice(i + 2));
+    }
+    for (const c of ALPHABET) consider(chars.slice(0, i) + c + chars.slice(i));
+  }
+  return [...out];
+}
+
+module.exports = {
+  LICENSE_ALPHABET: ALPHABET,
+  generateLicenseKey,
+  parseLicenseKey,
+  typoCandidates,
+  checkChar,
+};
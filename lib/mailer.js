@@ -0,0 +1,86 @@
+// lib/mailer.js — outgoing email behind one send() with swappable transports
+//
+//   resend   Resend API (needs RESEND_API_KEY)
+//   console  prints the message to stdout (development)
+//   file     appends one JSON line per message to MAIL_FILE (local testing, fixtures)
+//   none     drops everything
+//
+// send({ to, subject, html, text }) resolves to true when the transport accepted the message
+// and false otherwise; it never throws, so callers can treat email as best-effort.
+
+const fs = require('fs');
+const path = require('path');
+const { Resend } = require('resend');
+
+function createResendTransport({ apiKey }) {
+  const resend = new Resend(apiKey);
+  return {
+    name: 'resend',
+    async deliver(message) {
+      const { error } = (await resend.emails.send(message)) || {};
+      if (error) throw new Error(error.message || String(error));
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async deliver(message) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text || message.html}`);
+    },
+  };
+}
+
+function createFileTransport({ file }) {
+  return {
+    name: 'file',
+    async deliver(message) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`);
+    },
+  };
+}
+
+const noneTransport = { name: 'none', async deliver() { throw new Error('email disabled'); } };
+
+function createMailer({ transport = 'none', from, replyTo, apiKey, file } = {}) {
+  const impl =
+    transport === 'resend' ? createResendTransport({ apiKey })
+      : transport === 'console' ? createConsoleTransport()
+        : transport === 'file' ? createFileTransport({ file })
+          : noneTransport;
+
+  return {
+    transport: impl.name,
+    async send({ to, subject, html, text }) {
+      if (impl === noneTransport || !to) return false;
+      try {
+        await impl.deliver({ from, to, replyTo, subject, html, text });
+        return true;
+      } catch (error) {
+        console.error(`Email send failed (${impl.name}):`, error.message);
+        return false;
+      }
+    },
+  };
+}
+
+// Reads mail settings from the environment:
+//   MAIL_TRANSPORT   resend | console | file | none
+//                    (default: resend with RESEND_API_KEY, console outside production, else none)
+//   MAIL_FROM / MAIL_REPLY_TO
+//   MAIL_FILE        output for the file transport (default ./tmp/mail.jsonl)
+function loadMailerConfig(env = process.env) {
+  const transport = env.MAIL_TRANSPORT
+    || (env.RESEND_API_KEY ? 'resend' : env.NODE_ENV === 'production' ? 'none' : 'console');
+  return {
+    transport,
+    apiKey: env.RESEND_API_KEY,
+    from: env.MAIL_FROM || 'onboarding@resend.dev',
+    replyTo: env.MAIL_REPLY_TO || 'henrywisner8@gmail.com',
+    file: env.MAIL_FILE || path.join(process.cwd(), 'tmp', 'mail.jsonl'),
+  };
+}
+
+module.exports = { createMailer, loadMailerConfig };
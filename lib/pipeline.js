@@ -0,0 +1,277 @@
+// lib/pipeline.js — the natural language -> Scryfall conversion behind /api/convert
+//
+// prepare() resolves what the query names (explicit set code, set filters, set candidates,
+// cards, vocabulary), picks similar solved examples, runs the rules and renders the prompt; run() answers from the rules fast
+// path, the conversion cache or the model, falling back to the rules when the model can't help.
+// run() also fills ctx.trace with how the answer came about, for the conversion log:
+//   { outcome: 'rules' | 'cache' | 'model' | 'fallback' | 'error', error, usage, attempts }
+// where `error` is the class of the model failure (also set when the rules covered for it).
+// The HTTP concerns (trial, explain, interpretations) stay in server.js; scripts/eval.js runs
+// the same two steps offline.
+
+const { validateAndRepair } = require('./syntax');
+const { convertWithRules } = require('./rules');
+const { describeCardFacts } = require('./cards');
+const { vocabularyHints } = require('./grounding');
+const { FUNCTION_TAGS } = require('./vocabulary');
+
+class ConversionError extends Error {
+  constructor(message, { status = 500, code, ...details } = {}) {
+    super(message);
+    this.name = 'ConversionError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // the JSON error response
+  toJSON() {
+    return { error: this.message, ...(this.code && { code: this.code }), ...this.details };
+  }
+}
+
+function normQuery(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "(dmu)", "set dmu", "code: dmu"
+function explicitSetCode(text) {
+  const match =
+    text.match(/\(\s*([A-Za-z0-9]{2,5})\s*\)/) ||
+    text.match(/\b(?:set|code)\s*[:=]?\s*([A-Za-z0-9]{2,5})\b/i);
+  return match?.[1];
+}
+
+// prompt lines for candidates, with the set metadata that helps pick between them
+function describeCandidate(c) {
+  const notes = [c.setType?.replace(/_/g, ' '), c.parentCode && `part of ${c.parentCode}`, c.releasedAt.slice(0, 4)];
+  return `- s:${c.code} — ${c.name} (${notes.filter(Boolean).join(', ')})`;
+}
+
+// Prompt sections: ready-made paragraphs for the template variables, '' when there's nothing to say.
+
+function examplesSection(examples) {
+  if (!examples.length) return '';
+  return `SIMILAR QUERIES, ANSWERED
+${examples.map((e) => `"${e.query}" → ${e.syntax}`).join('\n')}
+Rules:
+- These answers are confirmed; where the query asks for the same thing, use the same keys and values.`;
+}
+
+function cardFactsSection(mentions) {
+  if (!mentions.length) return '';
+  const lines = mentions.map((m) => {
+    if (!m.facts.length) return `- "${m.text}" -> ${m.names.slice(0, 2).map((n) => `!"${n}"`).join(' or ')} (no details available)`;
+    const [first, ...others] = m.facts.map(describeCardFacts);
+    return [`- "${m.text}" -> ${first}`, ...others.map((o) => `  or possibly: ${o}`)].join('\n');
+  });
+  return `CARDS NAMED IN THE QUERY (FACTS FROM SCRYFALL)
+${lines.join('\n')}
+Rules:
+- !"<card name>" matches exactly that card; use it only when the user wants the card itself.
+- "cards like X": keep X's defining traits from these facts (card type, mv, function:, kw:) and apply the requested changes; leave out !"X".
+- "for my X deck", "X's color identity", "X commander": use id<= with X's color identity (e.g. id<=wubg).
+- If a name has two possible cards, prefer the one the wording fits; if unclear, use the first.`;
+}
+
+function vocabularySection(hints) {
+  if (!hints.length) return '';
+  return `VOCABULARY FOR THIS QUERY (FROM SCRYFALL)
+${hints.map((h) => `- "${h.text}" -> ${h.clause}`).join('\n')}
+Rules:
+- Use these exact values where the query means them.
+- t:, kw: and function: values that Scryfall doesn't know are removed from the answer; for anything else use o:"...".`;
+}
+
+function setFiltersSection(setFilters) {
+  if (!setFilters.length) return '';
+  return `RESOLVED SET FILTERS (STRICT)
+${setFilters.map((f) => `- "${f.text}" -> ${f.clause}`).join('\n')}
+Rules:
+- Include each of these clauses exactly as written.`;
+}
+
+function setCodesSection(explicitCode, candidates) {
+  if (explicitCode) {
+    return `RESOLVED SET CODES (STRICT)
+- explicit: s:${explicitCode.toLowerCase()}
+Rules:
+- Always use s:${explicitCode.toLowerCase()} when selecting a set code.`;
+  }
+  if (candidates.length === 1) {
+    return `RESOLVED SET CODES (STRICT)
+- "${candidates[0].name}" -> s:${candidates[0].code}
+Rules:
+- Always use s:${candidates[0].code} for this request.`;
+  }
+  if (candidates.length > 1) {
+    return `CANDIDATE SETS (CHOOSE ONLY FROM THESE IF A SET IS IMPLIED)
+${candidates.map(describeCandidate).join('\n')}
+
+Rules:
+- If a set is requested by name, choose the best match from the list above.
+- Do NOT invent other set codes. If none fit, omit the set filter.
+- Never confuse visually similar codes (e.g., cmm ≠ cma, mm2 ≠ mh2, 2xm ≠ mm2).`;
+  }
+  return '';
+}
+
+// `cache` is { key(queryNorm, setContext, promptKey), get(key, queryNorm), set(key, queryNorm, promptKey, payload) }
+// or null for none. `examples` is an example index (lib/examples.js) or null for no dynamic
+// examples. `rulesFastPath` answers fully-understood queries without the model.
+function createConverter({ llm, prompts, resolvers, cache = null, examples = null, rulesFastPath = true, logger = console }) {
+  // section variables are ready-made prompt paragraphs (or '')
+  function renderConvertPrompt(template, sections = {}) {
+    return prompts.render(template, { functionTags: FUNCTION_TAGS.join(' '), ...sections });
+  }
+
+  // everything a conversion of `query` depends on; `subject` picks the prompt experiment arm
+  async function prepare(query, { subject = '' } = {}) {
+    const explicitCode = explicitSetCode(query);
+    const setFilters = await resolvers.getSetFiltersFromQuery(query);
+    const candidates = explicitCode ? [] : await resolvers.getSetCandidatesFromQuery(query, 6, setFilters);
+    const cards = await resolvers.getCardMentionsFromQuery(query, setFilters);
+    const vocab = await resolvers.getVocabulary();
+    const shots = examples ? examples.similar(query) : [];
+    const template = prompts.choose('convert', subject);
+    const system = renderConvertPrompt(template, {
+      examples: examplesSection(shots),
+      cards: cardFactsSection(cards),
+      vocabulary: vocabularySection(vocabularyHints(vocab, query)),
+      setFilters: setFiltersSection(setFilters),
+      setCodes: setCodesSection(explicitCode, candidates),
+    });
+    return {
+      query,
+      explicitCode,
+      setFilters,
+      candidates,
+      cards,
+      vocab,
+      examples: shots,
+      template,
+      promptKey: `${template.id}:${template.hash}`,
+      system,
+      // rule-based conversion: fast path for simple queries, fallback when the provider is unavailable
+      rules: convertWithRules(query, { explicitCode, candidates, filters: setFilters }),
+      queryNorm: normQuery(query),
+      setPath: explicitCode ? 'explicit' : candidates.length === 1 ? 'single' : candidates.length ? 'candidates' : 'none',
+      // filters are part of the cache key: "latest set" resolves differently after a release
+      setContext: [
+        explicitCode ? `explicit:${explicitCode.toLowerCase()}` : candidates.map((c) => c.code).join(','),
+        ...setFilters.map((f) => f.clause),
+        ...cards.map((m) => `card:${m.names.join('/')}`),
+        // so a new or corrected example reaches queries answered before it
+        ...shots.map((e) => `example:${e.query}=${e.syntax}`),
+      ].join('|'),
+      trace: { outcome: null, error: null, usage: null, attempts: [] },
+    };
+  }
+
+  // -> { syntax, provider, repairs, ... } or throws ConversionError (503 NO_PROVIDER,
+  // 422 INVALID_SYNTAX, 500) when neither the model nor the rules have an answer.
+  // `label` prefixes the log lines (the truncated license key).
+  async function run(ctx, { label = '' } = {}) {
+    const { query, template, rules, trace } = ctx;
+    const ruleResponse = (extra = {}) => {
+      trace.outcome = extra.fallback ? 'fallback' : 'rules';
+      logger.log(`[${label}...] "${query}" → "${rules.syntax}" (rules${extra.fallback ? ', fallback' : ''})`);
+      prompts.record(template, extra.fallback ? 'fallback' : 'rules');
+      return { syntax: rules.syntax, provider: 'rules', repairs: [], ...extra };
+    };
+
+    // the rules know nothing about card names, so a query naming one always goes to the model
+    if (rulesFastPath && rules.complete && !ctx.cards.length) return ruleResponse();
+
+    // cache hits only skip the provider
+    const cacheKey = cache && cache.key(ctx.queryNorm, ctx.setContext, ctx.promptKey);
+    const cached = cache && await cache.get(cacheKey, ctx.queryNorm);
+    if (cached) {
+      trace.outcome = 'cache';
+      logger.log(`[${label}...] "${query}" → "${cached.syntax}" (cache)`);
+      prompts.record(template, 'cache');
+      return { ...cached, cached: true };
+    }
+
+    if (llm.configured().length === 0) {
+      trace.error = 'NO_PROVIDER';
+      if (rules.syntax) return ruleResponse({ fallback: true, unmatched: rules.unmatched });
+      trace.outcome = 'error';
+      throw new ConversionError('Could not convert this query without an AI provider', {
+        status: 503,
+        code: 'NO_PROVIDER',
+        unmatched: rules.unmatched,
+      });
+    }
+
+    let completion;
+    let checked;
+    try {
+      completion = await llm.complete({ system: ctx.system, user: query });
+      trace.attempts = completion.attempts;
+      trace.usage = completion.usage || null;
+      if (completion.attempts.length > 1) {
+        logger.log(`🔁 Served by ${completion.provider} after ${completion.attempts.length - 1} failed provider(s)`);
+      }
+      checked = validateAndRepair(completion.text, { vocabulary: ctx.vocab });
+    } catch (error) {
+      logger.error('Conversion error:', error);
+      prompts.record(template, 'error');
+      trace.error = error.name || 'Error';
+      if (error.attempts) trace.attempts = error.attempts;
+      if (rules.syntax) return ruleResponse({ fallback: true, unmatched: rules.unmatched });
+      trace.outcome = 'error';
+      throw new ConversionError(error.message || 'Conversion failed');
+    }
+
+    const result = completion.text;
+    if (!checked.ok) {
+      logger.warn(`[${label}...] "${query}" → invalid "${result}" (${template.id})`, checked.errors);
+      prompts.record(template, 'invalid');
+      trace.error = 'INVALID_SYNTAX';
+      if (rules.syntax) return ruleResponse({ fallback: true, unmatched: rules.unmatched });
+      trace.outcome = 'error';
+      throw new ConversionError('Could not produce valid Scryfall syntax', {
+        status: 422,
+        code: 'INVALID_SYNTAX',
+        details: checked.errors,
+        raw: result.slice(0, 500),
+      });
+    }
+    if (checked.repairs.length) {
+      logger.log(`🔧 Repaired "${result}" → "${checked.syntax}" (${checked.repairs.map((r) => r.rule).join(', ')})`);
+    }
+
+    const shots = ctx.examples.length ? `, ${ctx.examples.length} examples` : '';
+    logger.log(`[${label}...] "${query}" → "${checked.syntax}" (${template.id}${shots})`);
+    prompts.record(template, 'model', { repairs: checked.repairs.length });
+    trace.outcome = 'model';
+    const payload = {
+      syntax: checked.syntax,
+      provider: completion.provider,
+      model: completion.model,
+      repairs: checked.repairs,
+    };
+    if (cache) {
+      await cache.set(cacheKey, ctx.queryNorm, ctx.promptKey, payload).catch((error) => {
+        logger.warn(`Could not cache "${query}": ${error.message}`);
+      });
+    }
+    return { ...payload, cached: false };
+  }
+
+  return { prepare, run, renderConvertPrompt };
+}
+
+module.exports = {
+  ConversionError,
+  createConverter,
+  normQuery,
+  explicitSetCode,
+  describeCandidate,
+  examplesSection,
+  cardFactsSection,
+  vocabularySection,
+  setFiltersSection,
+  setCodesSection,
+};
@@ -0,0 +1,141 @@
+// lib/prompts.js — versioned prompt templates and per-license A/B splits
+//
+// Templates live in prompts/<name>/<version>.txt and are identified as "<name>@<version>"
+// (convert@v1). {{variable}} placeholders are filled by render(); a placeholder on a line of its
+// own becomes a paragraph, or disappears when its value is empty. Cache keys use the template's
+// content hash, so editing a file in place still invalidates what was cached under it.
+//
+// PROMPT_EXPERIMENTS splits traffic between versions, sticky per license:
+//   convert=v1:90,v2:10            10% of licenses get convert@v2
+//   convert=v2;explain-polish=v1   pin versions (default: the highest version on disk)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+const PLACEHOLDER_LINE = /^[ \t]*\{\{(\w+)\}\}[ \t]*(?:\n|$)/gm;
+
+const byVersion = (a, b) => a.version.localeCompare(b.version, undefined, { numeric: true });
+
+function sha12(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+// dir -> Map(name -> [template, ...] oldest version first)
+function loadPromptTemplates(dir) {
+  const templates = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const sub = path.join(dir, name);
+    if (!fs.statSync(sub).isDirectory()) continue;
+    const versions = fs.readdirSync(sub)
+      .filter((file) => file.endsWith('.txt'))
+      .map((file) => {
+        const text = fs.readFileSync(path.join(sub, file), 'utf8');
+        const version = file.slice(0, -4);
+        return {
+          id: `${name}@${version}`,
+          name,
+          version,
+          text,
+          hash: sha12(text),
+          variables: [...new Set([...text.matchAll(PLACEHOLDER)].map((m) => m[1]))],
+        };
+      })
+      .sort(byVersion);
+    if (versions.length) templates.set(name, versions);
+  }
+  return templates;
+}
+
+// "convert=v1:90,v2:10;explain-polish=v1" -> { convert: [{ version, weight }], ... }
+function parseExperiments(spec = '') {
+  const splits = {};
+  for (const part of String(spec).split(';').map((p) => p.trim()).filter(Boolean)) {
+    const [name, arms = ''] = part.split('=').map((p) => p.trim());
+    splits[name] = arms.split(',').map((arm) => {
+      const [version, weight = '1'] = arm.split(':').map((p) => p.trim());
+      return { version, weight: Number(weight) };
+    });
+  }
+  return splits;
+}
+
+function render(template, vars = {}) {
+  const value = (name) => String(vars[name] ?? '').trim();
+  return template.text
+    .replace(PLACEHOLDER_LINE, (_, name) => (value(name) ? `\n${value(name)}\n` : ''))
+    .replace(PLACEHOLDER, (_, name) => value(name))
+    .trim();
+}
+
+// Throws at startup when PROMPT_EXPERIMENTS names a template or version that isn't on disk.
+function createPromptRegistry({ dir, experiments = '' }) {
+  const templates = loadPromptTemplates(dir);
+  const splits = parseExperiments(experiments);
+  for (const [name, arms] of Object.entries(splits)) {
+    for (const { version, weight } of arms) {
+      if (!templates.get(name)?.some((t) => t.version === version)) {
+        throw new Error(`PROMPT_EXPERIMENTS: no template prompts/${name}/${version}.txt`);
+      }
+      if (!(weight >= 0)) throw new Error(`PROMPT_EXPERIMENTS: bad weight for ${name}@${version}`);
+    }
+  }
+  const stats = new Map(); // template id -> outcome counters
+
+  function get(name, version) {
+    const versions = templates.get(name);
+    if (!versions) throw new Error(`Unknown prompt template "${name}"`);
+    const found = version ? versions.find((t) => t.version === version) : versions[versions.length - 1];
+    if (!found) throw new Error(`Unknown prompt template "${name}@${version}"`);
+    return found;
+  }
+
+  // the version `subject` (license key, trial token) is assigned to; the same subject always
+  // lands in the same arm while the split is unchanged
+  function choose(name, subject = '') {
+    const arms = splits[name];
+    if (!arms) return get(name);
+    const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+    if (arms.length === 1 || !total) return get(name, arms[0].version);
+    let bucket = parseInt(sha12(`${name}:${subject}`).slice(0, 8), 16) % total;
+    for (const arm of arms) {
+      if (bucket < arm.weight) return get(name, arm.version);
+      bucket -= arm.weight;
+    }
+    return get(name, arms[arms.length - 1].version);
+  }
+
+  // outcome: 'model' | 'cache' | 'rules' | 'fallback' | 'invalid' | 'error'
+  function record(template, outcome, { repairs = 0 } = {}) {
+    const s = stats.get(template.id) || { model: 0, cache: 0, rules: 0, fallback: 0, invalid: 0, error: 0, repairs: 0 };
+    s[outcome] = (s[outcome] || 0) + 1;
+    s.repairs += repairs;
+    stats.set(template.id, s);
+  }
+
+  function describe() {
+    return [...templates.entries()].map(([name, versions]) => {
+      const arms = splits[name];
+      const total = arms?.reduce((sum, arm) => sum + arm.weight, 0);
+      const active = arms ? null : versions[versions.length - 1].version;
+      return {
+        name,
+        versions: versions.map((t) => {
+          const weight = arms?.find((arm) => arm.version === t.version)?.weight;
+          return {
+            id: t.id,
+            hash: t.hash,
+            variables: t.variables,
+            share: arms ? (total ? (weight || 0) / total : Number(t.version === arms[0].version)) : Number(t.version === active),
+            stats: stats.get(t.id) || null,
+          };
+        }),
+      };
+    });
+  }
+
+  return { get, choose, render, record, describe };
+}
+
+module.exports = { createPromptRegistry, loadPromptTemplates, parseExperiments, render };
@@ -0,0 +1,304 @@
+// lib/providers.js — pluggable LLM providers + priority chain with failover
+//
+// Every provider implements the same interface:
+//   { name, type, model, configured, complete({ system, user, temperature, maxTokens }) }
+// and complete() resolves to { text, model, usage: { inputTokens, outputTokens } }.
+
+const fs = require('fs');
+const { upstreamFetcher } = require('./upstream');
+
+class ProviderError extends Error {
+  constructor(message, { provider, status, attempts } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    if (attempts) this.attempts = attempts;
+  }
+}
+
+async function readError(response) {
+  try {
+    return (await response.text()).slice(0, 500);
+  } catch {
+    return '';
+  }
+}
+
+// OpenAI and anything speaking the same /chat/completions API (vLLM, llama.cpp, Ollama, LM Studio...)
+function createOpenAICompatibleProvider({
+  name = 'openai',
+  type = 'openai-compatible',
+  baseUrl,
+  apiKey,
+  model,
+  requireKey = false,
+  headers = {},
+  fetchImpl = fetch,
+} = {}) {
+  const url = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name,
+    type,
+    model,
+    configured: Boolean(baseUrl && model && (apiKey || !requireKey)),
+    async complete({ system, user, temperature, maxTokens }) {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          ...headers,
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user },
+          ],
+          temperature,
+          max_tokens: maxTokens,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await readError(response);
+        console.error(`${name} API error:`, errorText);
+        throw new ProviderError('AI service temporarily unavailable', { provider: name, status: response.status });
+      }
+
+      const data = await response.json();
+      return {
+        text: (data.choices?.[0]?.message?.content || '').trim(),
+        model: data.model || model,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens ?? null,
+          outputTokens: data.usage?.completion_tokens ?? null,
+        },
+      };
+    },
+  };
+}
+
+function createOpenAIProvider({ name = 'openai', apiKey, model = 'gpt-4o-mini', baseUrl, fetchImpl } = {}) {
+  return createOpenAICompatibleProvider({
+    name,
+    type: 'openai',
+    baseUrl: baseUrl || 'https://api.openai.com/v1',
+    apiKey,
+    model,
+    requireKey: true,
+    fetchImpl,
+  });
+}
+
+function createAnthropicProvider({
+  name = 'anthropic',
+  apiKey,
+  model = 'claude-3-5-haiku-20241022',
+  baseUrl = 'https://api.anthropic.com/v1',
+  fetchImpl = fetch,
+} = {}) {
+  return {
+    name,
+    type: 'anthropic',
+    model,
+    configured: Boolean(apiKey),
+    async complete({ system, user, temperature, maxTokens }) {
+      const response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages: [{ role: 'user', content: user }],
+          temperature,
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await readError(response);
+        console.error(`${name} API error:`, errorText);
+        throw new ProviderError('AI service temporarily unavailable', { provider: name, status: response.status });
+      }
+
+      const data = await response.json();
+      return {
+        text: (data.content?.[0]?.text || '').trim(),
+        model: data.model || model,
+        usage: {
+          inputTokens: data.usage?.input_tokens ?? null,
+          outputTokens: data.usage?.output_tokens ?? null,
+        },
+      };
+    },
+  };
+}
+
+// Scripted provider for tests and offline runs.
+//   responses: { "<user message>": "<reply>" }  (looked up case-insensitively)
+//   script:    ["reply 1", { error: "boom" }, ...] consumed in order when no response matches
+//   fallback:  reply used when neither matches; otherwise the call fails
+function createMockProvider({ name = 'mock', model = 'mock-1', responses = {}, script = [], fallback, file } = {}) {
+  if (file) {
+    const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    responses = { ...loaded.responses, ...responses };
+    script = [...(loaded.script || []), ...script];
+    fallback = fallback ?? loaded.fallback;
+  }
+  const lookup = new Map(Object.entries(responses).map(([k, v]) => [k.trim().toLowerCase(), v]));
+  const queue = [...script];
+  const calls = [];
+
+  return {
+    name,
+    type: 'mock',
+    model,
+    configured: true,
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const key = String(request.user || '').trim().toLowerCase();
+      let reply = lookup.has(key) ? lookup.get(key) : queue.length ? queue.shift() : fallback;
+      if (typeof reply === 'function') reply = await reply(request);
+      if (reply === undefined || reply === null) {
+        throw new ProviderError(`No scripted response for "${request.user}"`, { provider: name });
+      }
+      if (typeof reply === 'object' && reply.error) {
+        throw new ProviderError(reply.error, { provider: name, status: reply.status });
+      }
+      return { text: String(reply).trim(), model, usage: { inputTokens: null, outputTokens: null } };
+    },
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+// HTTP providers go through the upstream wrapper (deadline, retries, breaker "llm:<name>")
+function createProvider(name, config, { timeoutMs = 15000, retries = 1 } = {}) {
+  const factory = FACTORIES[config.type];
+  if (!factory) throw new Error(`Unknown provider type "${config.type}" for "${name}"`);
+  const fetchImpl = upstreamFetcher(`llm:${name}`, {
+    timeoutMs: config.timeoutMs ?? timeoutMs,
+    retries: config.retries ?? retries,
+  });
+  return factory({ name, fetchImpl, ...config });
+}
+
+// Reads provider settings from the environment:
+//   LLM_PROVIDER_CHAIN   priority order, e.g. "openai,anthropic,local" (default)
+//   OPENAI_MODEL / ANTHROPIC_MODEL
+//   LOCAL_LLM_BASE_URL / LOCAL_LLM_MODEL / LOCAL_LLM_API_KEY   self-hosted OpenAI-compatible endpoint
+//   MOCK_LLM_FILE        JSON script for the mock provider (add "mock" to the chain to use it)
+//   LLM_PROVIDERS_JSON   extra providers: {"groq": {"type": "openai-compatible", "baseUrl": ..., "model": ..., "apiKeyEnv": "GROQ_API_KEY"}}
+//   LLM_TEMPERATURE / LLM_MAX_TOKENS
+//   LLM_TIMEOUT_MS / LLM_RETRIES   per-provider deadline and retry budget before failing over
+function loadProviderConfig(env = process.env) {
+  const providers = {
+    openai: { type: 'openai', apiKey: env.OPENAI_API_KEY, model: env.OPENAI_MODEL || 'gpt-4o-mini' },
+    anthropic: {
+      type: 'anthropic',
+      apiKey: env.ANTHROPIC_API_KEY,
+      model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022',
+    },
+    local: {
+      type: 'openai-compatible',
+      baseUrl: env.LOCAL_LLM_BASE_URL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+      model: env.LOCAL_LLM_MODEL,
+    },
+  };
+  if (env.MOCK_LLM_FILE) providers.mock = { type: 'mock', file: env.MOCK_LLM_FILE };
+
+  if (env.LLM_PROVIDERS_JSON) {
+    const extra = JSON.parse(env.LLM_PROVIDERS_JSON);
+    for (const [name, cfg] of Object.entries(extra)) {
+      providers[name] = { ...cfg, apiKey: cfg.apiKey || (cfg.apiKeyEnv ? env[cfg.apiKeyEnv] : undefined) };
+    }
+  }
+
+  const chain = (env.LLM_PROVIDER_CHAIN || 'openai,anthropic,local')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  return {
+    chain,
+    providers,
+    temperature: Number(env.LLM_TEMPERATURE ?? 0.1),
+    maxTokens: Number(env.LLM_MAX_TOKENS ?? 200),
+    timeoutMs: Number(env.LLM_TIMEOUT_MS ?? 15000),
+    retries: Number(env.LLM_RETRIES ?? 1),
+  };
+}
+
+function createProviderRegistry({
+  chain = [],
+  providers = {},
+  temperature = 0.1,
+  maxTokens = 200,
+  timeoutMs,
+  retries,
+  logger = console,
+} = {}) {
+  const registry = new Map();
+  for (const [name, cfg] of Object.entries(providers)) {
+    registry.set(name, typeof cfg.complete === 'function' ? cfg : createProvider(name, cfg, { timeoutMs, retries }));
+  }
+
+  function configured() {
+    return chain.map((name) => registry.get(name)).filter((p) => p && p.configured);
+  }
+
+  // the configured chain, in order; clients don't get to pick a provider
+  async function complete(request) {
+    const attempts = [];
+    for (const provider of configured()) {
+      const started = Date.now();
+      try {
+        const result = await provider.complete({ temperature, maxTokens, ...request });
+        attempts.push({ provider: provider.name, ok: true, ms: Date.now() - started });
+        return { ...result, provider: provider.name, attempts };
+      } catch (error) {
+        attempts.push({ provider: provider.name, ok: false, ms: Date.now() - started, error: error.message });
+        logger.warn(`⚠️ Provider ${provider.name} failed (${error.message}), trying next`);
+      }
+    }
+    throw new ProviderError(
+      attempts.length ? 'AI service temporarily unavailable' : 'No AI provider configured',
+      { attempts }
+    );
+  }
+
+  return {
+    get: (name) => registry.get(name),
+    register(name, provider) {
+      registry.set(name, provider);
+      if (!chain.includes(name)) chain.push(name);
+    },
+    configured,
+    complete,
+    describe: () => configured().map((p) => `${p.name}:${p.model}`),
+  };
+}
+
+module.exports = {
+  ProviderError,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createProvider,
+  createProviderRegistry,
+  loadProviderConfig,
+};
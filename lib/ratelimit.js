@@ -0,0 +1,110 @@
+// lib/ratelimit.js — sliding-window rate limiter over a pluggable counter store
+//
+// Uses the sliding window counter approximation: the previous fixed window's count is
+// weighted by how much of it still overlaps the sliding window, plus the current count.
+// Stores implement:
+//   hit(key, windowStart)   -> { current, previous }   (increments the current window)
+//   undo(key, windowStart)                            (reverts a rejected hit)
+//   cleanup(before)                                   (drops windows starting before `before`)
+
+function createMemoryStore() {
+  const windows = new Map(); // `${key}|${windowStart}` -> count
+
+  return {
+    name: 'memory',
+    async hit(key, windowStart, windowMs) {
+      const id = `${key}|${windowStart}`;
+      const current = (windows.get(id) || 0) + 1;
+      windows.set(id, current);
+      return { current, previous: windows.get(`${key}|${windowStart - windowMs}`) || 0 };
+    },
+    async undo(key, windowStart) {
+      const id = `${key}|${windowStart}`;
+      const count = windows.get(id) || 0;
+      if (count > 1) windows.set(id, count - 1);
+      else windows.delete(id);
+    },
+    async cleanup(before) {
+      for (const id of windows.keys()) {
+        if (Number(id.slice(id.lastIndexOf('|') + 1)) < before) windows.delete(id);
+      }
+    },
+  };
+}
+
+// Counters live in Postgres so they survive restarts and are shared by every instance.
+function createPostgresStore(pool) {
+  return {
+    name: 'postgres',
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+          bucket_key VARCHAR(255) NOT NULL,
+          window_start BIGINT NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (bucket_key, window_start)
+        )
+      `);
+    },
+    async hit(key, windowStart, windowMs) {
+      const result = await pool.query(
+        `WITH cur AS (
+           INSERT INTO rate_limits (bucket_key, window_start, count) VALUES ($1, $2, 1)
+           ON CONFLICT (bucket_key, window_start) DO UPDATE SET count = rate_limits.count + 1
+           RETURNING count
+         )
+         SELECT (SELECT count FROM cur) AS current,
+                COALESCE((SELECT count FROM rate_limits WHERE bucket_key = $1 AND window_start = $3), 0) AS previous`,
+        [key, windowStart, windowStart - windowMs]
+      );
+      return { current: Number(result.rows[0].current), previous: Number(result.rows[0].previous) };
+    },
+    async undo(key, windowStart) {
+      await pool.query(
+        'UPDATE rate_limits SET count = GREATEST(count - 1, 0) WHERE bucket_key = $1 AND window_start = $2',
+        [key, windowStart]
+      );
+    },
+    async cleanup(before) {
+      await pool.query('DELETE FROM rate_limits WHERE window_start < $1', [before]);
+    },
+  };
+}
+
+function createRateLimiter({ store, windowMs, max, fallbackStore = createMemoryStore() }) {
+  // Counts one request against `key`. Rejected requests are not counted.
+  // Returns { allowed, limit, remaining, resetAt }.
+  async function consume(key, limit = max) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let used = store;
+    let counts;
+    try {
+      counts = await store.hit(key, windowStart, windowMs);
+    } catch (error) {
+      // keep limiting (per instance) rather than failing every request while the store is down
+      console.error(`Rate limit store (${store.name}) error:`, error.message);
+      used = fallbackStore;
+      counts = await fallbackStore.hit(key, windowStart, windowMs);
+    }
+
+    const overlap = 1 - (now - windowStart) / windowMs;
+    const estimate = Math.floor(counts.previous * overlap) + counts.current;
+    const resetAt = windowStart + windowMs;
+
+    if (estimate > limit) {
+      await used.undo(key, windowStart).catch(() => {});
+      return { allowed: false, limit, remaining: 0, resetAt };
+    }
+    return { allowed: true, limit, remaining: Math.max(0, limit - estimate), resetAt };
+  }
+
+  async function cleanup() {
+    const before = Math.floor(Date.now() / windowMs) * windowMs - windowMs;
+    await Promise.all([store.cleanup(before), fallbackStore.cleanup(before)]);
+  }
+
+  return { consume, cleanup, windowMs, max, store: store.name };
+}
+
+module.exports = { createMemoryStore, createPostgresStore, createRateLimiter };
@@ -0,0 +1,335 @@
+// lib/refine.js — edits an existing Scryfall query from a follow-up instruction
+//
+// "now only commander legal", "drop the blue ones", "cheaper": the previous syntax is parsed and
+// the instruction becomes clause-level edits on its top-level AND list, so everything the user
+// didn't mention survives untouched. Each edit is recorded as an op:
+//   { op: 'add', clause, replaced }   new clause (same-slot clauses such as a second f: are replaced)
+//   { op: 'remove', clause }          clause dropped from the query
+//   { op: 'exclude', clause }         negated clause added because there was nothing to drop
+//   { op: 'adjust', from, to }        numeric bound moved ("cheaper", "bigger")
+// refineWithRules() reports `complete: false` when words of the instruction went unused; the
+// server hands those to the model instead.
+
+const { parseQuery, formatQuery } = require('./syntax');
+const { convertWithRules } = require('./rules');
+const { CARD_TYPES, SUPERTYPES } = require('./vocabulary');
+
+const SEGMENT_SPLIT = /\s*(?:[,;]|\band then\b|\bthen\b|\bbut\b)\s*/;
+const REMOVE_RE = /^(?:drop|remove|exclude|without|no more|no|not|except|minus|skip|lose|hide|get rid of|take out|filter out|leave out)\s+(?:the\s+|any\s+|all\s+)?/;
+const ADD_RE = /^(?:(?:please|now|and|also|plus|add|with|make (?:it|them)|only|just|instead|that are|which are|that have)\s+)+/;
+const ADDITIVE_RE = /^(?:also|plus|add)\b|\b(?:too|as well)$/;
+
+// "drop the set filter", "any price": a whole kind of clause at once
+const SLOT_WORDS = {
+  set: ['s', 'e'],
+  sets: ['s', 'e'],
+  price: ['usd'],
+  color: ['c'],
+  colour: ['c'],
+  colors: ['c'],
+  format: ['f'],
+  legality: ['f'],
+  rarity: ['r'],
+  type: ['t'],
+  types: ['t'],
+  'mana value': ['mv'],
+  cmc: ['mv'],
+  cost: ['mv'],
+  power: ['pow'],
+  toughness: ['tou'],
+  keyword: ['kw'],
+  keywords: ['kw'],
+  sort: ['order', 'direction'],
+  sorting: ['order', 'direction'],
+  order: ['order', 'direction'],
+};
+const SLOT_RE = new RegExp(
+  `^(?:any\\s+)?(${Object.keys(SLOT_WORDS).sort((a, b) => b.length - a.length).join('|')})(?:\\s+(?:filter|restriction|requirement|limit|part)s?)?$`
+);
+
+// comparatives move an existing bound, or add `fallback` when there is none
+const ADJUSTMENTS = [
+  { re: /\b(?:cheaper to cast|lower (?:mana value|cmc|cost|curve)|less mana)\b/, key: 'mv', dir: -1, fallback: 'mv<=3' },
+  { re: /\b(?:higher (?:mana value|cmc|cost|curve)|more mana)\b/, key: 'mv', dir: 1, fallback: 'mv>=5' },
+  { re: /\b(?:cheaper|less expensive|lower price)\b/, key: 'usd', dir: -1, fallback: 'usd<=5' },
+  { re: /\b(?:pricier|more expensive|higher price)\b/, key: 'usd', dir: 1, fallback: 'usd>=5' },
+  { re: /\b(?:bigger|larger|stronger|beefier)\b/, key: 'pow', dir: 1, fallback: 'pow>=4' },
+  { re: /\b(?:smaller|weaker)\b/, key: 'pow', dir: -1, fallback: 'pow<=2' },
+];
+
+const ORDER_WORDS = {
+  price: 'usd',
+  'mana value': 'cmc',
+  cmc: 'cmc',
+  name: 'name',
+  power: 'power',
+  toughness: 'toughness',
+  rarity: 'rarity',
+  'release date': 'released',
+  release: 'released',
+  date: 'released',
+  popularity: 'edhrec',
+  edhrec: 'edhrec',
+  color: 'color',
+  set: 'set',
+};
+const ORDER_RE = new RegExp(
+  `\\b(?:sort(?:ed)?|order(?:ed)?)\\s+(?:them\\s+|it\\s+|results\\s+)?by\\s+(${Object.keys(ORDER_WORDS).sort((a, b) => b.length - a.length).join('|')})` +
+  '(?:\\s+(ascending|descending|asc|desc|low to high|high to low))?'
+);
+const ORDER_SHORTCUTS = [
+  [/\bcheapest first\b/, 'usd', 'asc'],
+  [/\b(?:most expensive|priciest) first\b/, 'usd', 'desc'],
+  [/\b(?:newest|latest) first\b/, 'released', 'desc'],
+  [/\boldest first\b/, 'released', 'asc'],
+];
+
+const CARD_TYPE_SET = new Set(CARD_TYPES);
+const SUPERTYPE_SET = new Set(SUPERTYPES);
+
+function clauseNode(text) {
+  return parseQuery(text);
+}
+
+function canonical(node) {
+  return formatQuery(node).toLowerCase();
+}
+
+// Which "slots" a clause occupies. Adding a clause replaces existing clauses sharing a slot
+// ("now only modern" swaps f:pauper for f:modern); an empty list means purely additive.
+function slotsOf(node) {
+  if (node.type === 'or') return [...new Set(node.children.flatMap(slotsOf))];
+  if (node.type !== 'clause') return [];
+  const { key, op, value } = node;
+  const v = String(value).toLowerCase();
+  if (key === 's' || key === 'e') return ['set'];
+  if (['c', 'id', 'f', 'r', 'order', 'direction'].includes(key)) return [key];
+  if (['usd', 'eur', 'tix', 'mv', 'pow', 'tou', 'loy', 'year'].includes(key)) {
+    if (op === '<' || op === '<=') return [`${key}:hi`];
+    if (op === '>' || op === '>=') return [`${key}:lo`];
+    return [`${key}:hi`, `${key}:lo`];
+  }
+  if (key === 't') {
+    if (SUPERTYPE_SET.has(v)) return [];
+    if (v === 'creature') return ['cardtype'];
+    // a non-creature card type makes any creature subtype meaningless
+    if (CARD_TYPE_SET.has(v)) return ['cardtype', 'subtype'];
+    return ['subtype'];
+  }
+  return [];
+}
+
+function topLevel(ast) {
+  if (!ast) return [];
+  return ast.type === 'and' ? [...ast.children] : [ast];
+}
+
+function fromTopLevel(children) {
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+function formatNumber(n) {
+  return String(Number(n.toFixed(2)));
+}
+
+function step(key, value, dir) {
+  const n = Number(value);
+  if (key === 'usd' || key === 'eur' || key === 'tix') return formatNumber(dir < 0 ? n / 2 : n * 2);
+  return String(Math.max(0, n + dir));
+}
+
+class Editor {
+  constructor(ast) {
+    this.children = topLevel(ast);
+    this.ops = [];
+  }
+
+  indexOf(node) {
+    const key = canonical(node);
+    return this.children.findIndex((c) => canonical(c) === key);
+  }
+
+  add(node, { additive = false } = {}) {
+    if (this.indexOf(node) !== -1) return;
+    const replaced = [];
+    if (node.type === 'not') {
+      // "non-blue" after "blue": the positive clause goes
+      const i = this.indexOf(node.child);
+      if (i !== -1) replaced.push(...this.children.splice(i, 1));
+    } else if (!additive) {
+      const slots = new Set(slotsOf(node));
+      this.children = this.children.filter((c) => {
+        const clash = slotsOf(c).some((s) => slots.has(s));
+        if (clash) replaced.push(c);
+        return !clash;
+      });
+    }
+    this.children.push(node);
+    this.ops.push({ op: 'add', clause: formatQuery(node), replaced: replaced.map((r) => formatQuery(r)) });
+  }
+
+  // drops `node` wherever it sits at the top level or inside a top-level OR; excludes it otherwise
+  remove(node) {
+    const i = this.indexOf(node);
+    if (i !== -1) {
+      this.children.splice(i, 1);
+      this.ops.push({ op: 'remove', clause: formatQuery(node) });
+      return;
+    }
+    const key = canonical(node);
+    for (let j = 0; j < this.children.length; j++) {
+      const child = this.children[j];
+      if (child.type !== 'or') continue;
+      const kept = child.children.filter((c) => canonical(c) !== key);
+      if (kept.length === child.children.length) continue;
+      this.children[j] = kept.length === 1 ? kept[0] : { type: 'or', children: kept };
+      this.ops.push({ op: 'remove', clause: formatQuery(node) });
+      return;
+    }
+    // "drop the blue ones" from c:ub leaves c:b
+    if (node.type === 'clause' && (node.key === 'c' || node.key === 'id') && /^[wubrg]+$/i.test(node.value)) {
+      const letters = node.value.toLowerCase();
+      const host = this.children.find((c) =>
+        c.type === 'clause' && c.key === node.key && [':', '>='].includes(c.op) &&
+        /^[wubrg]{2,}$/i.test(c.value) && [...letters].every((l) => c.value.toLowerCase().includes(l)));
+      if (host) {
+        const from = formatQuery(host);
+        host.value = [...host.value.toLowerCase()].filter((l) => !letters.includes(l)).join('');
+        this.ops.push({ op: 'adjust', from, to: formatQuery(host) });
+        return;
+      }
+    }
+    const negated = node.type === 'not' ? node.child : { type: 'not', child: node };
+    this.children.push(negated);
+    this.ops.push({ op: 'exclude', clause: formatQuery(negated) });
+  }
+
+  removeSlot(keys) {
+    const dropped = this.children.filter((c) => c.type === 'clause' && keys.includes(c.key));
+    if (!dropped.length) return false;
+    this.children = this.children.filter((c) => !dropped.includes(c));
+    for (const d of dropped) this.ops.push({ op: 'remove', clause: formatQuery(d) });
+    return true;
+  }
+
+  adjust({ key, dir, fallback }) {
+    const bounds = this.children.filter((c) => c.type === 'clause' && c.key === key && !isNaN(Number(c.value)));
+    const toward = dir < 0 ? ['<', '<=', ':', '='] : ['>', '>=', ':', '='];
+    const same = bounds.find((c) => toward.includes(c.op));
+    const from = same || bounds[0];
+    if (!from) {
+      this.add(clauseNode(fallback));
+      return;
+    }
+    const before = formatQuery(from);
+    if (same) {
+      from.value = step(key, from.value, dir);
+      if (from.op === ':' || from.op === '=') from.op = dir < 0 ? '<=' : '>=';
+    } else {
+      // only an opposite bound ("bigger" after pow<=2): flip it
+      from.op = dir < 0 ? '<' : '>';
+    }
+    this.ops.push({ op: 'adjust', from: before, to: formatQuery(from) });
+  }
+
+  result() {
+    return fromTopLevel(this.children);
+  }
+}
+
+// clause nodes the rules converter finds in `text`; `t:creature` is dropped next to a creature
+// subtype when removing, so "no elves" excludes elves rather than every creature
+function ruleNodes(text, sets, { forRemoval = false } = {}) {
+  const converted = convertWithRules(text, sets);
+  let clauses = converted.clauses.map((c) => c.clause);
+  if (forRemoval && clauses.some((c) => /^t:/.test(c) && c !== 't:creature')) {
+    clauses = clauses.filter((c) => c !== 't:creature');
+  }
+  return {
+    nodes: [...new Set(clauses)].map(clauseNode).filter(Boolean),
+    unmatched: converted.unmatched,
+  };
+}
+
+function applySegment(editor, segment, sets, unmatched) {
+  let text = segment.trim();
+  if (!text) return;
+
+  const order = text.match(ORDER_RE);
+  const shortcut = ORDER_SHORTCUTS.find(([re]) => re.test(text));
+  if (order || shortcut) {
+    const [by, dir] = order ? [ORDER_WORDS[order[1]], order[2]] : shortcut.slice(1);
+    editor.add(clauseNode(`order:${by}`));
+    if (dir) editor.add(clauseNode(`direction:${/^(?:asc|low)/.test(dir) ? 'asc' : 'desc'}`));
+    text = text.replace(order ? order[0] : shortcut[0], ' ').trim();
+    if (!text) return;
+  }
+
+  const adjustment = ADJUSTMENTS.find((a) => a.re.test(text));
+  if (adjustment) {
+    editor.adjust(adjustment);
+    text = text.replace(adjustment.re, ' ').replace(/\b(?:make (?:it|them)|a bit|a little|much|even|now)\b/g, ' ').trim();
+    if (!text) return;
+  }
+
+  const removal = text.match(REMOVE_RE);
+  if (removal || /^any\s/.test(text)) {
+    const rest = removal ? text.slice(removal[0].length) : text;
+    const slot = rest.match(SLOT_RE);
+    if (slot) {
+      editor.removeSlot(SLOT_WORDS[slot[1]]);
+      return;
+    }
+    const found = ruleNodes(rest, sets, { forRemoval: true });
+    for (const node of found.nodes) editor.remove(node);
+    unmatched.push(...found.unmatched);
+    return;
+  }
+
+  const additive = ADDITIVE_RE.test(text);
+  const rest = text.replace(ADD_RE, '').replace(/\b(?:too|as well)$/, '').trim();
+  const found = ruleNodes(rest, sets);
+  for (const node of found.nodes) editor.add(node, { additive });
+  unmatched.push(...found.unmatched);
+}
+
+// Applies `instruction` to `syntax`. `sets` is the resolver output for the instruction text
+// ({ explicitCode, candidates }, as for convertWithRules).
+// -> { syntax, ops, complete, unmatched }
+function refineWithRules(syntax, instruction, sets = {}) {
+  let ast;
+  try {
+    ast = parseQuery(syntax);
+  } catch {
+    return { syntax: '', ops: [], complete: false, unmatched: [] };
+  }
+  const editor = new Editor(ast);
+  const unmatched = [];
+  const text = String(instruction || '').toLowerCase().replace(/[.!?]+$/, '').trim();
+  for (const segment of text.split(SEGMENT_SPLIT)) applySegment(editor, segment, sets, unmatched);
+
+  // added clauses come from convertWithRules (already validated); the rest is the user's own
+  // search, which repairs for model output would mangle ("lightning bolt" is a name search)
+  const result = editor.result();
+  const out = result ? formatQuery(result) : '';
+  return {
+    syntax: out,
+    ops: editor.ops,
+    complete: !!out && editor.ops.length > 0 && unmatched.length === 0,
+    unmatched,
+  };
+}
+
+// appended to the system prompt when the model does the edit
+function refinePrompt(syntax) {
+  return `
+
+REFINING AN EXISTING SEARCH
+The user already ran this Scryfall search:
+${syntax}
+Their message is an instruction to change it. Apply only that change and keep every other part
+of the search as it is. Output the complete edited syntax only.`;
+}
+
+module.exports = { refineWithRules, refinePrompt, slotsOf };
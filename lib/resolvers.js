@@ -0,0 +1,186 @@
+// lib/resolvers.js — what a query names: sets, cards, and the t:/kw:/function: vocabulary
+//
+// Each resolver is backed by a snapshot catalog (see lib/catalog.js). The server passes its
+// snapshot store and the Scryfall upstream fetcher; scripts/eval.js passes fixture files and a
+// fetchImpl that never touches the network, so both resolve queries through the same code.
+//   files.sets        Scryfall /sets list             (e.g. fixtures/scryfall/sets.json)
+//   files.cardNames   /catalog/card-names             (e.g. fixtures/scryfall/card-names.json)
+//   files.catalogDir  one /catalog/<name> file each   (e.g. fixtures/scryfall/catalogs)
+// Every get*/fetch* function here resolves even when Scryfall is down and nothing is loaded.
+
+const path = require('path');
+const { createCatalog } = require('./catalog');
+const { LRUCache } = require('./cache');
+const { buildSetCatalog, findSetCandidates, resolveSetFilters } = require('./sets');
+const { buildCardNameIndex, findCardNames, cardFacts } = require('./cards');
+const { VOCABULARY_CATALOGS, buildVocabulary } = require('./grounding');
+
+const SETS_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+const CARD_NAMES_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+const CARD_FACTS_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7d
+const VOCABULARY_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7d
+const CARD_FACTS_WAIT_MS = 1500; // per query, all names together
+
+// cardFactsWaitMs: how long a query waits for card facts; slower ones are cached for the next query
+function createResolvers({ store = null, fetchImpl = fetch, files = {}, cardFactsWaitMs = CARD_FACTS_WAIT_MS } = {}) {
+  // ---------- sets ----------
+  const setCatalog = createCatalog({
+    name: 'scryfall-sets',
+    url: 'https://api.scryfall.com/sets',
+    ttlMs: SETS_TTL_MS,
+    store,
+    file: files.sets || null,
+    fetchImpl,
+    extract: (json) => json.data,
+    transform: buildSetCatalog,
+  });
+
+  // with no snapshot anywhere and Scryfall down, queries just get no set help
+  async function fetchAllSets() {
+    try {
+      return await setCatalog.get();
+    } catch (error) {
+      console.warn(`Set catalog unavailable: ${error.message}`);
+      return [];
+    }
+  }
+
+  // display name for a set code, from whatever catalog is loaded (no fetch)
+  function setNameFor(code) {
+    return setCatalog.peek()?.find((s) => s.code === code)?.name || null;
+  }
+
+  // sets the query may name (see lib/sets.js); `filters` spans are skipped
+  async function getSetCandidatesFromQuery(query, k = 6, filters = []) {
+    return findSetCandidates(await fetchAllSets(), query, { k, exclude: filters });
+  }
+
+  // "latest set", "from 2019", "any masters set", "tarkir block" -> ready-made clauses
+  async function getSetFiltersFromQuery(query) {
+    return resolveSetFilters(await fetchAllSets(), query);
+  }
+
+  // ---------- card names ----------
+  // "cards like Lightning Bolt", "my Atraxa deck": names come from Scryfall's card-name catalog,
+  // facts about each named card from /cards/named.
+  const cardNameCatalog = createCatalog({
+    name: 'scryfall-card-names',
+    url: 'https://api.scryfall.com/catalog/card-names',
+    ttlMs: CARD_NAMES_TTL_MS,
+    store,
+    file: files.cardNames || null,
+    fetchImpl,
+    extract: (json) => json.data,
+    transform: buildCardNameIndex,
+  });
+  const cardFactsCache = new LRUCache({ max: 2000, ttlMs: CARD_FACTS_TTL_MS });
+
+  // null when Scryfall doesn't know the card or can't be reached (only the former is cached)
+  async function fetchCardFacts(name) {
+    const cached = cardFactsCache.get(name);
+    if (cached !== undefined) return cached;
+    try {
+      const resp = await fetchImpl(`https://api.scryfall.com/cards/named?exact=${encodeURIComponent(name)}`);
+      const facts = resp.ok ? cardFacts(await resp.json()) : null;
+      if (resp.ok || resp.status === 404) cardFactsCache.set(name, facts);
+      return facts;
+    } catch (error) {
+      console.warn(`Card facts for "${name}" unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  // in flight, so a slow card is fetched once however many queries name it
+  const pendingFacts = new Map();
+  function lookupCardFacts(name) {
+    if (!pendingFacts.has(name)) {
+      pendingFacts.set(name, fetchCardFacts(name).finally(() => pendingFacts.delete(name)));
+    }
+    return pendingFacts.get(name);
+  }
+
+  // card names in the query with facts for each reading (two at most for ambiguous short names);
+  // `exclude` spans (set filters) are skipped. Facts not back within cardFactsWaitMs are left out
+  // (the prompt says "no details available") and land in the cache when they arrive.
+  async function getCardMentionsFromQuery(query, exclude = []) {
+    let index;
+    try {
+      index = await cardNameCatalog.get();
+    } catch (error) {
+      console.warn(`Card name catalog unavailable: ${error.message}`);
+      return [];
+    }
+    const mentions = findCardNames(index, query, { exclude });
+    const names = [...new Set(mentions.flatMap((m) => m.names.slice(0, 2)))];
+    const facts = new Map();
+    let timer;
+    await Promise.race([
+      Promise.all(names.map(async (name) => facts.set(name, await lookupCardFacts(name)))),
+      new Promise((resolve) => { timer = setTimeout(resolve, cardFactsWaitMs); }),
+    ]);
+    clearTimeout(timer);
+    const late = names.filter((name) => !facts.has(name));
+    if (late.length) console.warn(`Card facts for ${late.map((n) => `"${n}"`).join(', ')} still loading; converting without them`);
+    return mentions.map((m) => ({
+      ...m,
+      facts: m.names.slice(0, 2).map((name) => facts.get(name)).filter(Boolean),
+    }));
+  }
+
+  // ---------- vocabulary ----------
+  // Types and keywords come from Scryfall's catalogs; until they load, or with Scryfall
+  // unreachable and no snapshot, the static lists in lib/vocabulary.js apply.
+  const vocabularyCatalogs = Object.keys(VOCABULARY_CATALOGS).map((name) => createCatalog({
+    name: `scryfall-${name}`,
+    url: `https://api.scryfall.com/catalog/${name}`,
+    ttlMs: VOCABULARY_TTL_MS,
+    store,
+    file: files.catalogDir ? path.join(files.catalogDir, `${name}.json`) : null,
+    fetchImpl,
+    extract: (json) => json.data,
+  }));
+  let vocabulary = buildVocabulary();
+  let vocabularyLists = [];
+
+  // rebuilt whenever one of the catalogs has changed
+  async function getVocabulary() {
+    const lists = await Promise.all(vocabularyCatalogs.map((c) => c.get().catch((error) => {
+      console.warn(`Catalog ${c.name} unavailable: ${error.message}`);
+      return null;
+    })));
+    if (lists.some((list, i) => list !== vocabularyLists[i])) {
+      vocabularyLists = lists;
+      vocabulary = buildVocabulary(Object.fromEntries(Object.keys(VOCABULARY_CATALOGS).map((name, i) => [name, lists[i]])));
+    }
+    return vocabulary;
+  }
+
+  // load everything up front so the first query doesn't wait on it
+  function warm() {
+    return Promise.all([
+      fetchAllSets(),
+      cardNameCatalog.get().catch((error) => console.warn(`Card name catalog unavailable: ${error.message}`)),
+      getVocabulary(),
+    ]);
+  }
+
+  function status() {
+    return {
+      sets: setCatalog.status(),
+      cardNames: cardNameCatalog.status(),
+      vocabulary: Object.fromEntries(vocabularyCatalogs.map((c) => [c.name.replace(/^scryfall-/, ''), c.status()])),
+    };
+  }
+
+  return {
+    setNameFor,
+    getSetCandidatesFromQuery,
+    getSetFiltersFromQuery,
+    getCardMentionsFromQuery,
+    getVocabulary,
+    warm,
+    status,
+  };
+}
+
+module.exports = { createResolvers };
@@ -0,0 +1,384 @@
+// lib/rules.js — deterministic natural-language → Scryfall converter (no LLM)
+//
+// Handles the bread-and-butter patterns from the prompt examples. Every clause records the
+// span of the query it came from; a conversion is `complete` only when nothing but filler
+// words is left over, which is what lets /api/convert use it as a fast path.
+
+const {
+  COLORS,
+  COLOR_GROUPS,
+  CARD_TYPES,
+  SUPERTYPES,
+  FORMATS,
+  toCreatureType,
+} = require('./vocabulary');
+const { validateAndRepair } = require('./syntax');
+
+// keywords common enough in plain English queries to match without an operator
+const RULE_KEYWORDS = [
+  'first strike', 'double strike', 'split second', 'flying', 'vigilance', 'deathtouch',
+  'lifelink', 'trample', 'haste', 'menace', 'reach', 'hexproof', 'indestructible', 'flash',
+  'defender', 'ward', 'shroud', 'prowess', 'cascade', 'convoke', 'delve', 'dredge', 'infect',
+  'toxic', 'undying', 'persist', 'flashback', 'cycling', 'kicker', 'storm', 'affinity',
+  'proliferate', 'scry', 'surveil', 'changeling', 'annihilator', 'exalted', 'equip',
+];
+
+const KEYWORD_NOUNS = {
+  flyers: 'flying',
+  fliers: 'flying',
+  flier: 'flying',
+  flyer: 'flying',
+  lifelinkers: 'lifelink',
+  tramplers: 'trample',
+};
+
+const FUNCTION_PHRASES = [
+  ['graveyard hate', 'graveyard-hate'],
+  ['board wipes?', 'board-wipe'],
+  ['board wipe', 'board-wipe'],
+  ['wraths?', 'board-wipe'],
+  ['sweepers?', 'board-wipe'],
+  ['mana rocks?', 'mana-rock'],
+  ['mana dorks?', 'mana-dork'],
+  ['card draw', 'draw'],
+  ['life ?gain', 'lifegain'],
+  ['sac(?:rifice)? outlets?', 'sacrifice-outlet'],
+  ['removal', 'removal'],
+  ['ramp', 'ramp'],
+  ['counterspells?', 'counterspell'],
+  ['counter ?magic', 'counterspell'],
+  ['tutors?', 'tutor'],
+  ['burn', 'burn'],
+  ['reanimation', 'reanimate'],
+  ['extra turns?', 'extra-turn'],
+];
+
+const FORMAT_WORDS = { edh: 'commander', cedh: 'commander', pdh: 'paupercommander' };
+
+const RARITY_WORDS = {
+  commons: 'c', common: 'c',
+  uncommons: 'u', uncommon: 'u',
+  'mythic rares': 'm', 'mythic rare': 'm', mythics: 'm', mythic: 'm',
+  rares: 'r', rare: 'r',
+};
+
+const STATS = {
+  power: 'pow',
+  toughness: 'tou',
+  loyalty: 'loy',
+  'mana value': 'mv',
+  'mana cost': 'mv',
+  cmc: 'mv',
+  mv: 'mv',
+};
+
+// creature types that are also everyday English; only matched in the plural
+const AMBIGUOUS_TYPES = new Set([
+  'army', 'child', 'egg', 'eye', 'sand', 'orb', 'mount', 'guest', 'elder', 'spawn', 'shade',
+  'incarnation', 'reflection', 'spike', 'carrier', 'processor', 'survivor', 'citizen',
+  'noble', 'coward', 'employee', 'performer', 'detective', 'doctor', 'scientist', 'monger',
+]);
+
+// "or" isn't filler: one the matchers didn't use joins things the rules would AND together
+const FILLER = new Set([
+  'a', 'an', 'the', 'and', 'with', 'that', 'which', 'who', 'have', 'has', 'having',
+  'are', 'is', 'in', 'of', 'from', 'for', 'to', 'all', 'any', 'some', 'cards', 'card',
+  'spells', 'spell', 'me', 'show', 'find', 'list', 'search', 'my', 'deck', 'decks', 'ones',
+  'legal', 'format', 'set', 'costing', 'cost', 'costs', 'mana', 'i', 'want', 'need', 'good',
+  'best', 'give', 'get', 'can', 'be', 'played', 'playable', 'by', 'on', 'it', 'them',
+  'their', 'its', 'featuring', 'plus',
+]);
+
+// ", ", " or ", " and ", ", and " between the items of a list
+const LIST_SEP = '(?:\\s*,\\s*(?:(?:and|or)\\s+)?|\\s+(?:and|or)\\s+)';
+
+function splitList(text) {
+  return text.split(/\s*,\s*(?:(?:and|or)\s+)?|\s+(?:and|or)\s+/).filter(Boolean);
+}
+
+const NEGATION_RE = /(?:\bnon-?|\bnot\s+|\bwithout\s+|\bno\s+|\bexcept\s+)$/;
+
+// clause groups in the order the prompt examples write them
+const GROUP_ORDER = ['supertype', 'creature', 'type', 'subtype', 'color', 'keyword', 'function', 'art', 'format', 'mv', 'pow', 'tou', 'loy', 'rarity', 'usd', 'set'];
+
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const STAT_RE = Object.keys(STATS).sort((a, b) => b.length - a.length).join('|');
+const COLOR_RE = Object.keys(COLORS).join('|');
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Matcher {
+  constructor(query) {
+    this.query = query;
+    this.text = query.toLowerCase();
+    this.taken = new Array(query.length).fill(false);
+    this.matches = [];
+  }
+
+  free(start, end) {
+    for (let i = start; i < end; i++) if (this.taken[i]) return false;
+    return true;
+  }
+
+  claim(start, end) {
+    for (let i = start; i < end; i++) this.taken[i] = true;
+  }
+
+  // runs `re` (global) over the query; `build` returns clause(s) for a match or null to skip
+  take(re, build) {
+    for (const m of this.text.matchAll(re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (!this.free(start, end)) continue;
+      const clauses = build(m);
+      if (!clauses) continue;
+      this.claim(start, end);
+      for (const c of [].concat(clauses)) {
+        this.matches.push({ ...c, start, end, text: this.query.slice(start, end) });
+      }
+    }
+  }
+
+  leftover() {
+    const words = [];
+    for (const m of this.text.matchAll(/[a-z0-9$'][a-z0-9$'+-]*/g)) {
+      if (this.free(m.index, m.index + m[0].length) && !FILLER.has(m[0])) words.push(m[0]);
+    }
+    return words;
+  }
+}
+
+function statClauses(key, op, a, b) {
+  if (b !== undefined) {
+    return [
+      { group: key, clause: `${key}>=${a}` },
+      { group: key, clause: `${key}<=${b}` },
+    ];
+  }
+  return { group: key, clause: `${key}${op}${a}` };
+}
+
+function matchSets(m, { explicitCode, candidates, filters }) {
+  // set/date phrases the resolver already turned into clauses ("latest set", "from 2019")
+  for (const f of filters || []) {
+    if (!m.free(f.start, f.end)) continue;
+    m.claim(f.start, f.end);
+    for (const clause of f.clause.match(/\([^)]*\)|\S+/g)) {
+      m.matches.push({ group: 'set', clause, start: f.start, end: f.end, text: m.query.slice(f.start, f.end) });
+    }
+  }
+  if (explicitCode) {
+    const code = explicitCode.toLowerCase();
+    m.take(/\(\s*[a-z0-9]{2,5}\s*\)|\b(?:set|code)\s*[:=]?\s*[a-z0-9]{2,5}\b/g, () => ({ group: 'set', clause: `s:${code}` }));
+    return;
+  }
+  if (!candidates?.length) return;
+  const best = [...candidates].sort((a, b) => b.score - a.score || b.nameNorm.length - a.nameNorm.length)[0];
+  // exact names and nicknames; close typos too, via the words actually typed
+  if (best.score < 80 || (best.score < 100 && !best.matched)) return;
+  const words = (best.matched || best.nameNorm).split(' ').map(escapeRe).join('[^a-z0-9]+');
+  m.take(new RegExp(`\\b(?:(?:from|in)\\s+)?(?:the\\s+)?${words}\\b(?:\\s+set)?`, 'g'), () => ({
+    group: 'set',
+    clause: `s:${best.code}`,
+  }));
+}
+
+function matchPrices(m) {
+  m.take(new RegExp(`\\$${NUM}\\s*(?:-|to)\\s*\\$?${NUM}`, 'g'), (x) => statClauses('usd', null, x[1], x[2]));
+  m.take(new RegExp(`(?:between|from)\\s+\\$${NUM}\\s+(?:and|to)\\s+\\$?${NUM}`, 'g'), (x) => statClauses('usd', null, x[1], x[2]));
+  m.take(new RegExp(`(?:under|less than|below|cheaper than|at most|up to)\\s+(?:\\$${NUM}|${NUM}\\s*(?:dollars|bucks))`, 'g'), (x) =>
+    statClauses('usd', x[0].startsWith('at most') || x[0].startsWith('up to') ? '<=' : '<', x[1] || x[2]));
+  m.take(new RegExp(`(?:over|more than|above|at least)\\s+(?:\\$${NUM}|${NUM}\\s*(?:dollars|bucks))`, 'g'), (x) =>
+    statClauses('usd', x[0].startsWith('at least') ? '>=' : '>', x[1] || x[2]));
+  m.take(new RegExp(`\\$${NUM}\\s*(?:or less|or under|and under|or cheaper)`, 'g'), (x) => statClauses('usd', '<=', x[1]));
+  m.take(new RegExp(`\\$${NUM}\\s*(?:\\+|or more|and up|or over)`, 'g'), (x) => statClauses('usd', '>=', x[1]));
+  m.take(/\b(?:budget|cheap price)\b/g, () => statClauses('usd', '<=', '1'));
+}
+
+function matchStats(m) {
+  const stat = `(${STAT_RE})`;
+  const key = (s) => STATS[s];
+  m.take(new RegExp(`\\b${stat}\\s+(?:of\\s+|between\\s+)?(\\d+)\\s*(?:-|to|and)\\s*(\\d+)\\b`, 'g'), (x) => statClauses(key(x[1]), null, x[2], x[3]));
+  m.take(new RegExp(`\\b${stat}\\s+(?:of\\s+|is\\s+)?(\\d+)\\s*(?:\\+|or more|or greater|or higher|and up)`, 'g'), (x) => statClauses(key(x[1]), '>=', x[2]));
+  m.take(new RegExp(`\\b${stat}\\s+(?:of\\s+|is\\s+)?(\\d+)\\s*(?:or less|or fewer|or lower|and under|and below)`, 'g'), (x) => statClauses(key(x[1]), '<=', x[2]));
+  m.take(new RegExp(`\\b${stat}\\s+(?:is\\s+)?(greater than|more than|over|above|at least|less than|fewer than|under|below|at most|>=|<=|>|<)\\s*(\\d+)\\b`, 'g'), (x) => {
+    const ops = {
+      'greater than': '>', 'more than': '>', over: '>', above: '>', 'at least': '>=',
+      'less than': '<', 'fewer than': '<', under: '<', below: '<', 'at most': '<=',
+    };
+    return statClauses(key(x[1]), ops[x[2]] || x[2], x[3]);
+  });
+  m.take(new RegExp(`\\b${stat}\\s*(?:of\\s+|equal to\\s+|=\\s*|is\\s+|:\\s*)?(\\d+)\\b`, 'g'), (x) => statClauses(key(x[1]), ':', x[2]));
+  m.take(new RegExp(`\\b(\\d+)\\s*(\\+|or more|or less)?\\s+(power|toughness|loyalty)\\b`, 'g'), (x) =>
+    statClauses(key(x[3]), x[2] ? (x[2] === 'or less' ? '<=' : '>=') : ':', x[1]));
+
+  // mana-specific phrasing
+  m.take(/\b(?:under|less than|below|fewer than)\s+(\d+)\s+mana\b/g, (x) => statClauses('mv', '<', x[1]));
+  m.take(/\b(\d+)\s+mana\s+or\s+(less|more|fewer)\b/g, (x) => statClauses('mv', x[2] === 'more' ? '>=' : '<=', x[1]));
+  m.take(/\b(\d+)\s*\+\s*mana\b/g, (x) => statClauses('mv', '>=', x[1]));
+  m.take(/\b(\d+)[- ](?:mana|drops?|cmc|mv)\b/g, (x) => statClauses('mv', ':', x[1]));
+  m.take(/\b(?:cheap|low[- ]cost|low curve)\b/g, () => statClauses('mv', '<=', '3'));
+  m.take(/\b(?:expensive|big|high[- ]cost)\b(?=.*\b(?:spells?|creatures?|cards?)\b)/g, () => statClauses('mv', '>=', '6'));
+}
+
+function matchColors(m) {
+  const color = `(${COLOR_RE})`;
+  m.take(new RegExp(`\\bmono[- ]?${color}\\b`, 'g'), (x) => ({ group: 'color', clause: `c=${COLORS[x[1]]}` }));
+  m.take(new RegExp(`\\b${color}((?:\\s*(?:,|or)\\s*${color})+)\\b`, 'g'), (x) => {
+    const names = x[0].split(/\s*(?:,|\bor\b)\s*/).filter(Boolean);
+    if (!/\bor\b/.test(x[0])) return null;
+    return { group: 'color', clause: `(${names.map((n) => `c:${COLORS[n]}`).join(' OR ')})` };
+  });
+  m.take(new RegExp(`\\b${color}((?:\\s*(?:,|and|-|/)\\s*${color})+)\\b`, 'g'), (x) => {
+    const letters = x[0].split(/\s*(?:,|\band\b|-|\/)\s*/).filter(Boolean).map((n) => COLORS[n]);
+    return { group: 'color', clause: `c:${[...new Set(letters)].join('')}` };
+  });
+  m.take(new RegExp(`\\b${color}\\b`, 'g'), (x) => ({ group: 'color', clause: `c:${COLORS[x[1]]}` }));
+  m.take(/\bcolou?rless\b/g, () => ({ group: 'color', clause: 'c:colorless' }));
+  m.take(/\bmulti-?colou?r(?:ed)?\b|\bgold cards?\b/g, () => ({ group: 'color', clause: 'c:m' }));
+  m.take(new RegExp(`\\b(${COLOR_GROUPS.join('|')})\\b`, 'g'), (x) => ({ group: 'color', clause: `c:${x[1]}` }));
+}
+
+function matchKeywords(m) {
+  const kws = [...RULE_KEYWORDS].sort((a, b) => b.length - a.length).map(escapeRe).join('|');
+  m.take(new RegExp(`\\b(${kws})\\b`, 'g'), (x) => {
+    const value = x[1].includes(' ') ? `"${x[1]}"` : x[1];
+    return { group: 'keyword', clause: `kw:${value}` };
+  });
+  m.take(new RegExp(`\\b(${Object.keys(KEYWORD_NOUNS).join('|')})\\b`, 'g'), (x) => [
+    { group: 'creature', clause: 't:creature', implied: true },
+    { group: 'keyword', clause: `kw:${KEYWORD_NOUNS[x[1]]}` },
+  ]);
+}
+
+function matchFunctions(m) {
+  for (const [phrase, tag] of FUNCTION_PHRASES) {
+    m.take(new RegExp(`\\b${phrase}\\b`, 'g'), () => ({ group: 'function', clause: `function:${tag}` }));
+  }
+}
+
+function matchArt(m) {
+  m.take(/\b([a-z]+)\s+in\s+(?:the\s+)?art(?:work)?\b/g, (x) => ({
+    group: 'art',
+    clause: `art:${x[1].replace(/ies$/, 'y').replace(/(?<!s)s$/, '')}`,
+  }));
+}
+
+function matchFormats(m) {
+  const formats = [...FORMATS, ...Object.keys(FORMAT_WORDS)].sort((a, b) => b.length - a.length).join('|');
+  m.take(new RegExp(`\\b(?:legal in\\s+|playable in\\s+)?(${formats})(?:[- ]legal)?\\b`, 'g'), (x) => ({
+    group: 'format',
+    clause: `f:${FORMAT_WORDS[x[1]] || x[1]}`,
+  }));
+}
+
+function matchRarity(m) {
+  const words = Object.keys(RARITY_WORDS).sort((a, b) => b.length - a.length).join('|');
+  m.take(new RegExp(`\\b(?:at\\s+)?(${words})\\b`, 'g'), (x) => ({ group: 'rarity', clause: `r:${RARITY_WORDS[x[1]]}` }));
+}
+
+function matchTypes(m) {
+  const typeOf = (word) => word.replace(/ies$/, 'y').replace(/s$/, '');
+  const anyType = `(?:${CARD_TYPES.map((t) => (t === 'sorcery' ? 'sorcer(?:y|ies)' : `${t}s?`)).join('|')})`;
+  // "instants or sorceries", "artifacts, enchantments or lands", "instants and sorceries":
+  // no card is both, so a list of types is a disjunction whichever word joins it
+  m.take(new RegExp(`\\b${anyType}(?:${LIST_SEP}${anyType})+\\b`, 'g'), (x) => {
+    // "non-creature or land" isn't -(t:creature OR t:land); leave it to the model
+    if (!/\b(?:or|and)\b/.test(x[0]) || NEGATION_RE.test(m.text.slice(0, x.index))) return null;
+    const names = splitList(x[0]);
+    return { group: 'type', clause: `(${names.map((n) => `t:${typeOf(n)}`).join(' OR ')})` };
+  });
+  m.take(new RegExp(`\\b(${SUPERTYPES.join('|')})\\b`, 'g'), (x) => ({ group: 'supertype', clause: `t:${x[1]}` }));
+  m.take(/\bcreatures?\b/g, () => ({ group: 'creature', clause: 't:creature' }));
+  const types = CARD_TYPES.filter((t) => t !== 'creature').map((t) => (t === 'sorcery' ? 'sorcer(?:y|ies)' : `${t}s?`));
+  m.take(new RegExp(`\\b(${types.join('|')})\\b`, 'g'), (x) => ({
+    group: 'type',
+    clause: `t:${typeOf(x[1])}`,
+  }));
+  const creatureTypeOf = (word) => {
+    const creatureType = toCreatureType(word);
+    return creatureType && !(AMBIGUOUS_TYPES.has(creatureType) && word === creatureType) ? creatureType : null;
+  };
+  // "goblins and elves", "dogs or cats" (t:creature is implied: a negation doesn't apply to it)
+  m.take(new RegExp(`\\b[a-z][a-z-]+(?:${LIST_SEP}[a-z][a-z-]+)+\\b`, 'g'), (x) => {
+    const names = splitList(x[0]).map(creatureTypeOf);
+    if (names.some((n) => !n) || NEGATION_RE.test(m.text.slice(0, x.index))) return null;
+    return [
+      { group: 'creature', clause: 't:creature', implied: true },
+      { group: 'subtype', clause: `(${[...new Set(names)].map((n) => `t:${n}`).join(' OR ')})` },
+    ];
+  });
+  m.take(/\b[a-z][a-z-]+\b/g, (x) => {
+    const creatureType = creatureTypeOf(x[0]);
+    if (!creatureType) return null;
+    return [
+      { group: 'creature', clause: 't:creature', implied: true },
+      { group: 'subtype', clause: `t:${creatureType}` },
+    ];
+  });
+}
+
+// "non-creature", "not blue", "without flying", "no lands"; "not elves" negates t:elf only
+function applyNegation(m) {
+  for (const match of m.matches) {
+    if (match.implied) continue;
+    const before = m.text.slice(0, match.start);
+    const neg = before.match(NEGATION_RE);
+    if (!neg) continue;
+    match.clause = `-${match.clause}`;
+    match.start -= neg[0].length;
+    match.text = m.query.slice(match.start, match.end);
+    m.claim(match.start, match.end);
+  }
+}
+
+// "goblins and artifacts": two types joined by a free "and" came out as separate clauses, which
+// ANDs them (almost never what's meant); the caller treats it as unmatched so the model decides
+function typesJoinedByAnd(m) {
+  const TYPE_GROUPS = new Set(['creature', 'type', 'subtype', 'supertype']);
+  const typeMatches = m.matches.filter((c) => TYPE_GROUPS.has(c.group));
+  for (const and of m.text.matchAll(/(?:\s*,)?\s+and\s+/g)) {
+    const start = and.index;
+    const end = start + and[0].length;
+    if (!m.free(start, end)) continue;
+    if (typeMatches.some((c) => c.end === start) && typeMatches.some((c) => c.start === end)) return true;
+  }
+  return false;
+}
+
+// Converts `query` with rules only. `sets` carries the resolver output:
+// { explicitCode, candidates, filters } from getSetCandidatesFromQuery / getSetFiltersFromQuery.
+function convertWithRules(query, sets = {}) {
+  const m = new Matcher(String(query || ''));
+  matchSets(m, sets);
+  matchPrices(m);
+  matchStats(m);
+  matchFunctions(m);
+  matchArt(m);
+  matchKeywords(m);
+  matchFormats(m);
+  matchRarity(m);
+  matchColors(m);
+  matchTypes(m);
+  applyNegation(m);
+
+  const seen = new Set();
+  const clauses = m.matches
+    .filter((c) => (seen.has(c.clause) ? false : seen.add(c.clause)))
+    .sort((a, b) => GROUP_ORDER.indexOf(a.group) - GROUP_ORDER.indexOf(b.group) || a.start - b.start);
+
+  const unmatched = m.leftover();
+  if (typesJoinedByAnd(m)) unmatched.push('and');
+  const checked = validateAndRepair(clauses.map((c) => c.clause).join(' '));
+  const syntax = checked.ok ? checked.syntax : '';
+  return {
+    syntax,
+    complete: !!syntax && unmatched.length === 0,
+    clauses: clauses.map(({ clause, start, end, text }) => ({ clause, start, end, text })),
+    unmatched,
+  };
+}
+
+module.exports = { convertWithRules };
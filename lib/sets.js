@@ -0,0 +1,338 @@
+// lib/sets.js — set catalog, fuzzy set-name matching and set/date phrases
+//
+// buildSetCatalog() turns Scryfall's /sets payload into the resolver's catalog. Against it:
+//   findSetCandidates()  sets a query may be naming: exact names, nicknames ("LotR", "OG Ravnica"),
+//                        codes with digits ("mh3"), and typos within a small edit distance
+//   resolveSetFilters()  phrases that become clauses directly: "sets from 2019" -> year=2019,
+//                        "latest set" -> s:<code>, "any Masters set" -> st:masters,
+//                        "Tarkir block" -> b:ktk, "last 3 sets" -> (s:a OR s:b OR s:c)
+// Both are pure; server.js owns fetching and caching the catalog.
+
+const NOISE_WORDS = /\b(the|set|edition|masters|anthology|collection|series)\b/g;
+
+// nickname -> set code(s); several codes make the nickname ambiguous on purpose
+const NICKNAMES = {
+  lotr: ['ltr'],
+  'lord of the rings': ['ltr'],
+  'og ravnica': ['rav'],
+  'original ravnica': ['rav'],
+  'og innistrad': ['isd'],
+  'original innistrad': ['isd'],
+  'og zendikar': ['zen'],
+  'original zendikar': ['zen'],
+  'og mirrodin': ['mrd'],
+  'og theros': ['ths'],
+  'og kamigawa': ['chk'],
+  'og dominaria': ['dom'],
+  alpha: ['lea'],
+  beta: ['leb'],
+  unlimited: ['2ed'],
+  revised: ['3ed'],
+  khans: ['ktk'],
+  'neon dynasty': ['neo'],
+  capenna: ['snc'],
+  'brothers war': ['bro'],
+  eldraine: ['eld', 'woe'],
+  'commander masters': ['cmm'],
+  'commander anthology': ['cma'],
+  'modern masters 2015': ['mm2'],
+  'modern horizons 2': ['mh2'],
+  'double masters': ['2xm'],
+  dominaria: ['dom'],
+  'dominaria united': ['dmu'],
+};
+
+// set_type values Scryfall uses, keyed by how people say them
+const SET_TYPE_WORDS = {
+  masters: 'masters',
+  core: 'core',
+  commander: 'commander',
+  expansion: 'expansion',
+  'draft innovation': 'draft_innovation',
+  'duel deck': 'duel_deck',
+  'from the vault': 'from_the_vault',
+  'premium deck': 'premium_deck',
+  funny: 'funny',
+  un: 'funny',
+  alchemy: 'alchemy',
+  masterpiece: 'masterpiece',
+};
+
+// only offered as candidates when the query asks for them
+const SIDE_SET_TYPES = new Set(['token', 'memorabilia', 'promo', 'alchemy', 'minigame']);
+const SIDE_SET_WORDS = /\b(?:tokens?|promos?|alchemy|art series|memorabilia|minigames?)\b/;
+
+// expansions and core sets are what people mean by "the latest set"
+const MAIN_SET_TYPES = new Set(['expansion', 'core']);
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const YEAR = '((?:19|20)\\d{2})';
+
+function norm(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function tighten(s) {
+  return s.replace(NOISE_WORDS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Scryfall /sets `data` -> catalog entries
+function buildSetCatalog(rawSets = []) {
+  return rawSets.map((s) => ({
+    code: (s.code || '').toLowerCase(),
+    name: s.name || '',
+    nameNorm: norm(s.name || ''),
+    releasedAt: s.released_at || '0000-00-00',
+    setType: s.set_type || null,
+    parentCode: s.parent_set_code ? s.parent_set_code.toLowerCase() : null,
+    blockCode: s.block_code ? s.block_code.toLowerCase() : null,
+    block: s.block || null,
+    digital: !!s.digital,
+  }));
+}
+
+// Edit distance counting a swap of two neighbouring letters as one typo ("dinosuar"),
+// giving up (returning max + 1) once it must exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], before[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// typos allowed for a name of this length
+function allowedTypos(length) {
+  if (length < 5) return 0;
+  if (length < 9) return 1;
+  if (length < 14) return 2;
+  return 3;
+}
+
+function scoreMatch(q, nameNorm) {
+  if (` ${q} `.includes(` ${nameNorm} `)) return 100;
+  const qw = new Set(q.split(/\s+/));
+  const nw = new Set(nameNorm.split(/\s+/));
+  let overlap = 0;
+  for (const w of nw) if (qw.has(w)) overlap++;
+  return overlap;
+}
+
+// best window of `words` (same word count as `name`) within edit distance of `name`
+function fuzzyMatch(words, name) {
+  const size = name.split(' ').length;
+  const max = allowedTypos(name.length);
+  if (!max || words.length < size) return null;
+  let best = null;
+  for (let i = 0; i + size <= words.length; i++) {
+    const window = words.slice(i, i + size).join(' ');
+    // typos rarely hit both of the first two letters; skipping those windows keeps this cheap
+    if (window === name || (window[0] !== name[0] && window[1] !== name[1])) continue;
+    const d = editDistance(window, name, max);
+    if (d <= max && (!best || d < best.distance)) best = { distance: d, matched: window };
+  }
+  return best;
+}
+
+// Sets `query` may be naming, best first:
+//   [{ code, name, nameNorm, releasedAt, setType, parentCode, block, score, matched }]
+// score 100 is an exact name, nickname or code hit; 80-90 a typo; 1-3 word overlap.
+// `matched` is the normalized query text that named the set, when there is one.
+// Spans already turned into filters (`exclude`) are not matched again.
+function findSetCandidates(catalog, query, { k = 6, exclude = [] } = {}) {
+  let text = String(query || '');
+  for (const f of exclude) text = `${text.slice(0, f.start)}${' '.repeat(f.end - f.start)}${text.slice(f.end)}`;
+  const q = norm(text);
+  if (!q) return [];
+  const qTight = tighten(q);
+  const words = q.split(' ');
+  const wantsSideSets = SIDE_SET_WORDS.test(q);
+  const byCode = new Map(catalog.map((s) => [s.code, s]));
+
+  const scored = [];
+  const consider = (set, score, matched) => {
+    if (score >= 1) scored.push({ ...set, score, matched });
+  };
+
+  for (const s of catalog) {
+    if (SIDE_SET_TYPES.has(s.setType) && !wantsSideSets) continue;
+    // a one-word tight name ("double" for Double Masters) is too loose to count on its own
+    const sTight = tighten(s.nameNorm);
+    const exact = Math.max(scoreMatch(q, s.nameNorm), sTight.includes(' ') ? scoreMatch(qTight, sTight) : 0);
+    if (exact === 100) {
+      consider(s, 100, ` ${q} `.includes(` ${s.nameNorm} `) ? s.nameNorm : sTight);
+      continue;
+    }
+    const typo = fuzzyMatch(words, s.nameNorm);
+    if (typo) consider(s, 90 - 10 * (typo.distance - 1), typo.matched);
+    else consider(s, exact);
+  }
+
+  for (const [nickname, codes] of Object.entries(NICKNAMES)) {
+    if (!` ${q} `.includes(` ${nickname} `)) continue;
+    for (const code of codes) if (byCode.has(code)) consider(byCode.get(code), 100, nickname);
+  }
+
+  // codes with a digit ("mh3", "2xm", "m21") are safe to read as set codes on their own
+  for (const word of words) {
+    if (/^(?=.*\d)(?=.*[a-z])[a-z0-9]{3,5}$/.test(word) && byCode.has(word)) consider(byCode.get(word), 100, word);
+  }
+
+  const bestByCode = new Map();
+  for (const s of scored) {
+    const prev = bestByCode.get(s.code);
+    if (!prev || s.score > prev.score) bestByCode.set(s.code, s);
+  }
+  // "dominaria" inside "dominaria united" is only a word overlap
+  const named = [...bestByCode.values()].filter((s) => s.score >= 80);
+  for (const s of named) {
+    const longer = named.some((o) => o.matched.length > s.matched.length && ` ${o.matched} `.includes(` ${s.matched} `));
+    if (longer) s.score = s.matched.split(' ').length;
+  }
+  // on a tie, a main set ranks ahead of its own commander decks, promos, etc.
+  return [...bestByCode.values()]
+    .sort((a, b) =>
+      b.score - a.score ||
+      Number(!!a.parentCode) - Number(!!b.parentCode) ||
+      b.releasedAt.localeCompare(a.releasedAt))
+    .slice(0, k)
+    .map(({ digital, blockCode, ...rest }) => rest);
+}
+
+// ---------- set / date phrases ----------
+
+function released(catalog, today) {
+  const now = today.toISOString().slice(0, 10);
+  return catalog
+    .filter((s) => MAIN_SET_TYPES.has(s.setType) && !s.digital && s.releasedAt <= now)
+    .sort((a, b) => b.releasedAt.localeCompare(a.releasedAt));
+}
+
+function orGroup(codes) {
+  return codes.length === 1 ? `s:${codes[0]}` : `(${codes.map((c) => `s:${c}`).join(' OR ')})`;
+}
+
+function blockFor(catalog, phrase) {
+  const words = norm(phrase).replace(/^(?:the|og|original)\s+/, '').split(' ').filter(Boolean);
+  if (!words.length) return null;
+  const blocks = new Map();
+  for (const s of catalog) if (s.blockCode && s.block) blocks.set(s.blockCode, norm(s.block));
+  const wanted = words.join(' ');
+  let best = null;
+  for (const [code, name] of blocks) {
+    if (name === wanted) return code;
+    if (!words.every((w) => ` ${name} `.includes(` ${w} `))) continue;
+    if (!best || name.length < best.name.length) best = { code, name };
+  }
+  return best?.code || null;
+}
+
+// Set and date phrases in `query` that map straight to clauses:
+//   [{ clause, start, end, text }]  (spans index into `query`)
+// `today` pins "latest set" and "this year" (tests, eval runs).
+function resolveSetFilters(catalog, query, { today = new Date() } = {}) {
+  const source = String(query || '');
+  const text = source.toLowerCase();
+  const taken = [];
+  const out = [];
+  const year = today.getUTCFullYear();
+  // "Core Set 2019", "Commander Legends": words that belong to a set name stay with the set
+  const nameSpans = [];
+  for (const s of catalog) {
+    if (!s.nameNorm.includes(' ') || !text.includes(s.nameNorm.slice(0, s.nameNorm.indexOf(' ')))) continue;
+    const re = new RegExp(`\\b${s.nameNorm.split(' ').join('[^a-z0-9]+')}\\b`, 'g');
+    for (const m of text.matchAll(re)) nameSpans.push({ start: m.index, end: m.index + m[0].length });
+  }
+
+  const free = (start, end) => !taken.some((t) => start < t.end && end > t.start);
+  const push = (clause, start, end) => {
+    taken.push({ start, end });
+    out.push({ clause, start, end, text: source.slice(start, end) });
+  };
+  const take = (re, build, { outsideSetNames = false } = {}) => {
+    for (const m of text.matchAll(re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (!free(start, end)) continue;
+      if (outsideSetNames && nameSpans.some((t) => start < t.end && end > t.start)) continue;
+      const clause = build(m, start, end);
+      if (clause) push(clause, start, end);
+    }
+  };
+
+  // latest / upcoming sets
+  take(/\b(?:the\s+)?(?:last|latest|newest|most recent)\s+(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:sets|expansions)\b/g, (m) => {
+    const n = Math.min(Number(m[1]) || NUMBER_WORDS[m[1]], 12);
+    const codes = released(catalog, today).slice(0, n).map((s) => s.code);
+    return codes.length ? orGroup(codes) : null;
+  });
+  take(/\b(?:the\s+)?(?:latest|newest|most recent|current|last)\s+(?:standard\s+)?(?:set|expansion)\b/g, () => {
+    const latest = released(catalog, today)[0];
+    return latest ? `s:${latest.code}` : null;
+  });
+  take(/\b(?:the\s+)?(?:next|upcoming)\s+(?:set|expansion)\b/g, () => {
+    const now = today.toISOString().slice(0, 10);
+    const next = catalog
+      .filter((s) => MAIN_SET_TYPES.has(s.setType) && !s.digital && s.releasedAt > now)
+      .sort((a, b) => a.releasedAt.localeCompare(b.releasedAt))[0];
+    return next ? `s:${next.code}` : null;
+  });
+
+  // set types: "any masters set", "commander decks", "un-sets"
+  const typeWords = Object.keys(SET_TYPE_WORDS).sort((a, b) => b.length - a.length).join('|');
+  take(new RegExp(`\\b(?:(?:any|all|every)\\s+(?:of\\s+the\\s+)?)?(${typeWords})[- ]?(?:sets?|products?|releases?|decks?)\\b`, 'g'), (m) =>
+    `st:${SET_TYPE_WORDS[m[1]]}`, { outsideSetNames: true });
+
+  // blocks: "Tarkir block", "the Khans of Tarkir block" - longest run of words naming a block
+  for (const m of text.matchAll(/\bblock\b/g)) {
+    const end = m.index + m[0].length;
+    for (let n = 4; n >= 1; n--) {
+      const words = text.slice(0, m.index).match(new RegExp(`(?:[a-z']+\\s+){${n}}$`));
+      if (!words) continue;
+      const start = m.index - words[0].length;
+      const code = free(start, end) && blockFor(catalog, words[0].replace(/'/g, ''));
+      if (code) {
+        push(`b:${code}`, start, end);
+        break;
+      }
+    }
+  }
+
+  // years
+  take(new RegExp(`\\b(?:between|from)\\s+${YEAR}\\s+(?:and|to)\\s+${YEAR}\\b|\\b${YEAR}\\s*(?:-|–|to)\\s*${YEAR}\\b`, 'g'), (m) => {
+    const [a, b] = [m[1] || m[3], m[2] || m[4]].map(Number).sort((x, y) => x - y);
+    return `year>=${a} year<=${b}`;
+  });
+  take(new RegExp(`\\b(?:before|prior to|older than|pre-?)\\s*${YEAR}\\b`, 'g'), (m) => `year<${m[1]}`);
+  take(new RegExp(`\\b(?:after|newer than|post-?)\\s*${YEAR}\\b`, 'g'), (m) => `year>${m[1]}`);
+  take(new RegExp(`\\b(?:since\\s+${YEAR}|${YEAR}\\s*(?:\\+|or later|or newer|and later|and newer|onwards?))`, 'g'), (m) => `year>=${m[1] || m[2]}`);
+  take(new RegExp(`\\b${YEAR}\\s*(?:or earlier|or older|and earlier|and older)`, 'g'), (m) => `year<=${m[1]}`);
+  take(/\b(?:from|in)\s+the\s+(?:19|')?([5-9]0)'?s\b|\b(?:from|in)\s+the\s+20([0-2]0)'?s\b/g, (m) => {
+    const decade = m[1] ? 1900 + Number(m[1]) : 2000 + Number(m[2]);
+    return `year>=${decade} year<=${decade + 9}`;
+  });
+  take(/\b(?:from|in|printed|released)\s+(this|last)\s+year\b/g, (m) => `year=${m[1] === 'this' ? year : year - 1}`);
+  take(new RegExp(`\\b(?:(?:sets?|cards?|printed|released|from|in)\\s+)+(?:the\\s+year\\s+)?${YEAR}\\b`, 'g'), (m) =>
+    `year=${m[1]}`, { outsideSetNames: true });
+
+  return out.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  NICKNAMES,
+  buildSetCatalog,
+  editDistance,
+  findSetCandidates,
+  resolveSetFilters,
+};
@@ -0,0 +1,107 @@
+// lib/stripe-webhook.js — verified, exactly-once handling of Stripe webhook events
+//
+// Unsigned or mis-signed payloads are rejected. Each event id is claimed in stripe_events before
+// its handler runs and marked processed after; a delivery whose id is already claimed is
+// acknowledged as a duplicate. A failed handler releases its claim so Stripe's retry runs it
+// again, and a claim left unprocessed (the process died mid-handler) can be taken over once it's
+// older than `claimTimeoutMs`. Handlers must therefore tolerate running twice for one event.
+//
+// Event stores implement:
+//   claim(eventId, type) -> true if this delivery should process the event
+//   finish(eventId, outcome)
+//   release(eventId)
+
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function createStripeEventStore(pool, { claimTimeoutMs = CLAIM_TIMEOUT_MS } = {}) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS stripe_events (
+          event_id VARCHAR(255) PRIMARY KEY,
+          type VARCHAR(100) NOT NULL,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          processed_at TIMESTAMP,
+          outcome TEXT
+        )
+      `);
+      await pool.query('ALTER TABLE stripe_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    },
+
+    // a new event, or one whose earlier claim went stale without being processed
+    async claim(eventId, type) {
+      const result = await pool.query(
+        `INSERT INTO stripe_events (event_id, type, claimed_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (event_id) DO UPDATE SET claimed_at = CURRENT_TIMESTAMP
+           WHERE stripe_events.processed_at IS NULL
+             AND stripe_events.claimed_at < CURRENT_TIMESTAMP - make_interval(secs => $3)
+         RETURNING event_id`,
+        [eventId, type, claimTimeoutMs / 1000]
+      );
+      return result.rows.length > 0;
+    },
+
+    async finish(eventId, outcome) {
+      await pool.query(
+        'UPDATE stripe_events SET processed_at = CURRENT_TIMESTAMP, outcome = $2 WHERE event_id = $1',
+        [eventId, outcome]
+      );
+    },
+
+    // forget a claimed event whose processing failed, so Stripe's retry is handled
+    async release(eventId) {
+      await pool.query('DELETE FROM stripe_events WHERE event_id = $1 AND processed_at IS NULL', [eventId]);
+    },
+  };
+}
+
+// Express handler for the raw-body webhook route. `handlers` maps event types to
+// async (object) => outcome string, stored on the stripe_events row; other types are ignored.
+function createStripeWebhook({ stripe, secret, handlers, events, logger = console }) {
+  return async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    if (!secret) {
+      logger.error('❌ STRIPE_WEBHOOK_SECRET not configured');
+      return res.status(500).send('Webhook secret not configured');
+    }
+    if (!sig) {
+      return res.status(400).send('Webhook Error: missing Stripe-Signature header');
+    }
+
+    let event;
+    try {
+      const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body);
+      event = stripe.webhooks.constructEvent(payload, sig, secret);
+    } catch (e) {
+      logger.error('❌ Webhook signature verification failed:', e.message);
+      return res.status(400).send(`Webhook Error: ${e.message}`);
+    }
+
+    const handler = handlers[event.type];
+    if (!handler) return res.json({ received: true, ignored: true });
+
+    try {
+      if (!(await events.claim(event.id, event.type))) {
+        logger.log(`↩️ Stripe event ${event.id} already processed`);
+        return res.json({ received: true, duplicate: true });
+      }
+    } catch (e) {
+      logger.error('Stripe event bookkeeping failed:', e.message);
+      return res.status(500).send('Webhook storage unavailable');
+    }
+
+    try {
+      const outcome = await handler(event.data.object);
+      await events.finish(event.id, outcome);
+      logger.log(`✅ Stripe ${event.type} ${event.id}: ${outcome}`);
+      return res.json({ received: true });
+    } catch (e) {
+      // let Stripe retry: the claim is released so the retry is not treated as a duplicate
+      logger.error(`❌ Stripe ${event.type} ${event.id} failed:`, e.message);
+      await events.release(event.id).catch(() => {});
+      return res.status(500).send('Webhook processing failed');
+    }
+  };
+}
+
+module.exports = { createStripeEventStore, createStripeWebhook };
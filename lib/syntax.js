@@ -0,0 +1,812 @@
+// lib/syntax.js — Scryfall query language: tokenizer, parser, formatter, validator + auto-repair
+
+const {
+  COLORS,
+  COLOR_GROUPS,
+  COLOR_WORDS,
+  CARD_TYPES,
+  SUPERTYPES,
+  FORMATS,
+  RARITIES,
+  toCreatureType,
+  isKeyword,
+} = require('./vocabulary');
+
+// ---------- operator table ----------
+// kind drives value validation; ops lists the comparison operators Scryfall accepts for the key
+const ALL_OPS = [':', '=', '!=', '<', '<=', '>', '>='];
+const EQ_OPS = [':', '='];
+
+const KEY_SPECS = {
+  c: { kind: 'color', ops: ALL_OPS },
+  id: { kind: 'color', ops: ALL_OPS },
+  t: { kind: 'type', ops: EQ_OPS },
+  o: { kind: 'text', ops: EQ_OPS },
+  fo: { kind: 'text', ops: EQ_OPS },
+  kw: { kind: 'keyword', ops: EQ_OPS },
+  m: { kind: 'mana', ops: ALL_OPS },
+  mv: { kind: 'numeric', ops: ALL_OPS },
+  pow: { kind: 'numeric', ops: ALL_OPS },
+  tou: { kind: 'numeric', ops: ALL_OPS },
+  pt: { kind: 'numeric', ops: ALL_OPS },
+  loy: { kind: 'numeric', ops: ALL_OPS },
+  def: { kind: 'numeric', ops: ALL_OPS },
+  f: { kind: 'format', ops: EQ_OPS },
+  banned: { kind: 'format', ops: EQ_OPS },
+  restricted: { kind: 'format', ops: EQ_OPS },
+  s: { kind: 'set', ops: EQ_OPS },
+  e: { kind: 'set', ops: EQ_OPS },
+  b: { kind: 'set', ops: EQ_OPS },
+  st: { kind: 'tag', ops: EQ_OPS },
+  cn: { kind: 'numeric', ops: ALL_OPS },
+  r: { kind: 'rarity', ops: ALL_OPS },
+  usd: { kind: 'numeric', ops: ALL_OPS },
+  eur: { kind: 'numeric', ops: ALL_OPS },
+  tix: { kind: 'numeric', ops: ALL_OPS },
+  year: { kind: 'numeric', ops: ALL_OPS },
+  date: { kind: 'date', ops: ALL_OPS },
+  function: { kind: 'tag', ops: EQ_OPS },
+  art: { kind: 'tag', ops: EQ_OPS },
+  is: { kind: 'tag', ops: EQ_OPS },
+  not: { kind: 'tag', ops: EQ_OPS },
+  has: { kind: 'tag', ops: EQ_OPS },
+  in: { kind: 'tag', ops: EQ_OPS },
+  a: { kind: 'text', ops: EQ_OPS },
+  ft: { kind: 'text', ops: EQ_OPS },
+  name: { kind: 'text', ops: EQ_OPS },
+  wm: { kind: 'tag', ops: EQ_OPS },
+  lang: { kind: 'tag', ops: EQ_OPS },
+  border: { kind: 'tag', ops: EQ_OPS },
+  frame: { kind: 'tag', ops: EQ_OPS },
+  game: { kind: 'tag', ops: EQ_OPS },
+  stamp: { kind: 'tag', ops: EQ_OPS },
+  produces: { kind: 'color', ops: ALL_OPS },
+  devotion: { kind: 'mana', ops: ALL_OPS },
+  prints: { kind: 'numeric', ops: ALL_OPS },
+  sets: { kind: 'numeric', ops: ALL_OPS },
+  order: { kind: 'order', ops: EQ_OPS },
+  direction: { kind: 'tag', ops: EQ_OPS },
+  unique: { kind: 'tag', ops: EQ_OPS },
+  prefer: { kind: 'tag', ops: EQ_OPS },
+  include: { kind: 'tag', ops: EQ_OPS },
+};
+
+// long-form keys Scryfall also accepts; formatted back to the short canonical key
+const KEY_ALIASES = {
+  color: 'c',
+  colors: 'c',
+  identity: 'id',
+  ci: 'id',
+  type: 't',
+  oracle: 'o',
+  fulloracle: 'fo',
+  keyword: 'kw',
+  mana: 'm',
+  cmc: 'mv',
+  manavalue: 'mv',
+  power: 'pow',
+  toughness: 'tou',
+  powtou: 'pt',
+  loyalty: 'loy',
+  defense: 'def',
+  format: 'f',
+  legal: 'f',
+  set: 's',
+  edition: 'e',
+  block: 'b',
+  number: 'cn',
+  rarity: 'r',
+  otag: 'function',
+  oracletag: 'function',
+  atag: 'art',
+  arttag: 'art',
+  artist: 'a',
+  flavor: 'ft',
+  watermark: 'wm',
+  language: 'lang',
+  settype: 'st',
+};
+
+// made-up keys models tend to emit, mapped to the real operator
+const KEY_FIXES = {
+  text: 'o',
+  rules: 'o',
+  ability: 'kw',
+  abilities: 'kw',
+  keywords: 'kw',
+  creature: 't',
+  subtype: 't',
+  supertype: 't',
+  tribe: 't',
+  types: 't',
+  colour: 'c',
+  colours: 'c',
+  price: 'usd',
+  cost: 'mv',
+  mana_value: 'mv',
+  manacost: 'm',
+  tag: 'function',
+  oracle_tag: 'function',
+  role: 'function',
+  art_tag: 'art',
+  legality: 'f',
+  formats: 'f',
+};
+
+const FORMAT_FIXES = {
+  edh: 'commander',
+  cmdr: 'commander',
+  pdh: 'paupercommander',
+  'pauper-commander': 'paupercommander',
+  'standard-brawl': 'standardbrawl',
+};
+
+const NUMERIC_FIELDS = new Set(['pow', 'power', 'tou', 'toughness', 'mv', 'cmc', 'loy', 'loyalty', 'def']);
+const ORDER_VALUES = new Set([
+  'name', 'set', 'released', 'rarity', 'color', 'usd', 'tix', 'eur', 'cmc', 'mv', 'power',
+  'toughness', 'edhrec', 'penny', 'artist', 'review', 'spoiled',
+]);
+const COLOR_VALUES = new Set([
+  ...Object.keys(COLORS),
+  ...COLOR_GROUPS,
+  ...COLOR_WORDS,
+  'm', 'c', 'multi',
+]);
+const FORMAT_SET = new Set(FORMATS);
+const RARITY_SET = new Set(RARITIES);
+const CARD_TYPE_SET = new Set([...CARD_TYPES, ...SUPERTYPES]);
+
+class QuerySyntaxError extends Error {
+  constructor(code, message, detail = {}) {
+    super(message);
+    this.name = 'ScryfallSyntaxError';
+    this.code = code;
+    Object.assign(this, detail);
+  }
+}
+
+// ---------- tokenizer ----------
+const CLAUSE_RE = /^([a-zA-Z_]+)(!=|<=|>=|:|=|<|>)/;
+
+function readValue(input, i) {
+  const ch = input[i];
+  if (ch === '"' || ch === "'") {
+    const end = input.indexOf(ch, i + 1);
+    if (end === -1) return { value: input.slice(i + 1), quoted: true, end: input.length, unterminated: true };
+    return { value: input.slice(i + 1, end), quoted: true, end: end + 1 };
+  }
+  if (ch === '/') {
+    let j = i + 1;
+    while (j < input.length && input[j] !== '/') j += input[j] === '\\' ? 2 : 1;
+    return { value: input.slice(i, Math.min(j + 1, input.length)), regex: true, end: Math.min(j + 1, input.length) };
+  }
+  let j = i;
+  while (j < input.length && !/[\s()]/.test(input[j])) j++;
+  return { value: input.slice(i, j), end: j };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+    const start = i;
+    let negated = false;
+    if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+    if (input[i] === '(') {
+      tokens.push({ type: 'NEG', pos: start });
+      continue;
+    }
+    const rest = input.slice(i);
+    const m = rest.match(CLAUSE_RE);
+    if (m) {
+      const valStart = i + m[0].length;
+      const v = valStart < input.length && !/[\s)]/.test(input[valStart])
+        ? readValue(input, valStart)
+        : { value: '', end: valStart };
+      tokens.push({
+        type: 'CLAUSE', pos: start, negated,
+        key: m[1].toLowerCase(), op: m[2], value: v.value,
+        quoted: !!v.quoted, regex: !!v.regex, unterminated: !!v.unterminated,
+        raw: input.slice(start, v.end),
+      });
+      i = v.end;
+      continue;
+    }
+    let exact = false;
+    if (input[i] === '!') { exact = true; i++; }
+    const v = readValue(input, i);
+    const word = v.value;
+    const raw = input.slice(start, v.end);
+    i = Math.max(v.end, i + 1);
+    if (!negated && !exact && !v.quoted) {
+      const upper = word.toUpperCase();
+      if (upper === 'OR' || word === '||') { tokens.push({ type: 'OR', pos: start, raw }); continue; }
+      if (upper === 'AND' || word === '&&') { tokens.push({ type: 'AND', pos: start, raw }); continue; }
+      if (upper === 'NOT' && word === 'NOT') { tokens.push({ type: 'NEG', pos: start, raw, word: true }); continue; }
+    }
+    if (!word) continue;
+    tokens.push({
+      type: 'WORD', pos: start, negated, exact,
+      value: word, quoted: !!v.quoted, regex: !!v.regex, unterminated: !!v.unterminated, raw,
+    });
+  }
+  return tokens;
+}
+
+// ---------- parser ----------
+// query   := orExpr
+// orExpr  := andExpr ( OR andExpr )*
+// andExpr := unary ( AND? unary )*
+// unary   := NEG unary | primary
+// primary := '(' orExpr ')' | CLAUSE | WORD
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    const kept = children.filter(Boolean);
+    if (kept.length === 0) return null;
+    return kept.length === 1 ? kept[0] : { type: 'or', children: kept };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') { pos++; continue; }
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (children.length === 0) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const tok = peek();
+    if (tok.type === 'NEG') {
+      pos++;
+      if (!peek() || peek().type === ')' || peek().type === 'OR') return null;
+      const child = parseUnary();
+      return child ? negate(child) : null;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = tokens[pos++];
+    if (tok.type === '(') {
+      const inner = parseOr();
+      if (peek() && peek().type === ')') pos++;
+      else throw new QuerySyntaxError('UNBALANCED_PARENS', 'Missing closing parenthesis', { at: tok.pos });
+      return inner;
+    }
+    if (tok.type === ')') {
+      throw new QuerySyntaxError('UNBALANCED_PARENS', 'Unexpected closing parenthesis', { at: tok.pos });
+    }
+    const node = tok.type === 'CLAUSE'
+      ? {
+        type: 'clause', key: tok.key, op: tok.op, value: tok.value,
+        quoted: tok.quoted, regex: tok.regex, raw: tok.raw, at: tok.pos,
+      }
+      : {
+        type: 'word', value: tok.value, exact: tok.exact,
+        quoted: tok.quoted, regex: tok.regex, raw: tok.raw, at: tok.pos,
+      };
+    return tok.negated ? negate(node) : node;
+  }
+
+  const ast = tokens.length ? parseOr() : null;
+  if (pos < tokens.length) {
+    throw new QuerySyntaxError('UNBALANCED_PARENS', 'Unexpected closing parenthesis', { at: tokens[pos].pos });
+  }
+  return ast;
+}
+
+function negate(node) {
+  return node.type === 'not' ? node.child : { type: 'not', child: node };
+}
+
+function parseQuery(input) {
+  return parseTokens(tokenize(String(input || '')));
+}
+
+// ---------- formatter ----------
+function formatValue(value, { quoted, regex } = {}) {
+  if (regex) return value;
+  if (quoted || /[\s()"']/.test(value) || value === '') {
+    return value.includes('"') ? `'${value}'` : `"${value}"`;
+  }
+  return value;
+}
+
+function formatNode(node, parent) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'clause':
+      return `${node.key}${node.op}${formatValue(node.value, node)}`;
+    case 'word':
+      return `${node.exact ? '!' : ''}${formatValue(node.value, node)}`;
+    case 'not': {
+      // and/or children already come back wrapped in parens
+      return `-${formatNode(node.child, node)}`;
+    }
+    case 'and': {
+      const s = node.children.map((c) => formatNode(c, node)).join(' ');
+      return parent && parent.type !== 'and' ? `(${s})` : s;
+    }
+    case 'or': {
+      const s = node.children.map((c) => formatNode(c, node)).join(' OR ');
+      return parent ? `(${s})` : s;
+    }
+    default:
+      return '';
+  }
+}
+
+function formatQuery(ast) {
+  return formatNode(ast, null).trim();
+}
+
+// ---------- AST helpers ----------
+function walk(node, fn, parent = null) {
+  if (!node) return;
+  fn(node, parent);
+  if (node.type === 'not') walk(node.child, fn, node);
+  if (node.type === 'and' || node.type === 'or') for (const c of node.children) walk(c, fn, node);
+}
+
+function clausesOf(ast) {
+  const out = [];
+  walk(ast, (n, parent) => {
+    if (n.type === 'clause' || n.type === 'word') out.push({ node: n, negated: parent?.type === 'not' });
+  });
+  return out;
+}
+
+function hasClause(ast, key, value) {
+  return clausesOf(ast).some(
+    ({ node, negated }) => !negated && node.type === 'clause' && node.key === key && node.value === value
+  );
+}
+
+function addTopLevel(ast, node) {
+  if (!ast) return node;
+  if (ast.type === 'and') return { ...ast, children: [node, ...ast.children] };
+  return { type: 'and', children: [node, ast] };
+}
+
+// ---------- pre-parse cleanup ----------
+const LABEL_RE = /^\s*(?:here(?:'s| is)\s+(?:the|your)\s+)?(?:scryfall\s+)?(?:search\s+)?(?:syntax|query|search|result|output|answer)\s*(?:is)?\s*[:\-–—]\s*/i;
+
+function stripProse(raw, repairs) {
+  let text = String(raw || '');
+  const original = text;
+
+  const fence = text.match(/```[a-z]*\s*([\s\S]*?)```/i);
+  if (fence) text = fence[1];
+  text = text.replace(/`/g, '');
+
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length > 1) {
+    let best = lines[0];
+    let bestScore = -Infinity;
+    for (const line of lines) {
+      const score = scoreLine(line);
+      if (score > bestScore) { best = line; bestScore = score; }
+    }
+    text = best;
+  } else {
+    text = lines[0] || '';
+  }
+
+  if (text.includes('→')) text = text.slice(text.lastIndexOf('→') + 1);
+  text = text.replace(LABEL_RE, '');
+  text = text.trim().replace(/[.;]+$/, '').trim();
+
+  const wrapped = text.match(/^["'“](.*)["'”]$/);
+  if (wrapped && !/["'“”]/.test(wrapped[1]) && CLAUSE_RE.test(wrapped[1].replace(/^-/, ''))) {
+    text = wrapped[1].trim();
+  }
+
+  if (text !== original.trim()) repairs.push({ rule: 'strip_prose', from: original.trim(), to: text });
+  return text;
+}
+
+function scoreLine(line) {
+  const tokens = tokenize(line.replace(LABEL_RE, ''));
+  let score = 0;
+  for (const t of tokens) {
+    if (t.type === 'CLAUSE') score += 2;
+    else if (t.type === 'WORD' && !t.exact) score -= 1;
+  }
+  return score;
+}
+
+function balanceParens(tokens, repairs) {
+  const out = [];
+  let depth = 0;
+  for (const tok of tokens) {
+    if (tok.type === ')') {
+      if (depth === 0) {
+        repairs.push({ rule: 'unbalanced_parens', from: ')', to: '' });
+        continue;
+      }
+      // drop empty groups "()"
+      const prev = out[out.length - 1];
+      if (prev && prev.type === '(') {
+        out.pop();
+        if (out[out.length - 1]?.type === 'NEG') out.pop();
+        depth--;
+        repairs.push({ rule: 'empty_group', from: '()', to: '' });
+        continue;
+      }
+      depth--;
+    }
+    if (tok.type === '(') depth++;
+    out.push(tok);
+  }
+  for (; depth > 0; depth--) {
+    out.push({ type: ')', pos: -1 });
+    repairs.push({ rule: 'unbalanced_parens', from: '', to: ')' });
+  }
+
+  // dangling OR/AND at group edges or doubled connectives
+  const cleaned = [];
+  for (let i = 0; i < out.length; i++) {
+    const tok = out[i];
+    if (tok.type === 'OR' || tok.type === 'AND') {
+      const prev = cleaned[cleaned.length - 1];
+      const next = out[i + 1];
+      const dangling =
+        !prev || prev.type === '(' || prev.type === 'OR' || prev.type === 'AND' || prev.type === 'NEG' ||
+        !next || next.type === ')' || next.type === 'OR' || next.type === 'AND';
+      if (dangling) {
+        repairs.push({ rule: 'dangling_connective', from: tok.raw, to: '' });
+        continue;
+      }
+    }
+    cleaned.push(tok);
+  }
+  return cleaned;
+}
+
+// ---------- semantic validation + repair ----------
+function fixClause(node, ctx) {
+  const { repairs, errors } = ctx;
+  const before = `${node.key}${node.op}${formatValue(node.value, node)}`;
+  const note = (rule) => {
+    const after = node.type === 'clause' ? `${node.key}${node.op}${formatValue(node.value, node)}` : formatQuery(node);
+    if (after !== before) repairs.push({ rule, from: before, to: after });
+  };
+
+  if (KEY_ALIASES[node.key]) node.key = KEY_ALIASES[node.key];
+  if (!KEY_SPECS[node.key] && KEY_FIXES[node.key]) {
+    node.key = KEY_FIXES[node.key];
+    note('unknown_operator');
+  }
+  const spec = KEY_SPECS[node.key];
+  if (!spec) {
+    errors.push({
+      code: 'UNKNOWN_OPERATOR',
+      message: `Unknown search operator "${node.key}"`,
+      clause: before,
+      at: node.at,
+    });
+    return node;
+  }
+
+  // "mv:>=3" / "mv=<3" style operator mistakes
+  const opInValue = node.value.match(/^(<=|>=|!=|<|>|=)(.+)$/);
+  if (node.op === ':' && opInValue && !node.quoted) {
+    node.op = opInValue[1];
+    node.value = opInValue[2];
+    note('operator_in_value');
+  }
+  if (node.op === '=' && /^[<>]$/.test(node.value[0] || '')) {
+    node.op = `${node.value[0]}=`;
+    node.value = node.value.slice(1);
+    note('operator_in_value');
+  }
+
+  if (!node.quoted && !node.regex && spec.kind !== 'text') node.value = node.value.toLowerCase();
+
+  if (!spec.ops.includes(node.op)) {
+    if (node.op === '=' || node.op === '!=') {
+      node.op = ':';
+      note('comparison_operator');
+    } else {
+      errors.push({
+        code: 'INVALID_COMPARISON',
+        message: `"${node.key}" does not support the ${node.op} comparison`,
+        clause: before,
+        at: node.at,
+      });
+      return node;
+    }
+  }
+
+  if (node.value === '') {
+    errors.push({ code: 'INVALID_VALUE', message: `"${node.key}${node.op}" is missing a value`, clause: before, at: node.at });
+    return node;
+  }
+
+  const value = node.value;
+  switch (spec.kind) {
+    case 'numeric':
+      if (!/^\d+(\.\d+)?$/.test(value) && !(value === '*' || NUMERIC_FIELDS.has(value))) {
+        const range = value.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+        if (range && node.op === ':') {
+          const key = node.key;
+          ctx.replace = {
+            type: 'and',
+            children: [
+              { type: 'clause', key, op: '>=', value: range[1] },
+              { type: 'clause', key, op: '<=', value: range[2] },
+            ],
+          };
+          repairs.push({ rule: 'numeric_range', from: before, to: `${key}>=${range[1]} ${key}<=${range[2]}` });
+          return node;
+        }
+        const dollars = value.match(/^\$(\d+(?:\.\d+)?)$/);
+        if (dollars) {
+          node.value = dollars[1];
+          note('numeric_value');
+          return node;
+        }
+        errors.push({ code: 'INVALID_VALUE', message: `"${node.key}" expects a number, got "${value}"`, clause: before, at: node.at });
+      }
+      return node;
+    case 'color': {
+      const colorLetters = /^[wubrgcm]+$/.test(value);
+      if (colorLetters || COLOR_VALUES.has(value) || /^\d$/.test(value)) return node;
+      if (COLORS[value.replace(/s$/, '')]) {
+        node.value = COLORS[value.replace(/s$/, '')];
+        note('color_value');
+        return node;
+      }
+      errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a color`, clause: before, at: node.at });
+      return node;
+    }
+    case 'format':
+      if (FORMAT_SET.has(value)) return node;
+      if (FORMAT_FIXES[value]) {
+        node.value = FORMAT_FIXES[value];
+        note('format_value');
+        return node;
+      }
+      errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a Scryfall format`, clause: before, at: node.at });
+      return node;
+    case 'rarity':
+      if (RARITY_SET.has(value)) return node;
+      errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a rarity`, clause: before, at: node.at });
+      return node;
+    case 'set':
+      if (/^[a-z0-9]{2,6}$/.test(value)) return node;
+      errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a set code`, clause: before, at: node.at });
+      return node;
+    case 'order':
+      if (ORDER_VALUES.has(value)) return node;
+      errors.push({ code: 'INVALID_VALUE', message: `Cannot order by "${value}"`, clause: before, at: node.at });
+      return node;
+    case 'date':
+      if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value) || /^[a-z0-9]{2,6}$/.test(value)) return node;
+      errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a date or set code`, clause: before, at: node.at });
+      return node;
+    case 'type': {
+      if (isKeyword(value)) {
+        node.key = 'kw';
+        note('keyword_as_type');
+        return checkVocabulary(node, 'keyword', ctx, before);
+      }
+      const creatureType = toCreatureType(value);
+      if (creatureType && creatureType !== value) {
+        node.value = creatureType;
+        note('plural_type');
+      }
+      if (creatureType) {
+        ctx.creatureTypes.push(node);
+        return node;
+      }
+      const checked = checkVocabulary(node, 'type', ctx, before);
+      if (checked && toCreatureType(checked.value)) ctx.creatureTypes.push(checked);
+      return checked;
+    }
+    case 'keyword': {
+      const creatureType = !isKeyword(value) && toCreatureType(value);
+      if (creatureType) {
+        node.key = 't';
+        node.value = creatureType;
+        ctx.creatureTypes.push(node);
+        note('creature_type_operator');
+        return node;
+      }
+      return checkVocabulary(node, 'keyword', ctx, before);
+    }
+    case 'text':
+      if (node.key === 'o' && !node.regex) {
+        const v = value.toLowerCase();
+        if (isKeyword(v)) {
+          node.key = 'kw';
+          node.value = v;
+          note('keyword_operator');
+          return node;
+        }
+        const creatureType = !v.includes(' ') && toCreatureType(v);
+        if (creatureType) {
+          node.key = 't';
+          node.value = creatureType;
+          node.quoted = false;
+          ctx.creatureTypes.push(node);
+          note('creature_type_operator');
+        }
+      }
+      return node;
+    default:
+      if (spec.kind === 'tag' && !/^[a-z0-9][a-z0-9_-]*$/.test(value) && !node.quoted) {
+        errors.push({ code: 'INVALID_VALUE', message: `"${value}" is not a valid ${node.key}: value`, clause: before, at: node.at });
+        return node;
+      }
+      return node.key === 'function' ? checkVocabulary(node, 'tag', ctx, before) : node;
+  }
+}
+
+// With a vocabulary (lib/grounding.js) t:, kw: and function: values Scryfall doesn't know are
+// corrected to the closest known value, or the clause is dropped. Regexes and multi-word
+// type searches (t:"legendary creature") are left alone.
+function checkVocabulary(node, kind, ctx, before) {
+  if (!ctx.vocabulary || node.regex || (kind === 'type' && /\s/.test(node.value))) return node;
+  const known = ctx.vocabulary.correct(kind, node.value);
+  if (known === node.value) return node;
+  if (known) {
+    node.value = known;
+    ctx.repairs.push({ rule: `${kind}_value`, from: before, to: `${node.key}${node.op}${formatValue(known, node)}` });
+    return node;
+  }
+  ctx.repairs.push({ rule: `unknown_${kind}`, from: before, to: '' });
+  return null;
+}
+
+// Bare words are name searches in Scryfall, but in model output they are almost always
+// prose or a forgotten operator. Exact names (!"...") are kept.
+function fixWord(node, ctx) {
+  if (node.exact) return node;
+  const v = node.value.toLowerCase();
+  const from = node.raw || node.value;
+  if (isKeyword(v)) {
+    ctx.repairs.push({ rule: 'bare_keyword', from, to: `kw:${formatValue(v)}` });
+    return { type: 'clause', key: 'kw', op: ':', value: v, at: node.at };
+  }
+  if (COLORS[v]) {
+    ctx.repairs.push({ rule: 'bare_color', from, to: `c:${COLORS[v]}` });
+    return { type: 'clause', key: 'c', op: ':', value: COLORS[v], at: node.at };
+  }
+  if (CARD_TYPE_SET.has(v)) {
+    ctx.repairs.push({ rule: 'bare_type', from, to: `t:${v}` });
+    return { type: 'clause', key: 't', op: ':', value: v, at: node.at };
+  }
+  const creatureType = toCreatureType(v);
+  if (creatureType) {
+    const clause = { type: 'clause', key: 't', op: ':', value: creatureType, at: node.at };
+    ctx.creatureTypes.push(clause);
+    ctx.repairs.push({ rule: 'bare_type', from, to: `t:${creatureType}` });
+    return clause;
+  }
+  ctx.repairs.push({ rule: 'removed_text', from, to: '' });
+  return null;
+}
+
+function repairNode(node, ctx) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'clause': {
+      ctx.replace = null;
+      const fixed = fixClause(node, ctx);
+      const out = ctx.replace || fixed;
+      ctx.replace = null;
+      return out;
+    }
+    case 'word':
+      return fixWord(node, ctx);
+    case 'not': {
+      const child = repairNode(node.child, ctx);
+      return child ? negate(child) : null;
+    }
+    case 'and':
+    case 'or': {
+      const seen = new Set();
+      const children = [];
+      for (const c of node.children) {
+        const fixed = repairNode(c, ctx);
+        if (!fixed) continue;
+        // flatten nested groups of the same kind
+        const parts = fixed.type === node.type ? fixed.children : [fixed];
+        for (const p of parts) {
+          const key = formatQuery(p);
+          if (seen.has(key)) {
+            ctx.repairs.push({ rule: 'duplicate_clause', from: key, to: '' });
+            continue;
+          }
+          seen.add(key);
+          children.push(p);
+        }
+      }
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { type: node.type, children };
+    }
+    default:
+      return node;
+  }
+}
+
+// Validates model output against the Scryfall grammar and applies deterministic repairs.
+// `vocabulary` (see lib/grounding.js) also checks t:/kw:/function: values against Scryfall's lists.
+// Returns { ok, syntax, ast, repairs, errors }.
+function validateAndRepair(raw, { vocabulary = null } = {}) {
+  const repairs = [];
+  const errors = [];
+  const text = stripProse(raw, repairs);
+  if (!text) {
+    return { ok: false, syntax: '', ast: null, repairs, errors: [{ code: 'EMPTY_OUTPUT', message: 'No search syntax in model output' }] };
+  }
+
+  const tokens = balanceParens(tokenize(text), repairs);
+  for (const t of tokens) {
+    if (t.unterminated) repairs.push({ rule: 'unterminated_quote', from: t.raw, to: `${t.raw}"` });
+  }
+
+  let ast;
+  try {
+    ast = parseTokens(tokens);
+  } catch (e) {
+    return {
+      ok: false, syntax: '', ast: null, repairs,
+      errors: [{ code: e.code || 'PARSE_ERROR', message: e.message, at: e.at }],
+    };
+  }
+
+  const ctx = { repairs, errors, creatureTypes: [], replace: null, vocabulary };
+  ast = repairNode(ast, ctx);
+
+  // only a required creature type implies t:creature; -t:elf or (t:elf OR t:equipment) don't
+  const topLevel = ast ? (ast.type === 'and' ? ast.children : [ast]) : [];
+  const requiresCreature = topLevel.some((n) => ctx.creatureTypes.includes(n) && n.op !== '!=');
+  if (requiresCreature && !hasClause(ast, 't', 'creature')) {
+    ast = addTopLevel(ast, { type: 'clause', key: 't', op: ':', value: 'creature' });
+    repairs.push({ rule: 'creature_type_needs_creature', from: '', to: 't:creature' });
+  }
+
+  if (!ast && errors.length === 0) {
+    errors.push({ code: 'NO_CLAUSES', message: 'Model output contained no search clauses' });
+  }
+
+  const syntax = ast ? formatQuery(ast) : '';
+  return { ok: errors.length === 0, syntax, ast, repairs, errors };
+}
+
+module.exports = {
+  KEY_SPECS,
+  KEY_ALIASES,
+  QuerySyntaxError,
+  tokenize,
+  parseQuery,
+  formatQuery,
+  formatValue,
+  clausesOf,
+  hasClause,
+  walk,
+  validateAndRepair,
+};
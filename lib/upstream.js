@@ -0,0 +1,197 @@
+// lib/upstream.js — fetch wrapper for third-party APIs: deadlines, retries with jitter, circuit breakers
+
+const BREAKER_THRESHOLD = Number(process.env.UPSTREAM_BREAKER_THRESHOLD ?? 5);
+const BREAKER_RESET_MS = Number(process.env.UPSTREAM_BREAKER_RESET_MS ?? 30 * 1000);
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+class UpstreamError extends Error {
+  constructor(message, { upstream, code, status } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.upstream = upstream;
+    this.code = code; // TIMEOUT | NETWORK | CIRCUIT_OPEN
+    this.status = status;
+  }
+}
+
+// closed → (threshold consecutive failures) → open → (reset timeout) → half_open → one probe
+class CircuitBreaker {
+  constructor(name, { threshold = BREAKER_THRESHOLD, resetMs = BREAKER_RESET_MS } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+    this.lastError = null;
+    this.totals = { success: 0, failure: 0, rejected: 0 };
+  }
+
+  allow() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetMs) {
+      this.state = 'half_open';
+      this.probing = false;
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    this.totals.rejected++;
+    return false;
+  }
+
+  success() {
+    this.totals.success++;
+    this.failures = 0;
+    this.probing = false;
+    if (this.state !== 'closed') console.log(`✅ Circuit for ${this.name} closed`);
+    this.state = 'closed';
+  }
+
+  failure(error) {
+    this.totals.failure++;
+    this.failures++;
+    this.probing = false;
+    this.lastError = { message: error?.message || String(error), at: new Date().toISOString() };
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') console.warn(`🔌 Circuit for ${this.name} opened after ${this.failures} failure(s)`);
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryInSeconds: this.state === 'open'
+        ? Math.max(0, Math.ceil((this.openedAt + this.resetMs - Date.now()) / 1000))
+        : 0,
+      lastError: this.lastError,
+      ...this.totals,
+    };
+  }
+}
+
+const breakers = new Map();
+
+function getBreaker(name, opts) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name, opts));
+  return breakers.get(name);
+}
+
+function getBreakerStates() {
+  const out = {};
+  for (const [name, b] of breakers) out[name] = b.snapshot();
+  return out;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// full jitter, honouring Retry-After when the upstream sends one
+function backoffMs(attempt, baseDelayMs, maxDelayMs, response) {
+  const retryAfter = Number(response?.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+// a retried response's body is never read; cancelling it frees the connection
+async function discardBody(response) {
+  await response.body?.cancel?.().catch(() => {});
+}
+
+// The deadline covers reading the body too: the timer stays armed until json() / text() /
+// arrayBuffer() / blob() settles, and a body that stalls past it rejects with a TIMEOUT.
+function withBodyDeadline(response, { timer, signal, onTimeout }) {
+  timer.unref?.(); // a body nobody reads shouldn't keep the process alive
+  for (const method of ['json', 'text', 'arrayBuffer', 'blob']) {
+    if (typeof response[method] !== 'function') continue;
+    const read = response[method].bind(response);
+    response[method] = async () => {
+      try {
+        return await read();
+      } catch (e) {
+        throw signal.aborted ? onTimeout() : e;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+  }
+  return response;
+}
+
+// Drop-in replacement for fetch(). Resolves with the final Response (ok or not) and rejects
+// with UpstreamError on timeout, network failure or an open circuit; reading the body rejects
+// with a TIMEOUT once `timeoutMs` from the start of the attempt has passed.
+async function upstreamFetch(url, init = {}, {
+  name = new URL(url).host,
+  timeoutMs = 10000,
+  retries = 2,
+  baseDelayMs = 250,
+  maxDelayMs = 4000,
+  fetchImpl = fetch,
+} = {}) {
+  const breaker = getBreaker(name);
+  if (!breaker.allow()) {
+    throw new UpstreamError(`${name} is unavailable (circuit open)`, { upstream: name, code: 'CIRCUIT_OPEN' });
+  }
+  const timeoutError = () => new UpstreamError(`${name} timed out after ${timeoutMs}ms`, { upstream: name, code: 'TIMEOUT' });
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+      response = await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (e) {
+      clearTimeout(timer);
+      lastError = controller.signal.aborted
+        ? timeoutError()
+        : new UpstreamError(`${name} request failed: ${e.message}`, { upstream: name, code: 'NETWORK' });
+      if (attempt < retries) await sleep(backoffMs(attempt, baseDelayMs, maxDelayMs));
+      continue;
+    }
+
+    if (RETRY_STATUSES.has(response.status)) {
+      lastError = new UpstreamError(`${name} responded ${response.status}`, { upstream: name, status: response.status });
+      if (attempt < retries) {
+        clearTimeout(timer);
+        await discardBody(response);
+        await sleep(backoffMs(attempt, baseDelayMs, maxDelayMs, response));
+        continue;
+      }
+      breaker.failure(lastError);
+    } else {
+      // anything else (including 4xx) means the upstream itself is healthy
+      breaker.success();
+    }
+    return withBodyDeadline(response, {
+      timer,
+      signal: controller.signal,
+      onTimeout: () => {
+        const error = timeoutError();
+        breaker.failure(error);
+        return error;
+      },
+    });
+  }
+  breaker.failure(lastError);
+  throw lastError;
+}
+
+// fetch-compatible function bound to one upstream's settings
+function upstreamFetcher(name, options = {}) {
+  return (url, init) => upstreamFetch(url, init, { name, ...options });
+}
+
+module.exports = {
+  UpstreamError,
+  CircuitBreaker,
+  getBreaker,
+  getBreakerStates,
+  upstreamFetch,
+  upstreamFetcher,
+};
@@ -0,0 +1,216 @@
+// lib/vocabulary.js — Magic vocabulary shared by the syntax validator and converters
+
+const COLORS = {
+  white: 'w',
+  blue: 'u',
+  black: 'b',
+  red: 'r',
+  green: 'g',
+};
+
+// guild / shard / wedge / college names Scryfall accepts as color values
+const COLOR_GROUPS = [
+  'azorius', 'dimir', 'rakdos', 'gruul', 'selesnya',
+  'orzhov', 'izzet', 'golgari', 'boros', 'simic',
+  'bant', 'esper', 'grixis', 'jund', 'naya',
+  'abzan', 'jeskai', 'sultai', 'mardu', 'temur',
+  'silverquill', 'prismari', 'witherbloom', 'lorehold', 'quandrix',
+];
+
+const COLOR_WORDS = ['colorless', 'multicolor', 'multicolored', 'mono'];
+
+const CARD_TYPES = [
+  'artifact', 'battle', 'creature', 'enchantment', 'instant',
+  'land', 'planeswalker', 'sorcery', 'kindred', 'tribal',
+];
+
+const SUPERTYPES = ['basic', 'legendary', 'snow', 'world', 'ongoing'];
+
+// non-creature subtypes (and token / emblem) that are valid t: values
+const OTHER_SUBTYPES = [
+  'token', 'emblem',
+  'equipment', 'vehicle', 'aura', 'saga', 'class', 'shrine', 'curse', 'room', 'case', 'role',
+  'treasure', 'food', 'clue', 'blood', 'gold', 'map', 'powerstone', 'attraction', 'contraption',
+  'fortification', 'background', 'cartouche', 'rune', 'shard',
+  'adventure', 'arcane', 'lesson', 'trap', 'omen',
+  'forest', 'island', 'mountain', 'plains', 'swamp', 'desert', 'gate', 'lair', 'locus',
+  'cave', 'sphere', 'urzas', 'town',
+];
+
+const CREATURE_TYPES = [
+  'advisor', 'aetherborn', 'alien', 'ally', 'angel', 'antelope', 'ape', 'archer', 'archon',
+  'armadillo', 'army', 'artificer', 'assassin', 'assembly-worker', 'astartes', 'atog', 'aurochs',
+  'avatar', 'azra', 'badger', 'balloon', 'barbarian', 'bard', 'basilisk', 'bat', 'bear', 'beast',
+  'beaver', 'beeble', 'beholder', 'berserker', 'bird', 'blinkmoth', 'boar', 'bringer', 'brushwagg',
+  'camarid', 'camel', 'capybara', 'caribou', 'carrier', 'cat', 'centaur', 'child', 'chimera',
+  'citizen', 'cleric', 'clown', 'cockatrice', 'construct', 'coward', 'coyote', 'crab', 'crocodile',
+  'ctan', 'custodes', 'cyberman', 'cyclops', 'dalek', 'dauthi', 'demigod', 'demon', 'deserter',
+  'detective', 'devil', 'dinosaur', 'djinn', 'doctor', 'dog', 'dragon', 'drake', 'dreadnought',
+  'drone', 'druid', 'dryad', 'dwarf', 'efreet', 'egg', 'elder', 'eldrazi', 'elemental', 'elephant',
+  'elf', 'elk', 'employee', 'eye', 'faerie', 'ferret', 'fish', 'flagbearer', 'fox', 'fractal',
+  'frog', 'fungus', 'gamer', 'gargoyle', 'germ', 'giant', 'gith', 'glimmer', 'gnoll', 'gnome',
+  'goat', 'goblin', 'god', 'golem', 'gorgon', 'graveborn', 'gremlin', 'griffin', 'guest', 'hag',
+  'halfling', 'hamster', 'harpy', 'hellion', 'hippo', 'hippogriff', 'homarid', 'homunculus',
+  'horror', 'horse', 'human', 'hydra', 'hyena', 'illusion', 'imp', 'incarnation', 'inkling',
+  'inquisitor', 'insect', 'jackal', 'jellyfish', 'juggernaut', 'kavu', 'kirin', 'kithkin',
+  'knight', 'kobold', 'kor', 'kraken', 'llama', 'lamia', 'lammasu', 'leech', 'leviathan',
+  'lhurgoyf', 'licid', 'lizard', 'manticore', 'masticore', 'mercenary', 'merfolk', 'metathran',
+  'minion', 'minotaur', 'mite', 'mole', 'monger', 'mongoose', 'monk', 'monkey', 'moonfolk',
+  'mount', 'mouse', 'mutant', 'myr', 'mystic', 'nautilus', 'necron', 'nephilim', 'nightmare',
+  'nightstalker', 'ninja', 'noble', 'noggle', 'nomad', 'nymph', 'octopus', 'ogre', 'ooze', 'orb',
+  'orc', 'orgg', 'otter', 'ouphe', 'ox', 'oyster', 'pangolin', 'peasant', 'pegasus', 'pentavite',
+  'performer', 'pest', 'phelddagrif', 'phoenix', 'phyrexian', 'pilot', 'pincher', 'pirate',
+  'plant', 'porcupine', 'possum', 'praetor', 'primarch', 'prism', 'processor', 'rabbit', 'raccoon',
+  'ranger', 'rat', 'rebel', 'reflection', 'rhino', 'rigger', 'robot', 'rogue', 'sable',
+  'salamander', 'samurai', 'sand', 'saproling', 'satyr', 'scarecrow', 'scientist', 'scion',
+  'scorpion', 'scout', 'sculpture', 'serf', 'serpent', 'servo', 'shade', 'shaman', 'shapeshifter',
+  'shark', 'sheep', 'siren', 'skeleton', 'skunk', 'slith', 'sliver', 'sloth', 'slug', 'snail',
+  'snake', 'soldier', 'soltari', 'spawn', 'specter', 'spellshaper', 'sphinx', 'spider', 'spike',
+  'spirit', 'splinter', 'sponge', 'squid', 'squirrel', 'starfish', 'surrakar', 'survivor',
+  'tentacle', 'tetravite', 'thalakos', 'thopter', 'thrull', 'tiefling', 'toy', 'treefolk',
+  'trilobite', 'triskelavite', 'troll', 'turtle', 'tyranid', 'unicorn', 'vampire', 'varmint',
+  'vedalken', 'volver', 'wall', 'walrus', 'warlock', 'warrior', 'weasel', 'weird', 'werewolf',
+  'whale', 'wizard', 'wolf', 'wolverine', 'wombat', 'worm', 'wraith', 'wurm', 'yeti', 'zombie',
+  'zubera',
+];
+
+const KEYWORDS = [
+  'flying', 'vigilance', 'deathtouch', 'lifelink', 'trample', 'haste', 'menace', 'reach',
+  'first strike', 'double strike', 'hexproof', 'indestructible', 'flash', 'defender', 'ward',
+  'protection', 'shroud', 'prowess', 'fear', 'intimidate', 'landwalk', 'flanking', 'banding',
+  'rampage', 'cumulative upkeep', 'phasing', 'buyback', 'shadow', 'cycling', 'echo', 'horsemanship',
+  'flashback', 'equip', 'enchant',
+  'fading', 'kicker', 'madness', 'morph', 'amplify', 'provoke', 'storm', 'affinity', 'entwine',
+  'modular', 'sunburst', 'bushido', 'soulshift', 'splice', 'offering', 'ninjutsu', 'epic',
+  'convoke', 'dredge', 'transmute', 'bloodthirst', 'haunt', 'replicate', 'forecast', 'graft',
+  'recover', 'ripple', 'split second', 'suspend', 'vanishing', 'absorb', 'aura swap', 'delve',
+  'fortify', 'frenzy', 'gravestorm', 'poisonous', 'transfigure', 'champion', 'changeling',
+  'evoke', 'hideaway', 'prowl', 'reinforce', 'conspire', 'persist', 'wither', 'retrace',
+  'devour', 'exalted', 'unearth', 'cascade', 'annihilator', 'level up', 'rebound', 'totem armor',
+  'infect', 'battle cry', 'living weapon', 'undying', 'miracle', 'soulbond', 'overload',
+  'scavenge', 'unleash', 'cipher', 'evolve', 'extort', 'fuse', 'bestow', 'tribute', 'dethrone',
+  'hidden agenda', 'outlast', 'dash', 'exploit', 'renown', 'awaken',
+  'devoid', 'ingest', 'myriad', 'surge', 'skulk', 'emerge', 'escalate', 'melee', 'crew',
+  'fabricate', 'partner', 'undaunted', 'improvise', 'aftermath', 'embalm', 'eternalize',
+  'afflict', 'ascend', 'assist', 'jump-start', 'mentor', 'afterlife', 'riot', 'spectacle',
+  'escape', 'companion', 'mutate', 'encore', 'boast', 'foretell', 'demonstrate', 'daybound',
+  'nightbound', 'disturb', 'decayed', 'cleave', 'training', 'compleated', 'reconfigure',
+  'blitz', 'casualty', 'enlist', 'read ahead', 'ravenous', 'squad', 'space sculptor',
+  'visit', 'prototype', 'living metal', 'more than meets the eye', 'for mirrodin', 'toxic',
+  'backup', 'bargain', 'craft', 'disguise', 'plot', 'saddle', 'spree', 'offspring', 'impending',
+  'gift', 'exhaust', 'max speed', 'start your engines', 'harmonize', 'mobilize', 'job select',
+  'firebending', 'station', 'warp', 'sneak', 'web-slinging',
+  // keyword actions Scryfall also indexes under kw:
+  'scry', 'surveil', 'mill', 'proliferate', 'explore', 'investigate', 'populate', 'amass',
+  'adapt', 'monstrosity', 'fight', 'goad', 'connive', 'discover', 'incubate', 'manifest',
+  'manifest dread', 'collect evidence', 'suspect', 'forage', 'venture into the dungeon',
+  'learn', 'the ring tempts you', 'time travel', 'support', 'bolster', 'transform', 'meld',
+  'clash', 'fateseal', 'detain', 'planeswalk', 'exert', 'endure',
+  // ability words, which kw: matches too
+  'adamant', 'addendum', 'alliance', 'battalion', 'bloodrush', 'celebration', 'channel', 'chroma',
+  'cohort', 'constellation', 'converge', "council's dilemma", 'coven', 'delirium', 'descend 4',
+  'descend 8', 'domain', 'eerie', 'eminence', 'enrage', 'fateful hour', 'fathomless descent',
+  'ferocious', 'flurry', 'formidable', 'grandeur', 'hellbent', 'heroic', 'imprint', 'inspired',
+  'join forces', 'kinship', 'landfall', 'lieutenant', 'magecraft', 'metalcraft', 'morbid',
+  'pack tactics', 'paradox', 'parley', 'radiance', 'raid', 'rally', 'revolt', 'secret council',
+  'spell mastery', 'strive', 'survival', 'sweep', 'tempting offer', 'threshold', 'undergrowth',
+  'valiant', 'void', 'will of the council',
+];
+
+const FORMATS = [
+  'standard', 'future', 'historic', 'timeless', 'gladiator', 'pioneer', 'explorer', 'modern',
+  'legacy', 'pauper', 'vintage', 'penny', 'commander', 'oathbreaker', 'standardbrawl', 'brawl',
+  'alchemy', 'paupercommander', 'duel', 'oldschool', 'premodern', 'predh',
+];
+
+const RARITIES = ['c', 'u', 'r', 'm', 's', 'common', 'uncommon', 'rare', 'mythic', 'special', 'bonus'];
+
+// curated Scryfall tagger tags the prompt recommends (function:/otag: and art:/atag:)
+const FUNCTION_TAGS = [
+  'removal', 'ramp', 'counterspell', 'tutor', 'graveyard-hate', 'board-wipe', 'card-draw',
+  'draw', 'mana-rock', 'mana-dork', 'burn', 'lifegain', 'sacrifice-outlet', 'token-generator',
+  'reanimate', 'recursion', 'wrath', 'discard', 'mill', 'tapper', 'evasion', 'protection',
+  'pump', 'anthem', 'blink', 'flicker', 'copy', 'clone', 'extra-turn', 'land-ramp',
+  'fog', 'stax', 'hate', 'cantrip', 'card-advantage', 'bounce', 'edict', 'spot-removal',
+  'creature-removal', 'artifact-removal', 'enchantment-removal', 'removal-exile',
+  'removal-destroy', 'treasure', 'sweeper', 'synergy-sacrifice', 'gives-flying', 'haste-enabler',
+];
+
+const ART_TAGS = [
+  'squirrel', 'dragon', 'fire', 'crown', 'cat', 'dog', 'skull', 'sword', 'moon', 'sun',
+  'forest', 'ocean', 'castle', 'tree', 'snow', 'lightning', 'book', 'ship', 'horse', 'bird',
+  'mushroom', 'flower', 'knife', 'hat', 'food', 'mask', 'blood', 'city', 'mountain', 'waterfall',
+];
+
+const KEYWORD_SET = new Set(KEYWORDS);
+const CREATURE_TYPE_SET = new Set(CREATURE_TYPES);
+const TYPE_LINE_SET = new Set([...CARD_TYPES, ...SUPERTYPES, ...OTHER_SUBTYPES, ...CREATURE_TYPES]);
+
+const IRREGULAR_PLURALS = {
+  elves: 'elf',
+  dwarves: 'dwarf',
+  wolves: 'wolf',
+  mice: 'mouse',
+  fungi: 'fungus',
+  octopi: 'octopus',
+  octopuses: 'octopus',
+  sheep: 'sheep',
+  merfolk: 'merfolk',
+  moonfolk: 'moonfolk',
+  kithkin: 'kithkin',
+  treefolk: 'treefolk',
+  oxen: 'ox',
+  djinni: 'djinn',
+  efreeti: 'efreet',
+  sphinxes: 'sphinx',
+  werewolves: 'werewolf',
+  halflings: 'halfling',
+  lhurgoyfs: 'lhurgoyf',
+  allies: 'ally',
+  zubera: 'zubera',
+};
+
+// Returns the singular form of `word` if one of its candidate stems is in `known`.
+function singularize(word, known) {
+  const w = String(word).toLowerCase();
+  if (known.has(w)) return w;
+  if (IRREGULAR_PLURALS[w] && known.has(IRREGULAR_PLURALS[w])) return IRREGULAR_PLURALS[w];
+  const stems = [];
+  if (w.endsWith('ies')) stems.push(w.slice(0, -3) + 'y', w.slice(0, -1));
+  if (w.endsWith('ves')) stems.push(w.slice(0, -3) + 'f');
+  if (w.endsWith('es')) stems.push(w.slice(0, -2));
+  if (w.endsWith('s')) stems.push(w.slice(0, -1));
+  for (const s of stems) if (known.has(s)) return s;
+  return null;
+}
+
+function toCreatureType(word) {
+  return singularize(word, CREATURE_TYPE_SET);
+}
+
+function isKeyword(value) {
+  return KEYWORD_SET.has(String(value).toLowerCase());
+}
+
+function isTypeLineWord(value) {
+  return TYPE_LINE_SET.has(String(value).toLowerCase());
+}
+
+module.exports = {
+  COLORS,
+  COLOR_GROUPS,
+  COLOR_WORDS,
+  CARD_TYPES,
+  SUPERTYPES,
+  OTHER_SUBTYPES,
+  CREATURE_TYPES,
+  KEYWORDS,
+  FORMATS,
+  RARITIES,
+  FUNCTION_TAGS,
+  ART_TAGS,
+  singularize,
+  toCreatureType,
+  isKeyword,
+  isTypeLineWord,
+};
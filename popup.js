@@ -20,6 +20,15 @@ function attachEventListeners() {
   document.getElementById('licenseInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') activateLicense();
   });
+  document.getElementById('forgotKeyLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    document.getElementById('recoverForm').classList.toggle('hidden');
+    document.getElementById('recoverEmail').focus();
+  });
+  document.getElementById('recoverBtn').addEventListener('click', recoverLicense);
+  document.getElementById('recoverEmail').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') recoverLicense();
+  });
   document.getElementById('helpLink').addEventListener('click', (e) => {
     e.preventDefault();
     showHelp();
@@ -30,21 +39,23 @@ async function checkUserStatus() {
   const { licenseKey, searchCount } = await chrome.storage.sync.get(['licenseKey', 'searchCount']);
   const count = searchCount || 0;
   
+  let deviceLimitError = null;
   if (licenseKey) {
-    // User has a license - validate it
+    // User has a license - validate it (this also keeps this browser's seat registered)
     try {
       const response = await fetch(`${BACKEND_URL}/api/validate-license`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ licenseKey })
+        body: JSON.stringify({ licenseKey, ...(await getDeviceInfo()) })
       });
       const data = await response.json();
       if (data.valid) {
-        showProView(licenseKey, count);
+        showProView(licenseKey, count, data);
         return;
       } else {
-        // License invalid - remove it and check free status
+        // License invalid (or no seat left for this browser) - remove it and check free status
         await chrome.storage.sync.remove(['licenseKey']);
+        if (data.code === 'DEVICE_LIMIT') deviceLimitError = data.error;
       }
     } catch (error) {
       console.error('License validation error:', error);
@@ -54,19 +65,122 @@ async function checkUserStatus() {
     }
   }
   
-  // No valid license - check free search count
-  if (count >= FREE_SEARCH_LIMIT) {
+  // No valid license - check free search count (the server's trial count wins)
+  const used = await syncTrialCount(count);
+  if (used >= FREE_SEARCH_LIMIT) {
     showLimitView();
   } else {
-    showFreeView(count);
+    showFreeView(used);
+  }
+  if (deviceLimitError) showAlert(deviceLimitError, 'error');
+}
+
+async function getDeviceInfo() {
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: 'deviceInfo' });
+    if (resp?.ok) return { deviceId: resp.deviceId, deviceLabel: resp.deviceLabel };
+  } catch (error) {
+    console.error('Device info error:', error);
   }
+  return {};
 }
 
-function showProView(licenseKey, searchCount) {
+async function syncTrialCount(count) {
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: 'trialStatus' });
+    if (resp?.ok && resp.trial) {
+      await chrome.storage.sync.set({ searchCount: resp.trial.used });
+      return resp.trial.used;
+    }
+  } catch (error) {
+    console.error('Trial status error:', error);
+  }
+  return count;
+}
+
+// `seats` ({ seatLimit, devices }) comes with a validation response; otherwise it's fetched
+function showProView(licenseKey, searchCount, seats) {
   hideAllViews();
   document.getElementById('proView').classList.remove('hidden');
   document.getElementById('proSearchCount').textContent = searchCount;
   document.getElementById('licenseDisplay').textContent = licenseKey.substring(0, 13) + '...';
+  if (seats?.devices) {
+    renderDevices(licenseKey, seats);
+  } else {
+    loadDevices(licenseKey);
+  }
+}
+
+async function loadDevices(licenseKey) {
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/devices`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ licenseKey, deviceId: (await getDeviceInfo()).deviceId })
+    });
+    const data = await response.json();
+    if (response.ok) renderDevices(licenseKey, data);
+  } catch (error) {
+    console.error('Device list error:', error);
+  }
+}
+
+function renderDevices(licenseKey, { seatLimit, devices = [] }) {
+  const list = document.getElementById('deviceList');
+  list.textContent = '';
+  document.getElementById('seatSummary').textContent = seatLimit ? `(${devices.length} of ${seatLimit} in use)` : '';
+
+  for (const device of devices) {
+    const item = document.createElement('li');
+    item.className = 'device';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.textContent = device.current ? `${device.label} (this browser)` : device.label;
+    const meta = document.createElement('div');
+    meta.className = 'device-meta';
+    meta.textContent = `Last used ${new Date(device.lastSeen).toLocaleDateString()}`;
+    info.append(name, meta);
+    item.appendChild(info);
+
+    // this browser's own seat is freed with "Deactivate License"
+    if (!device.current) {
+      const releaseBtn = document.createElement('button');
+      releaseBtn.className = 'device-release';
+      releaseBtn.textContent = 'Release';
+      releaseBtn.addEventListener('click', () => releaseDevice(licenseKey, device, releaseBtn));
+      item.appendChild(releaseBtn);
+    }
+    list.appendChild(item);
+  }
+}
+
+async function releaseDevice(licenseKey, device, releaseBtn) {
+  if (!confirm(`Release ${device.label}? It will need to re-enter the license key to search again.`)) return;
+  releaseBtn.disabled = true;
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/devices/release`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        licenseKey,
+        deviceId: (await getDeviceInfo()).deviceId,
+        releaseDeviceId: device.deviceId
+      })
+    });
+    const data = await response.json();
+    if (response.ok) {
+      renderDevices(licenseKey, data);
+      showAlert(`✓ Released ${device.label}`, 'success', 'deviceAlert');
+    } else {
+      showAlert(data.error || 'Could not release device', 'error', 'deviceAlert');
+      releaseBtn.disabled = false;
+    }
+  } catch (error) {
+    console.error('Device release error:', error);
+    showAlert('Could not connect to server. Please try again.', 'error', 'deviceAlert');
+    releaseBtn.disabled = false;
+  }
 }
 
 function showFreeView(searchCount) {
@@ -93,39 +207,84 @@ function hideAllViews() {
   document.getElementById('limitView').classList.add('hidden');
 }
 
+// License key check - same rules as lib/license.js on the server:
+// SCRY- + 15 Crockford base32 chars + a Luhn mod 32 check char; legacy 3-group SCRY-/TEST- keys pass as-is.
+const LICENSE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const LEGACY_LICENSE_RE = /^(SCRY|TEST)-[A-Z0-9]{1,4}-[A-Z0-9]{1,4}-[A-Z0-9]{1,4}$/;
+
+function licenseCheckChar(body) {
+  const n = LICENSE_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * LICENSE_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    sum += Math.floor(addend / n) + (addend % n);
+  }
+  return LICENSE_ALPHABET[(n - (sum % n)) % n];
+}
+
+// -> { ok, key } or { ok: false, reason: 'EMPTY' | 'FORMAT' | 'TYPO', key }
+function parseLicenseKey(input) {
+  const raw = String(input || '').trim().toUpperCase().replace(/\s+/g, '');
+  if (!raw) return { ok: false, reason: 'EMPTY', key: '' };
+  if (LEGACY_LICENSE_RE.test(raw)) return { ok: true, key: raw };
+
+  const match = raw.match(/^SCRY-?([0-9A-Z-]+)$/);
+  if (!match) return { ok: false, reason: 'FORMAT', key: raw };
+  const chars = match[1].replace(/-/g, '').replace(/[IL]/g, '1').replace(/O/g, '0');
+  if ([...chars].some((c) => !LICENSE_ALPHABET.includes(c)) || Math.abs(chars.length - 16) > 1) {
+    return { ok: false, reason: 'FORMAT', key: raw };
+  }
+  const key = ['SCRY', ...chars.match(/.{1,4}/g)].join('-');
+  const ok = chars.length === 16 && licenseCheckChar(chars.slice(0, -1)) === chars.slice(-1);
+  return ok ? { ok, key } : { ok: false, reason: 'TYPO', key };
+}
+
 async function activateLicense() {
   const licenseInput = document.getElementById('licenseInput');
   const activateBtn = document.getElementById('activateBtn');
-  const licenseKey = licenseInput.value.trim().toUpperCase();
+  const parsed = parseLicenseKey(licenseInput.value);
   
-  if (!licenseKey) {
+  if (parsed.reason === 'EMPTY') {
     showAlert('Please enter a license key', 'error');
     return;
   }
   
-  if (!licenseKey.startsWith('SCRY-') && !licenseKey.startsWith('TEST-')) {
+  if (parsed.reason === 'FORMAT') {
     showAlert('Invalid license key format', 'error');
     return;
   }
   
-  activateBtn.textContent = 'Validating...';
+  const licenseKey = parsed.key;
+  licenseInput.value = licenseKey;
+  activateBtn.textContent = parsed.ok ? 'Validating...' : 'Checking...';
   activateBtn.disabled = true;
   
   try {
+    // a key that fails the check is never valid; the server only looks for a near match
     const response = await fetch(`${BACKEND_URL}/api/validate-license`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ licenseKey })
+      body: JSON.stringify({ licenseKey, ...(await getDeviceInfo()) })
     });
     const data = await response.json();
     
     if (data.valid) {
       const { searchCount } = await chrome.storage.sync.get(['searchCount']);
-      await chrome.storage.sync.set({ licenseKey });
+      const activatedKey = data.licenseKey || licenseKey;
+      await chrome.storage.sync.set({ licenseKey: activatedKey });
       showAlert('✓ License activated successfully!', 'success');
       setTimeout(() => {
-        showProView(licenseKey, searchCount || 0);
+        showProView(activatedKey, searchCount || 0, data);
       }, 1500);
+    } else if (data.code === 'DEVICE_LIMIT') {
+      showAlert(data.error, 'error');
+    } else if (data.suggestion) {
+      licenseInput.value = data.suggestion;
+      showAlert(`That key has a typo. Did you mean ${data.suggestion}? We've filled it in - press Activate to use it.`, 'error');
+    } else if (!parsed.ok) {
+      showAlert('That key has a typo - one character looks wrong, missing or extra. Please check it against your email.', 'error');
     } else {
       showAlert('Invalid license key. Please check and try again.', 'error');
     }
@@ -138,9 +297,55 @@ async function activateLicense() {
   }
 }
 
+async function recoverLicense() {
+  const emailInput = document.getElementById('recoverEmail');
+  const recoverBtn = document.getElementById('recoverBtn');
+  const email = emailInput.value.trim();
+  
+  if (!email) {
+    showAlert('Please enter the email you used at checkout', 'error');
+    return;
+  }
+  
+  recoverBtn.textContent = 'Sending...';
+  recoverBtn.disabled = true;
+  
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/license/recover`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    const data = await response.json();
+    
+    if (response.ok) {
+      showAlert(data.message, 'success');
+      document.getElementById('recoverForm').classList.add('hidden');
+    } else {
+      showAlert(data.error || 'Could not send your key. Please try again.', 'error');
+    }
+  } catch (error) {
+    console.error('Recovery error:', error);
+    showAlert('Could not connect to server. Please try again.', 'error');
+  } finally {
+    recoverBtn.textContent = 'Email my key';
+    recoverBtn.disabled = false;
+  }
+}
+
 async function deactivateLicense() {
   if (confirm('Are you sure you want to deactivate? You can reactivate with the same key later.')) {
-    const { searchCount } = await chrome.storage.sync.get(['searchCount']);
+    const { searchCount, licenseKey } = await chrome.storage.sync.get(['searchCount', 'licenseKey']);
+    // free this browser's seat so the key can be activated elsewhere
+    try {
+      await fetch(`${BACKEND_URL}/api/devices/release`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ licenseKey, deviceId: (await getDeviceInfo()).deviceId })
+      });
+    } catch (error) {
+      console.error('Device release error:', error);
+    }
     await chrome.storage.sync.remove(['licenseKey']);
     
     // Check if they should see free view or limit view
@@ -156,8 +361,8 @@ function openUpgradeLink() {
   chrome.tabs.create({ url: PAYMENT_LINK });
 }
 
-function showAlert(message, type) {
-  const alertBox = document.getElementById('alertBox');
+function showAlert(message, type, boxId = 'alertBox') {
+  const alertBox = document.getElementById(boxId);
   if (!alertBox) return;
   
   alertBox.textContent = message;
@@ -0,0 +1,244 @@
+// scripts/eval.js — score the conversion pipeline against the golden dataset, offline
+//
+//   node scripts/eval.js                       report per category + changes vs eval/baseline.json
+//   node scripts/eval.js --save-baseline       ...and make this run the new baseline
+//   node scripts/eval.js --prompt v2           pin the convert template version
+//   node scripts/eval.js --category sets --verbose
+//   node scripts/eval.js --no-examples         leave the similar-example section out of the prompt
+//   node scripts/eval.js --record              call the real providers (env, like the server) and
+//                                              save their replies to eval/recordings.json
+//   node scripts/eval.js --json                machine-readable results
+//
+// Queries go through the same prepare/run steps as /api/convert (lib/pipeline.js), with the
+// resolvers reading fixtures/scryfall instead of Scryfall, the curated examples only (no
+// promoted corrections) and no conversion cache. The model is
+// a mock provider replaying eval/recordings.json; queries without a recording get whatever the
+// pipeline does when the model fails (the rules fallback) and are flagged "no recording" in the
+// report, so a model comparison needs a --record run first. Scoring: lib/eval.js.
+
+const fs = require('fs');
+const path = require('path');
+const { createResolvers } = require('../lib/resolvers');
+const { createConverter } = require('../lib/pipeline');
+const { createPromptRegistry } = require('../lib/prompts');
+const { createExampleIndex } = require('../lib/examples');
+const { createMockProvider, createProviderRegistry, loadProviderConfig } = require('../lib/providers');
+const { scoreCase, summarize, diffBaseline } = require('../lib/eval');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(ROOT, 'fixtures', 'scryfall');
+const SILENT = { log() {}, warn() {}, error() {} };
+
+function parseArgs(argv) {
+  const args = {
+    golden: path.join(ROOT, 'eval', 'golden.json'),
+    recordings: path.join(ROOT, 'eval', 'recordings.json'),
+    baseline: path.join(ROOT, 'eval', 'baseline.json'),
+    saveBaseline: false,
+    record: false,
+    json: false,
+    verbose: false,
+    fastPath: true,
+    examples: true,
+    prompt: null,
+    category: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--golden') args.golden = argv[++i];
+    else if (arg === '--recordings') args.recordings = argv[++i];
+    else if (arg === '--baseline') args.baseline = argv[++i];
+    else if (arg === '--save-baseline') args.saveBaseline = true;
+    else if (arg === '--record') args.record = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--no-fast-path') args.fastPath = false;
+    else if (arg === '--no-examples') args.examples = false;
+    else if (arg === '--prompt') args.prompt = argv[++i];
+    else if (arg === '--category') args.category = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return args;
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+// serves /cards/named from fixtures/scryfall/cards.json; everything else is a 404
+function fixtureFetch() {
+  const cards = new Map(readJson(path.join(FIXTURES, 'cards.json'), { data: [] }).data.map((c) => [c.name.toLowerCase(), c]));
+  return async (url) => {
+    const exact = new URL(url).searchParams.get('exact');
+    const card = exact && cards.get(exact.toLowerCase());
+    return card ? Response.json(card) : new Response('{}', { status: 404 });
+  };
+}
+
+// real providers when recording (replies captured as they come), the recordings otherwise
+function createEvalLlm(args) {
+  const recordings = readJson(args.recordings, { responses: {} });
+  if (!args.record) {
+    const count = Object.keys(recordings.responses || {}).length;
+    const replay = createMockProvider({ name: 'recorded', model: recordings.model || 'recorded', responses: recordings.responses });
+    const recorded = new Set(Object.keys(recordings.responses || {}).map((q) => q.trim().toLowerCase()));
+    // the queries the pipeline asked the model for that have no recorded reply
+    const unrecorded = () => replay.calls.splice(0).map((r) => r.user).filter((q) => !recorded.has(String(q).trim().toLowerCase()));
+    const llm = createProviderRegistry({ chain: ['recorded'], providers: { recorded: replay }, logger: args.verbose ? console : SILENT });
+    return { llm, recordings, count, unrecorded };
+  }
+  const live = createProviderRegistry(loadProviderConfig(process.env));
+  if (!live.configured().length) throw new Error('--record needs a configured provider (see LLM_PROVIDER_CHAIN)');
+  const llm = {
+    configured: live.configured,
+    async complete(request, options) {
+      const completion = await live.complete(request, options);
+      recordings.responses = { ...recordings.responses, [request.user]: completion.text };
+      recordings.model = `${completion.provider}:${completion.model}`;
+      return completion;
+    },
+  };
+  return { llm, recordings, count: 0, unrecorded: () => [] };
+}
+
+async function evaluate(args) {
+  const cases = readJson(args.golden, null);
+  if (!cases) throw new Error(`No golden dataset at ${args.golden}`);
+  const selected = args.category ? cases.filter((c) => c.category === args.category) : cases;
+
+  const { llm, recordings, count, unrecorded } = createEvalLlm(args);
+  const prompts = createPromptRegistry({
+    dir: path.join(ROOT, 'prompts'),
+    experiments: args.prompt ? `convert=${args.prompt}` : '',
+  });
+  const resolvers = createResolvers({
+    fetchImpl: fixtureFetch(),
+    files: {
+      sets: path.join(FIXTURES, 'sets.json'),
+      cardNames: path.join(FIXTURES, 'card-names.json'),
+      catalogDir: path.join(FIXTURES, 'catalogs'),
+    },
+  });
+  const examples = args.examples ? createExampleIndex({ file: path.join(ROOT, 'prompts', 'convert', 'examples.json'), logger: SILENT }) : null;
+  if (examples) await examples.refresh();
+  const converter = createConverter({ llm, prompts, resolvers, examples, rulesFastPath: args.fastPath, logger: args.verbose ? console : SILENT });
+
+  const results = [];
+  for (const c of selected) {
+    const ctx = await converter.prepare(c.query);
+    let out;
+    try {
+      out = await converter.run(ctx, { label: 'eval' });
+    } catch (error) {
+      out = { syntax: null, provider: null, error: error.code || error.message };
+    }
+    const noRecording = unrecorded().length > 0;
+    results.push({
+      id: c.id,
+      category: c.category,
+      query: c.query,
+      expected: c.expected,
+      syntax: out.syntax,
+      provider: out.provider,
+      examples: ctx.examples.map((e) => e.id),
+      ...(out.fallback && { fallback: true }),
+      ...(noRecording && { noRecording: true }),
+      ...(out.error && { error: out.error }),
+      score: scoreCase(c.expected, out.syntax),
+    });
+  }
+
+  if (args.record) {
+    fs.mkdirSync(path.dirname(args.recordings), { recursive: true });
+    fs.writeFileSync(args.recordings, `${JSON.stringify(recordings, null, 2)}\n`);
+  }
+  return {
+    prompt: prompts.choose('convert').id,
+    provider: args.record ? recordings.model : count ? `recorded (${count} replies)` : 'none (rules only)',
+    results,
+    summary: summarize(results),
+  };
+}
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(7);
+const signed = (n) => (n > 0 ? `+${n.toFixed(3)}` : n.toFixed(3));
+
+function printReport(run, baseline, diff, args) {
+  console.log(`📊 ${run.results.length} cases · prompt ${run.prompt} · provider ${run.provider}`);
+  const unrecorded = run.results.filter((r) => r.noRecording);
+  if (unrecorded.length) {
+    console.log(`⚠️  ${unrecorded.length} case(s) asked the model but have no recording in ${path.relative(process.cwd(), args.recordings)};`);
+    console.log('   they show the rules fallback, not the model. Record replies with --record.');
+    if (!args.verbose) console.log(`   ${unrecorded.map((r) => r.id).join(' ')}`);
+  }
+  console.log('');
+  console.log(`${'category'.padEnd(12)} ${'cases'.padStart(5)} ${'exact'.padStart(7)} ${'prec'.padStart(7)} ${'recall'.padStart(7)} ${'F1'.padStart(7)}${baseline ? '      ΔF1' : ''}`);
+  for (const [name, s] of Object.entries(run.summary)) {
+    const before = baseline?.summary?.[name];
+    const delta = baseline ? (before ? `  ${signed(s.f1 - before.f1).padStart(7)}` : '      new') : '';
+    console.log(`${name.padEnd(12)} ${String(s.cases).padStart(5)} ${pct(s.exact)} ${pct(s.precision)} ${pct(s.recall)} ${pct(s.f1)}${delta}`);
+  }
+
+  if (args.verbose) {
+    const misses = run.results.filter((r) => !r.score.exact);
+    if (misses.length) console.log(`\nMisses (${misses.length}):`);
+    for (const r of misses) {
+      console.log(`  ${r.id}  "${r.query}"`);
+      const how = [r.provider, r.fallback && 'fallback', r.noRecording && 'no recording'].filter(Boolean).join(', ');
+      console.log(`    got      ${r.syntax ?? `(${r.error})`}${how ? ` [${how}]` : ''}`);
+      console.log(`    expected ${r.expected}`);
+      if (r.examples.length) console.log(`    examples ${r.examples.join(' ')}`);
+      if (r.score.missing.length) console.log(`    missing  ${r.score.missing.join(' ')}`);
+      if (r.score.extra.length) console.log(`    extra    ${r.score.extra.join(' ')}`);
+    }
+  }
+
+  if (!baseline) {
+    console.log(`\nNo baseline at ${path.relative(process.cwd(), args.baseline)}; save one with --save-baseline`);
+    return;
+  }
+  console.log(`\nvs baseline (${baseline.prompt}, ${baseline.provider}, ${baseline.createdAt?.slice(0, 10)}):`);
+  if (!diff.changes.length && !diff.added.length && !diff.removed.length) console.log('  no changes');
+  for (const ch of diff.changes.sort((a, b) => a.delta - b.delta)) {
+    const mark = ch.delta > 0 ? '▲' : ch.delta < 0 ? '▼' : '•';
+    console.log(`  ${mark} ${signed(ch.delta)}  ${ch.id}: ${ch.from ?? '(none)'}  →  ${ch.to ?? '(none)'}`);
+  }
+  if (diff.added.length) console.log(`  new cases: ${diff.added.join(', ')}`);
+  if (diff.removed.length) console.log(`  cases no longer run: ${diff.removed.join(', ')}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const run = await evaluate(args);
+  const baseline = readJson(args.baseline, null);
+  // a category run only compares the cases it ran
+  const compared = baseline && args.category
+    ? {
+      ...baseline,
+      summary: { [args.category]: baseline.summary?.[args.category], all: baseline.summary?.[args.category] },
+      results: Object.fromEntries(Object.entries(baseline.results).filter(([id]) => run.results.some((r) => r.id === id))),
+    }
+    : baseline;
+  const diff = compared && diffBaseline(compared, run.results);
+
+  if (args.json) console.log(JSON.stringify({ ...run, diff }, null, 2));
+  else printReport(run, compared, diff, args);
+
+  if (args.saveBaseline) {
+    if (args.category) throw new Error('--save-baseline needs the full dataset (drop --category)');
+    const saved = {
+      createdAt: new Date().toISOString(),
+      prompt: run.prompt,
+      provider: run.provider,
+      summary: run.summary,
+      results: Object.fromEntries(run.results.map((r) => [r.id, { syntax: r.syntax, f1: Number(r.score.f1.toFixed(3)), exact: r.score.exact }])),
+    };
+    fs.writeFileSync(args.baseline, `${JSON.stringify(saved, null, 2)}\n`);
+    if (!args.json) console.log(`\n💾 Baseline saved to ${path.relative(process.cwd(), args.baseline)}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+// scripts/set-catalog.js — try the set resolver offline against a Scryfall-format set list
+//
+//   node scripts/set-catalog.js resolve "dragons from the latest set"
+//   node scripts/set-catalog.js resolve "khans block" --file sets.json
+//
+// Reads fixtures/scryfall/sets.json unless --file points at another list (e.g. a saved
+// response from api.scryfall.com/sets).
+
+const fs = require('fs');
+const path = require('path');
+const { buildSetCatalog, findSetCandidates, resolveSetFilters } = require('../lib/sets');
+
+const FIXTURE_FILE = path.join(__dirname, '..', 'fixtures', 'scryfall', 'sets.json');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], query: null, file: null };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--file') args.file = argv[++i];
+    else if (!args.query) args.query = argv[i];
+  }
+  return args;
+}
+
+function loadRawSets(file) {
+  return JSON.parse(fs.readFileSync(file || FIXTURE_FILE, 'utf8')).data;
+}
+
+function resolve(query, file) {
+  if (!query) throw new Error('Usage: node scripts/set-catalog.js resolve "<query>" [--file sets.json]');
+  const catalog = buildSetCatalog(loadRawSets(file));
+  const filters = resolveSetFilters(catalog, query);
+  const candidates = findSetCandidates(catalog, query, { k: 6, exclude: filters });
+  console.log(`🔎 ${catalog.length} sets loaded`);
+  console.log('Filters:');
+  for (const f of filters) console.log(`  "${f.text}" -> ${f.clause}`);
+  console.log('Candidates:');
+  for (const c of candidates) console.log(`  ${c.code.padEnd(6)} ${String(c.score).padStart(3)}  ${c.name}${c.matched ? ` ("${c.matched}")` : ''}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === 'resolve') resolve(args.query, args.file);
+  else throw new Error('Usage: node scripts/set-catalog.js resolve "<query>" [--file sets.json]');
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// scripts/stripe-fixture.js — sign a fixture event locally and POST it to the webhook
+//
+//   node scripts/stripe-fixture.js checkout.session.completed
+//   node scripts/stripe-fixture.js charge.refunded --url http://localhost:3001/stripe/webhook
+//   node scripts/stripe-fixture.js fixtures/stripe/custom.json --new-id      (fresh event id)
+//   node scripts/stripe-fixture.js charge.refunded --bad-signature           (expect 400)
+//
+// Signs with STRIPE_WEBHOOK_SECRET from .env, exactly as Stripe would.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_fixture');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'stripe');
+
+function parseArgs(argv) {
+  const args = { fixture: null, url: null, newId: false, badSignature: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--url') args.url = argv[++i];
+    else if (a === '--new-id') args.newId = true;
+    else if (a === '--bad-signature') args.badSignature = true;
+    else if (!args.fixture) args.fixture = a;
+  }
+  return args;
+}
+
+function loadFixture(name) {
+  const file = fs.existsSync(name) ? name : path.join(FIXTURE_DIR, `${name.replace(/\.json$/, '')}.json`);
+  if (!fs.existsSync(file)) {
+    const available = fs.readdirSync(FIXTURE_DIR).map((f) => f.replace(/\.json$/, ''));
+    throw new Error(`Fixture "${name}" not found. Available: ${available.join(', ')}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.fixture) {
+    console.error('Usage: node scripts/stripe-fixture.js <fixture> [--url URL] [--new-id] [--bad-signature]');
+    process.exit(1);
+  }
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET must be set (same value the server uses)');
+    process.exit(1);
+  }
+
+  const event = loadFixture(args.fixture);
+  if (args.newId) event.id = `evt_fixture_${crypto.randomBytes(8).toString('hex')}`;
+  const payload = JSON.stringify(event, null, 2);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: args.badSignature ? `${secret}_wrong` : secret,
+  });
+
+  const url = args.url || `http://localhost:${process.env.PORT || 3001}/stripe/webhook`;
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload,
+  });
+  const text = await resp.text();
+  console.log(`${event.type} ${event.id} → ${resp.status} ${text}`);
+  process.exit(resp.ok || args.badSignature ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -1,13 +1,49 @@
-// server.js — Scryfall NLP API (licenses + per-license rate limit + set resolver + PERSISTENCE)
+// server.js — Scryfall NLP API (licenses + per-license rate limit + set resolver + syntax validation + PERSISTENCE)
 
 require('dotenv').config();
 
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || '');
-const { Resend } = require('resend');
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
 const { Pool } = require('pg');
+const { validateAndRepair, parseQuery, formatQuery } = require('./lib/syntax');
+const { describeSyntax, explainSyntax } = require('./lib/describe');
+const { refineWithRules, refinePrompt } = require('./lib/refine');
+const { vocabularyHints } = require('./lib/grounding');
+const {
+  MAX_INTERPRETATIONS,
+  alternativesPrompt,
+  parseAlternativesReply,
+  setSwapInterpretations,
+  rankInterpretations,
+  sameSyntax,
+} = require('./lib/interpretations');
+const { LRUCache } = require('./lib/cache');
+const { createProviderRegistry, loadProviderConfig } = require('./lib/providers');
+const { upstreamFetcher, getBreakerStates } = require('./lib/upstream');
+const { createPostgresSnapshotStore, createFileSnapshotStore } = require('./lib/catalog');
+const { createPromptRegistry } = require('./lib/prompts');
+const { createConversionLog } = require('./lib/conversions');
+const { createFeedbackStore } = require('./lib/feedback');
+const { createStripeEventStore, createStripeWebhook } = require('./lib/stripe-webhook');
+const { createExampleIndex } = require('./lib/examples');
+const { createResolvers } = require('./lib/resolvers');
+const {
+  ConversionError,
+  createConverter,
+  normQuery,
+  explicitSetCode,
+  describeCandidate,
+  cardFactsSection,
+  vocabularySection,
+} = require('./lib/pipeline');
+const { createMemoryStore, createPostgresStore, createRateLimiter } = require('./lib/ratelimit');
+const { generateLicenseKey, parseLicenseKey, typoCandidates } = require('./lib/license');
+const { createMailer, loadMailerConfig } = require('./lib/mailer');
+
+const mailer = createMailer(loadMailerConfig(process.env));
 
 // ---------- database connection ----------
 const pool = new Pool({
@@ -28,6 +64,100 @@ async function initDatabase() {
       )
     `);
     
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversion_cache (
+        cache_key VARCHAR(64) PRIMARY KEY,
+        query_norm TEXT NOT NULL,
+        prompt_version VARCHAR(64) NOT NULL,
+        response JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS conversion_cache_query_idx ON conversion_cache (query_norm)');
+    // admin purges, replayed by every instance into its in-memory cache (query_norm NULL = all)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cache_purges (
+        id BIGSERIAL PRIMARY KEY,
+        query_norm TEXT,
+        purged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // anonymous install tokens for the free trial
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trial_tokens (
+        token VARCHAR(64) PRIMARY KEY,
+        ip VARCHAR(64),
+        used INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trial_ip_usage (
+        ip VARCHAR(64) PRIMARY KEY,
+        used INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Stripe linkage + refund/dispute flags on licenses, and processed webhook events
+    await client.query(`
+      ALTER TABLE licenses
+        ADD COLUMN IF NOT EXISTS stripe_session_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS stripe_payment_intent VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS flag VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS licenses_stripe_session_idx
+        ON licenses (stripe_session_id) WHERE stripe_session_id IS NOT NULL
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS licenses_payment_intent_idx ON licenses (stripe_payment_intent)');
+
+    // license lifecycle: where a key came from, what replaced it, and every state change
+    await client.query(`
+      ALTER TABLE licenses
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS replaced_by VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS note TEXT
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_audit (
+        id SERIAL PRIMARY KEY,
+        license_key VARCHAR(255) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS license_audit_key_idx ON license_audit (license_key, created_at)');
+
+    // installs a key is activated on; seat_limit NULL = DEVICE_SEAT_LIMIT
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS license_devices (
+        license_key VARCHAR(255) NOT NULL,
+        device_id VARCHAR(64) NOT NULL,
+        label VARCHAR(100),
+        user_agent VARCHAR(255),
+        first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (license_key, device_id)
+      )
+    `);
+    await client.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS seat_limit INTEGER');
+
+    // per-license override of RATE_MAX_REQUESTS (NULL = default)
+    await client.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS rate_limit INTEGER');
+    if (rateLimitStore.init) await rateLimitStore.init();
+    if (catalogStore.init) await catalogStore.init();
+    await conversionLog.init();
+    await feedbackStore.init();
+    await stripeEvents.init();
+
     // Add test licenses if they don't exist
     await client.query(`
       INSERT INTO licenses (license_key, email, is_active) 
@@ -49,34 +179,33 @@ async function initDatabase() {
   }
 }
 
-// Check if license is valid
-async function isLicenseValid(licenseKey) {
+// Get an active license row (null if missing or inactive)
+async function getActiveLicense(licenseKey) {
   const client = await pool.connect();
   try {
     const result = await client.query(
       'SELECT * FROM licenses WHERE license_key = $1 AND is_active = true',
       [licenseKey]
     );
-    return result.rows.length > 0;
-  } catch (error) {
-    console.error('License validation error:', error);
-    return false;
+    return result.rows[0] || null;
   } finally {
     client.release();
   }
 }
 
-// Add new license
-async function addLicense(licenseKey, email) {
+// Add new license (optionally linked to the Stripe checkout that paid for it)
+async function addLicense(licenseKey, email, stripeRefs = {}, { source = 'stripe', note = null } = {}) {
   const client = await pool.connect();
   try {
     await client.query(
-      'INSERT INTO licenses (license_key, email, is_active) VALUES ($1, $2, true)',
-      [licenseKey, email]
+      `INSERT INTO licenses (license_key, email, is_active, stripe_session_id, stripe_payment_intent, stripe_customer_id, source, note)
+       VALUES ($1, $2, true, $3, $4, $5, $6, $7)`,
+      [licenseKey, email, stripeRefs.sessionId || null, stripeRefs.paymentIntent || null, stripeRefs.customerId || null, source, note]
     );
     console.log(`💾 License saved to database: ${licenseKey}`);
     return true;
   } catch (error) {
+    if (isLicenseKeyConflict(error)) throw error; // issueLicenseKey retries with a fresh key
     console.error('Error saving license:', error);
     return false;
   } finally {
@@ -84,7 +213,294 @@ async function addLicense(licenseKey, email) {
   }
 }
 
+function isLicenseKeyConflict(error) {
+  return error?.code === '23505' && error?.constraint === 'licenses_pkey';
+}
+
+// Runs `insert(key)` with freshly generated keys until one doesn't collide with an existing license
+const LICENSE_KEY_ATTEMPTS = 5;
+async function issueLicenseKey(insert) {
+  for (let attempt = 1; ; attempt++) {
+    const licenseKey = generateLicenseKey();
+    try {
+      return await insert(licenseKey);
+    } catch (error) {
+      if (!isLicenseKeyConflict(error) || attempt >= LICENSE_KEY_ATTEMPTS) throw error;
+      console.warn(`⚠️ License key collision on ${licenseKey}, retrying`);
+    }
+  }
+}
+
+// Active licenses among `keys` (used for "did you mean" suggestions)
+async function findActiveLicenseKeys(keys) {
+  if (!keys.length) return [];
+  const result = await pool.query(
+    'SELECT license_key FROM licenses WHERE license_key = ANY($1) AND is_active = true',
+    [keys]
+  );
+  return result.rows.map((r) => r.license_key);
+}
+
+// Append to a license's audit trail (never throws - auditing must not break the action)
+async function recordLicenseEvent(licenseKey, action, actor, details = null) {
+  try {
+    await pool.query(
+      'INSERT INTO license_audit (license_key, action, actor, details) VALUES ($1, $2, $3, $4)',
+      [licenseKey, action, actor, details]
+    );
+  } catch (error) {
+    console.error('Error writing license audit:', error);
+  }
+}
+
+async function getLicenseAudit(licenseKey) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT action, actor, details, created_at FROM license_audit WHERE license_key = $1 ORDER BY created_at, id',
+      [licenseKey]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Get a license row in any state
+async function getLicense(licenseKey) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT * FROM licenses WHERE license_key = $1', [licenseKey]);
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Search licenses by (partial) email and/or key
+async function searchLicenses({ email, key, limit = 50 }) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT * FROM licenses
+       WHERE ($1::text IS NULL OR email ILIKE $1)
+         AND ($2::text IS NULL OR license_key ILIKE $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [email ? `%${email}%` : null, key ? `%${key}%` : null, limit]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Activate or deactivate a license; returns the updated row, or null if the key is unknown
+async function setLicenseActive(licenseKey, active) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE licenses
+         SET is_active = $2,
+             deactivated_at = CASE WHEN $2 THEN NULL ELSE COALESCE(deactivated_at, CURRENT_TIMESTAMP) END,
+             flag = CASE WHEN $2 THEN NULL ELSE flag END
+       WHERE license_key = $1
+       RETURNING *`,
+      [licenseKey, active]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+async function setLicenseRateLimit(licenseKey, rateLimit) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'UPDATE licenses SET rate_limit = $2 WHERE license_key = $1 RETURNING *',
+      [licenseKey, rateLimit]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+async function setLicenseSeatLimit(licenseKey, seatLimit) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'UPDATE licenses SET seat_limit = $2 WHERE license_key = $1 RETURNING *',
+      [licenseKey, seatLimit]
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Register `deviceId` against a license, or refresh it if already registered. Devices idle for
+// longer than `idleDays` are dropped first so abandoned installs don't hold seats forever.
+// Returns { registered, created, devices } - registered is false when every seat is taken.
+async function registerLicenseDevice(licenseKey, deviceId, { label, userAgent, seatLimit, idleDays }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // serialize registrations per license so two installs can't both take the last seat
+    await client.query('SELECT 1 FROM licenses WHERE license_key = $1 FOR UPDATE', [licenseKey]);
+    await client.query(
+      `DELETE FROM license_devices
+       WHERE license_key = $1 AND device_id <> $2 AND last_seen < NOW() - make_interval(days => $3)`,
+      [licenseKey, deviceId, idleDays]
+    );
+    const refreshed = await client.query(
+      `UPDATE license_devices SET last_seen = CURRENT_TIMESTAMP, label = COALESCE($3, label), user_agent = COALESCE($4, user_agent)
+       WHERE license_key = $1 AND device_id = $2`,
+      [licenseKey, deviceId, label, userAgent]
+    );
+    let registered = refreshed.rowCount > 0;
+    let created = false;
+    if (!registered) {
+      const count = await client.query('SELECT COUNT(*) FROM license_devices WHERE license_key = $1', [licenseKey]);
+      if (Number(count.rows[0].count) < seatLimit) {
+        await client.query(
+          'INSERT INTO license_devices (license_key, device_id, label, user_agent) VALUES ($1, $2, $3, $4)',
+          [licenseKey, deviceId, label, userAgent]
+        );
+        registered = true;
+        created = true;
+      }
+    }
+    const devices = await client.query(
+      'SELECT device_id, label, first_seen, last_seen FROM license_devices WHERE license_key = $1 ORDER BY first_seen',
+      [licenseKey]
+    );
+    await client.query('COMMIT');
+    return { registered, created, devices: devices.rows };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Marks a registered device as seen; false if it isn't registered to the license
+async function touchLicenseDevice(licenseKey, deviceId) {
+  const result = await pool.query(
+    'UPDATE license_devices SET last_seen = CURRENT_TIMESTAMP WHERE license_key = $1 AND device_id = $2',
+    [licenseKey, deviceId]
+  );
+  return result.rowCount > 0;
+}
+
+async function getLicenseDevices(licenseKey) {
+  const result = await pool.query(
+    'SELECT device_id, label, user_agent, first_seen, last_seen FROM license_devices WHERE license_key = $1 ORDER BY first_seen',
+    [licenseKey]
+  );
+  return result.rows;
+}
+
+async function releaseLicenseDevice(licenseKey, deviceId) {
+  const result = await pool.query(
+    'DELETE FROM license_devices WHERE license_key = $1 AND device_id = $2',
+    [licenseKey, deviceId]
+  );
+  return result.rowCount > 0;
+}
+
+// flags a reissue must not paper over: the license has to be reactivated first
+const REISSUE_BLOCKING_FLAGS = new Set(['refunded', 'disputed']);
+
+// Retire `oldKey` and move its email and Stripe linkage to `newKey`, atomically
+// -> null (no such license) | { conflict } (already replaced, refunded or disputed) | { license }
+async function reissueLicense(oldKey, newKey) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const old = await client.query('SELECT * FROM licenses WHERE license_key = $1 FOR UPDATE', [oldKey]);
+    if (old.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const prev = old.rows[0];
+    const conflict = prev.replaced_by
+      ? `License was already reissued as ${prev.replaced_by}`
+      : !prev.is_active && REISSUE_BLOCKING_FLAGS.has(prev.flag)
+        ? `License is deactivated (${prev.flag}); reactivate it before reissuing`
+        : null;
+    if (conflict) {
+      await client.query('ROLLBACK');
+      return { conflict };
+    }
+    await client.query(
+      `UPDATE licenses
+         SET is_active = false, flag = 'reissued', replaced_by = $2,
+             deactivated_at = COALESCE(deactivated_at, CURRENT_TIMESTAMP), stripe_session_id = NULL
+       WHERE license_key = $1`,
+      [oldKey, newKey]
+    );
+    const created = await client.query(
+      `INSERT INTO licenses (license_key, email, is_active, stripe_session_id, stripe_payment_intent, stripe_customer_id, source, rate_limit, seat_limit)
+       VALUES ($1, $2, true, $3, $4, $5, 'reissue', $6, $7)
+       RETURNING *`,
+      [newKey, prev.email, prev.stripe_session_id, prev.stripe_payment_intent, prev.stripe_customer_id, prev.rate_limit, prev.seat_limit]
+    );
+    // the old key's seats go with it; the owner activates the new key on each device again
+    await client.query('DELETE FROM license_devices WHERE license_key = $1', [oldKey]);
+    await client.query('COMMIT');
+    return { license: created.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Get the license minted for a Stripe checkout session (any state)
+async function getLicenseBySession(sessionId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT * FROM licenses WHERE stripe_session_id = $1', [sessionId]);
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+// Flag (and optionally deactivate) licenses paid for by a payment intent or checkout session.
+// Returns the affected license keys.
+async function flagLicensesByPayment({ paymentIntent, sessionId }, flag, { deactivate }) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE licenses
+         SET flag = $3,
+             is_active = CASE WHEN $4 THEN false ELSE is_active END,
+             deactivated_at = CASE WHEN $4 AND is_active THEN CURRENT_TIMESTAMP ELSE deactivated_at END
+       WHERE ($1::text IS NOT NULL AND stripe_payment_intent = $1)
+          OR ($2::text IS NOT NULL AND stripe_session_id = $2)
+       RETURNING license_key`,
+      [paymentIntent || null, sessionId || null, flag, Boolean(deactivate)]
+    );
+    return result.rows.map((r) => r.license_key);
+  } finally {
+    client.release();
+  }
+}
+
 // Get license by email (for session lookup)
+async function getActiveLicensesByEmail(email) {
+  const result = await pool.query(
+    'SELECT license_key FROM licenses WHERE email = $1 AND is_active = true ORDER BY created_at DESC',
+    [email]
+  );
+  return result.rows;
+}
+
 async function getLicenseByEmail(email) {
   const client = await pool.connect();
   try {
@@ -101,24 +517,167 @@ async function getLicenseByEmail(email) {
   }
 }
 
-// ---------- utils ----------
-function generateLicense() {
-  const chunk = () =>
-    Math.random().toString(36).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 4);
-  return `SCRY-${chunk()}-${chunk()}-${chunk()}`;
+// Issue a new anonymous trial token
+async function createTrialToken(ip) {
+  const token = `trial_${crypto.randomBytes(24).toString('base64url')}`;
+  const client = await pool.connect();
+  try {
+    await client.query('INSERT INTO trial_tokens (token, ip) VALUES ($1, $2)', [token, ip]);
+    return token;
+  } finally {
+    client.release();
+  }
 }
 
-function norm(s) {
-  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+// Trial usage for a token, plus the total used from the requesting IP
+async function getTrialUsage(token, ip) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT t.used, COALESCE((SELECT used FROM trial_ip_usage WHERE ip = $2), 0) AS ip_used
+       FROM trial_tokens t WHERE t.token = $1`,
+      [token, ip]
+    );
+    if (result.rows.length === 0) return null;
+    return { used: result.rows[0].used, ipUsed: Number(result.rows[0].ip_used) };
+  } finally {
+    client.release();
+  }
+}
+
+// Takes one trial use from the token and the IP, only while both are under their limits; the
+// conditional updates make concurrent requests queue on the rows instead of all passing a check.
+// -> { used } (the token's new total), { exhausted: true, used } or null for an unknown token
+async function reserveTrialUse(token, ip, limit, ipLimit) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE trial_tokens SET used = used + 1, last_used_at = CURRENT_TIMESTAMP
+        WHERE token = $1 AND used < $2 RETURNING used`,
+      [token, limit]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      const existing = await client.query('SELECT used FROM trial_tokens WHERE token = $1', [token]);
+      return existing.rows.length ? { exhausted: true, used: existing.rows[0].used } : null;
+    }
+    const perIp = await client.query(
+      `INSERT INTO trial_ip_usage (ip, used) VALUES ($1, 1)
+       ON CONFLICT (ip) DO UPDATE SET used = trial_ip_usage.used + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE trial_ip_usage.used < $2
+       RETURNING used`,
+      [ip, ipLimit]
+    );
+    if (!perIp.rows.length) {
+      await client.query('ROLLBACK');
+      return { exhausted: true, used: limit };
+    }
+    await client.query('COMMIT');
+    return { used: result.rows[0].used };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// gives back a reserved use when the request didn't produce an answer
+async function releaseTrialUse(token, ip) {
+  await pool.query('UPDATE trial_tokens SET used = GREATEST(used - 1, 0) WHERE token = $1', [token]);
+  await pool.query('UPDATE trial_ip_usage SET used = GREATEST(used - 1, 0) WHERE ip = $1', [ip]);
+}
+
+// Get a cached conversion that has not expired yet -> { response, ttlMs } (ttlMs: what's left of it)
+async function getCachedConversionRow(cacheKey) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT response, EXTRACT(EPOCH FROM (expires_at - NOW())) * 1000 AS ttl_ms
+         FROM conversion_cache WHERE cache_key = $1 AND expires_at > NOW()`,
+      [cacheKey]
+    );
+    const row = result.rows[0];
+    return row ? { response: row.response, ttlMs: Number(row.ttl_ms) } : null;
+  } catch (error) {
+    console.error('Error reading conversion cache:', error);
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Store (or refresh) a cached conversion
+async function saveCachedConversion(cacheKey, queryNorm, promptVersion, response, ttlMs) {
+  const client = await pool.connect();
+  try {
+    await client.query(
+      `INSERT INTO conversion_cache (cache_key, query_norm, prompt_version, response, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 || ' milliseconds')::interval)
+       ON CONFLICT (cache_key) DO UPDATE
+         SET response = EXCLUDED.response, created_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at`,
+      [cacheKey, queryNorm, promptVersion, response, String(ttlMs)]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error writing conversion cache:', error);
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+// Delete cached conversions (all, or only those for one normalized query); returns rows removed
+async function purgeCachedConversions(queryNorm) {
+  const client = await pool.connect();
+  try {
+    const result = queryNorm
+      ? await client.query('DELETE FROM conversion_cache WHERE query_norm = $1', [queryNorm])
+      : await client.query('DELETE FROM conversion_cache');
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteExpiredCachedConversions() {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('DELETE FROM conversion_cache WHERE expires_at <= NOW()');
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+async function recordCachePurge(queryNorm) {
+  await pool.query('INSERT INTO cache_purges (query_norm) VALUES ($1)', [queryNorm || null]);
+}
+
+// purges after `afterId` (all of them for null), oldest first -> [{ id, queryNorm }]
+async function getCachePurgesSince(afterId) {
+  const result = await pool.query(
+    'SELECT id, query_norm FROM cache_purges WHERE id > $1 ORDER BY id',
+    [afterId ?? 0]
+  );
+  return result.rows.map((r) => ({ id: Number(r.id), queryNorm: r.query_norm }));
+}
+
+// a purge outlives every memory entry it could apply to after CACHE_TTL_MS
+async function deleteOldCachePurges(ttlMs) {
+  await pool.query("DELETE FROM cache_purges WHERE purged_at < NOW() - ($1 || ' milliseconds')::interval", [String(ttlMs)]);
 }
 
 // ---------- rate limit (per license) ----------
+// sliding window; counters in Postgres by default so restarts and extra replicas share them
 const WINDOW_MS = Number(process.env.RATE_WINDOW_MS ?? 60 * 60 * 1000); // 1h
 const MAX_REQUESTS = Number(process.env.RATE_MAX_REQUESTS ?? 60);      // 60/h
-const usage = new Map(); // licenseKey -> { count, resetAt }
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createPostgresStore(pool);
+const rateLimiter = createRateLimiter({ store: rateLimitStore, windowMs: WINDOW_MS, max: MAX_REQUESTS });
 
-function setRateHeaders(res, remaining, resetAt) {
-  res.setHeader('RateLimit-Limit', String(MAX_REQUESTS));
+function setRateHeaders(res, remaining, resetAt, limit = MAX_REQUESTS) {
+  res.setHeader('RateLimit-Limit', String(limit));
   res.setHeader('RateLimit-Remaining', String(Math.max(0, remaining)));
   res.setHeader(
     'RateLimit-Reset',
@@ -126,115 +685,194 @@ function setRateHeaders(res, remaining, resetAt) {
   );
 }
 
-function rateLimitPerLicense(req, res, next) {
+async function rateLimitPerLicense(req, res, next) {
   const key = req.body?.licenseKey;
   if (!key) {
     setRateHeaders(res, MAX_REQUESTS, Date.now() + WINDOW_MS);
     return res.status(401).json({ error: 'License key required' });
   }
-  const now = Date.now();
-  let rec = usage.get(key);
-  if (!rec || now >= rec.resetAt) rec = { count: 0, resetAt: now + WINDOW_MS };
+  const limit = req.license?.rate_limit ?? MAX_REQUESTS;
+  // the stored key, not the one typed: every spelling parseLicenseKey() accepts shares a bucket
+  const rec = await rateLimiter.consume(requesterKey(req), limit);
+  setRateHeaders(res, rec.remaining, rec.resetAt, limit);
 
-  if (rec.count >= MAX_REQUESTS) {
-    setRateHeaders(res, 0, rec.resetAt);
+  if (!rec.allowed) {
     return res.status(429).json({
       error: 'Rate limit exceeded. Try again later.',
-      limit: MAX_REQUESTS,
-      resetSeconds: Math.ceil((rec.resetAt - now) / 1000),
+      limit,
+      resetSeconds: Math.ceil((rec.resetAt - Date.now()) / 1000),
     });
   }
-  rec.count += 1;
-  usage.set(key, rec);
-  setRateHeaders(res, MAX_REQUESTS - rec.count, rec.resetAt);
   next();
 }
 
 // periodic cleanup
 setInterval(() => {
-  const now = Date.now();
-  for (const [k, v] of usage) if (now > v.resetAt + WINDOW_MS) usage.delete(k);
+  rateLimiter.cleanup().catch((e) => console.error('Rate limit cleanup error:', e.message));
 }, 30 * 60 * 1000);
 
-// ---------- sets resolver (cached) ----------
-const SETS_CACHE = { data: null, fetchedAt: 0 };
-const SETS_TTL_MS = 24 * 60 * 60 * 1000; // 24h
-
-async function fetchAllSets() {
-  const now = Date.now();
-  if (SETS_CACHE.data && now - SETS_CACHE.fetchedAt < SETS_TTL_MS) return SETS_CACHE.data;
-
-  const resp = await fetch('https://api.scryfall.com/sets');
-  if (!resp.ok) throw new Error('Failed to load Scryfall sets');
-  const json = await resp.json();
-
-  const sets = json.data.map((s) => ({
-    code: (s.code || '').toLowerCase(),
-    name: s.name || '',
-    nameNorm: norm(s.name || ''),
-    releasedAt: s.released_at || '0000-00-00',
-  }));
-
-  const aliases = [
-    { code: 'cmm', name: 'commander masters' },
-    { code: 'cma', name: 'commander anthology' },
-    { code: 'mm2', name: 'modern masters 2015' },
-    { code: 'mh2', name: 'modern horizons 2' },
-    { code: '2xm', name: 'double masters' },
-    { code: 'dom', name: 'dominaria' },
-    { code: 'dmu', name: 'dominaria united' },
-  ];
-  for (const a of aliases) {
-    sets.push({ code: a.code, name: a.name, nameNorm: norm(a.name), releasedAt: '9999-99-99' });
-  }
-
-  SETS_CACHE.data = sets;
-  SETS_CACHE.fetchedAt = now;
-  return sets;
-}
-
-function scoreMatch(q, nameNorm) {
-  if (q.includes(nameNorm)) return 100;
-  const qw = new Set(q.split(/\s+/));
-  const nw = new Set(nameNorm.split(/\s+/));
-  let overlap = 0;
-  for (const w of nw) if (qw.has(w)) overlap++;
-  return overlap;
-}
-
-async function getSetCandidatesFromQuery(query, k = 6) {
-  const sets = await fetchAllSets();
-  const q = norm(query);
-  if (!q) return [];
-  const qTight = q
-    .replace(/\b(the|set|edition|masters|anthology|collection|series)\b/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-  const scored = [];
-  for (const s of sets) {
-    const sTight = s.nameNorm
-      .replace(/\b(the|set|edition|masters|anthology|collection|series)\b/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-    const score = Math.max(scoreMatch(q, s.nameNorm), scoreMatch(qTight, sTight));
-    if (score >= 1) scored.push({ ...s, score });
-  }
-  const bestByCode = new Map();
-  for (const s of scored) {
-    const prev = bestByCode.get(s.code);
-    if (!prev || s.score > prev.score) bestByCode.set(s.code, s);
-  }
-  return [...bestByCode.values()]
-    .sort((a, b) => b.score - a.score || b.releasedAt.localeCompare(a.releasedAt))
-    .slice(0, k);
+// ---------- conversion cache (LRU in front of Postgres) ----------
+const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS ?? 7 * 24 * 60 * 60 * 1000); // 7d
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES ?? 1000);
+const conversionCache = new LRUCache({ max: CACHE_MAX_ENTRIES, ttlMs: CACHE_TTL_MS });
+const cacheStats = { hits: 0, misses: 0, memoryHits: 0, dbHits: 0, writes: 0 };
+
+// DELETE /admin/cache runs on one instance; the others learn of it from cache_purges, checked
+// at most this often before serving from memory (so a purge reaches every replica within it)
+const CACHE_PURGE_CHECK_MS = Number(process.env.CACHE_PURGE_CHECK_MS ?? 5000);
+const purgeSync = { lastId: 0, checkedAt: 0, running: null };
+
+function purgeMemoryCache(queryNorm) {
+  return queryNorm
+    ? conversionCache.deleteWhere((entry) => entry.queryNorm === queryNorm)
+    : conversionCache.clear();
+}
+
+async function syncCachePurges() {
+  if (Date.now() - purgeSync.checkedAt < CACHE_PURGE_CHECK_MS) return;
+  purgeSync.running ??= getCachePurgesSince(purgeSync.lastId)
+    .then((purges) => {
+      for (const purge of purges) {
+        purgeMemoryCache(purge.queryNorm);
+        purgeSync.lastId = purge.id;
+      }
+    })
+    .catch((error) => console.error('Cache purge sync error:', error.message))
+    .finally(() => {
+      purgeSync.checkedAt = Date.now();
+      purgeSync.running = null;
+    });
+  await purgeSync.running;
+}
+
+function conversionCacheKey(queryNorm, setContext, promptVersion) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([queryNorm, setContext, promptVersion]))
+    .digest('hex');
+}
+
+async function getCachedConversion(cacheKey, queryNorm) {
+  await syncCachePurges();
+  const hit = conversionCache.get(cacheKey);
+  if (hit) {
+    cacheStats.hits++;
+    cacheStats.memoryHits++;
+    return hit.response;
+  }
+  const row = await getCachedConversionRow(cacheKey);
+  if (row) {
+    // in memory only as long as the row lives in the DB
+    conversionCache.set(cacheKey, { queryNorm, response: row.response }, Math.min(row.ttlMs, CACHE_TTL_MS));
+    cacheStats.hits++;
+    cacheStats.dbHits++;
+    return row.response;
+  }
+  cacheStats.misses++;
+  return null;
 }
 
+async function setCachedConversion(cacheKey, queryNorm, promptVersion, response) {
+  conversionCache.set(cacheKey, { queryNorm, response });
+  cacheStats.writes++;
+  await saveCachedConversion(cacheKey, queryNorm, promptVersion, response, CACHE_TTL_MS);
+}
+
+function getCacheStats() {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    ...cacheStats,
+    hitRate: lookups ? Number((cacheStats.hits / lookups).toFixed(3)) : 0,
+    memoryEntries: conversionCache.size,
+    ttlSeconds: Math.round(CACHE_TTL_MS / 1000),
+  };
+}
+
+setInterval(() => {
+  conversionCache.prune();
+  deleteExpiredCachedConversions().catch((e) => console.error('Cache cleanup error:', e.message));
+  deleteOldCachePurges(CACHE_TTL_MS).catch((e) => console.error('Cache purge cleanup error:', e.message));
+}, 60 * 60 * 1000);
+
+// ---------- conversion log (see lib/conversions.js) ----------
+// CONVERSION_LOG_QUERIES=hash keeps only hashes of the queries; CONVERSION_RETENTION_DAYS=0 keeps rows forever
+const conversionLog = createConversionLog(pool, {
+  retentionDays: Number(process.env.CONVERSION_RETENTION_DAYS ?? 90),
+  queries: process.env.CONVERSION_LOG_QUERIES === 'hash' ? 'hash' : 'full',
+});
+
+// never throws and never delays the response
+function logConversion(req, ctx, { id, started, result = null }) {
+  conversionLog.record({
+    id,
+    requester: requesterKey(req),
+    query: ctx.query,
+    queryNorm: ctx.queryNorm,
+    syntax: result?.syntax,
+    provider: result?.provider,
+    model: result?.model,
+    promptVersion: ctx.template.id,
+    outcome: ctx.trace.outcome || 'error',
+    setPath: ctx.setPath,
+    error: ctx.trace.error,
+    latencyMs: Date.now() - started,
+    usage: ctx.trace.outcome === 'model' ? ctx.trace.usage : null,
+    attempts: ctx.trace.attempts,
+    examples: ctx.examples,
+  }).catch((error) => console.error('Conversion log error:', error.message));
+}
+
+// thumbs up/down and user corrections, linked to conversions (see lib/feedback.js)
+const feedbackStore = createFeedbackStore(pool);
+// webhook deliveries: a claim left unprocessed this long (a crash mid-handler) is taken over by the retry
+const stripeEvents = createStripeEventStore(pool, {
+  claimTimeoutMs: Number(process.env.STRIPE_CLAIM_TIMEOUT_MS ?? 5 * 60 * 1000),
+});
+
+// the most similar solved queries go into each convert prompt (see lib/examples.js): the curated
+// pairs in prompts/convert/examples.json plus promoted corrections. EXAMPLES_PER_PROMPT=0 turns it off.
+// Promoting or deleting refreshes this instance; the interval picks it up everywhere else.
+const exampleIndex = createExampleIndex({
+  file: path.join(__dirname, 'prompts', 'convert', 'examples.json'),
+  load: () => feedbackStore.examples(),
+  k: Number(process.env.EXAMPLES_PER_PROMPT ?? 3),
+});
+
+setInterval(() => {
+  exampleIndex.refresh();
+}, 10 * 60 * 1000);
+
+setInterval(() => {
+  conversionLog.purgeExpired().catch((e) => console.error('Conversion log cleanup error:', e.message));
+}, 60 * 60 * 1000);
+
+// ---------- resolvers: sets, card names, vocabulary (snapshot-backed, see lib/resolvers.js) ----------
+const catalogStore = process.env.CATALOG_STORE === 'file'
+  ? createFileSnapshotStore(process.env.CATALOG_SNAPSHOT_DIR || path.join(__dirname, 'tmp', 'catalogs'))
+  : createPostgresSnapshotStore(pool);
+const resolvers = createResolvers({
+  store: catalogStore,
+  fetchImpl: upstreamFetcher('scryfall', { timeoutMs: 8000, retries: 2 }),
+  files: {
+    sets: process.env.SCRYFALL_SETS_FILE, // e.g. fixtures/scryfall/sets.json
+    cardNames: process.env.SCRYFALL_CARD_NAMES_FILE, // e.g. fixtures/scryfall/card-names.json
+    catalogDir: process.env.SCRYFALL_CATALOG_DIR, // e.g. fixtures/scryfall/catalogs
+  },
+});
+const { setNameFor, getSetCandidatesFromQuery, getSetFiltersFromQuery, getCardMentionsFromQuery, getVocabulary } = resolvers;
+
 // ---------- app & storage ----------
 const app = express();
 app.use(cors());
+// Railway (and most hosts) sit behind one proxy; needed for req.ip in trial tracking
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
 
-// Initialize database on startup
-initDatabase().catch(console.error);
+// Initialize database on startup, then load the catalogs so the first query doesn't wait on them
+initDatabase()
+  .catch(console.error)
+  .then(() => exampleIndex.refresh())
+  .then((count) => console.log(`📚 Prompt examples: ${count}`))
+  .then(() => resolvers.warm());
 
 function requireLicense(req, res, next) {
   const key = req.body?.licenseKey;
@@ -243,118 +881,239 @@ function requireLicense(req, res, next) {
     return res.status(401).json({ error: 'License key required' });
   }
   
-  // Allow free trial users
+  // Free trial users must present an install token issued by /api/trial/token
   if (key === 'FREE_TRIAL') {
-    return next();
+    return checkTrial(req, res, next);
   }
   
+  // Malformed or mistyped keys are rejected without a database round-trip
+  const parsed = parseLicenseKey(key);
+  if (!parsed.ok) {
+    setRateHeaders(res, MAX_REQUESTS, Date.now() + WINDOW_MS);
+    return res.status(403).json({ error: 'Invalid license key' });
+  }
+
   // Check license validity from database for paid users
-  isLicenseValid(key).then(valid => {
-    if (!valid) {
+  getActiveLicense(parsed.key).then(license => {
+    if (!license) {
       setRateHeaders(res, MAX_REQUESTS, Date.now() + WINDOW_MS);
       return res.status(403).json({ error: 'Invalid license key' });
     }
-    next();
+    req.license = license;
+    return checkDevice(req, res, next);
   }).catch(err => {
     console.error('License check error:', err);
     res.status(500).json({ error: 'License validation failed' });
   });
 }
 
-// ---------- Stripe webhook
-app.post(
-  '/stripe/webhook',
-  express.raw({ type: 'application/json' }),
-  async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const secret = process.env.STRIPE_WEBHOOK_SECRET;
-    
-    if (!secret) {
-      console.error('❌ STRIPE_WEBHOOK_SECRET not configured');
-      return res.status(500).send('Webhook secret not configured');
-    }
-    
-    let event;
-    try {
-      // Convert Buffer to string for Stripe
-      const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body);
-      event = stripe.webhooks.constructEvent(payload, sig, secret);
-      console.log('✅ Webhook signature verified successfully');
-    } catch (e) {
-      console.error('❌ Webhook signature verification failed:', e.message);
-      // For now, continue anyway to allow testing (remove this in production)
-      console.warn('⚠️ Processing event without verification (INSECURE - testing only)');
-      try {
-        const bodyStr = Buffer.isBuffer(req.body) ? req.body.toString() : JSON.stringify(req.body);
-        event = JSON.parse(bodyStr);
-      } catch (parseError) {
-        return res.status(400).send(`Webhook Error: ${e.message}`);
-      }
+// ---------- device activations ----------
+// A paid key works on at most DEVICE_SEAT_LIMIT installs (licenses.seat_limit overrides).
+// The extension sends a random per-install deviceId; /api/validate-license registers it.
+const DEVICE_SEAT_LIMIT = Number(process.env.DEVICE_SEAT_LIMIT ?? 3);
+const DEVICE_IDLE_DAYS = Number(process.env.DEVICE_IDLE_DAYS ?? 90);
+// releasing another install's seat is limited so one key can't rotate through unlimited browsers
+const DEVICE_RELEASES_PER_MONTH = Number(process.env.DEVICE_RELEASES_PER_MONTH ?? 3);
+const deviceReleaseLimiter = createRateLimiter({
+  store: rateLimitStore,
+  windowMs: 30 * 24 * 60 * 60 * 1000,
+  max: DEVICE_RELEASES_PER_MONTH,
+});
+
+const seatLimitFor = (license) => license.seat_limit ?? DEVICE_SEAT_LIMIT;
+
+function readDeviceId(value) {
+  const id = String(value || '').trim();
+  return /^[A-Za-z0-9-]{8,64}$/.test(id) ? id : null;
+}
+
+function deviceView(row, currentId) {
+  return {
+    deviceId: row.device_id,
+    label: row.label || 'Unknown browser',
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    current: row.device_id === currentId,
+  };
+}
+
+// Paid requests must come from a device registered to the license
+async function checkDevice(req, res, next) {
+  const deviceId = readDeviceId(req.body?.deviceId);
+  if (!deviceId || !(await touchLicenseDevice(req.license.license_key, deviceId))) {
+    return res.status(403).json({
+      error: 'This browser is not activated for this license. Re-enter your key in the extension popup.',
+      code: 'DEVICE_NOT_REGISTERED',
+    });
+  }
+  req.deviceId = deviceId;
+  next();
+}
+
+// Admin credentials: ADMIN_API_KEYS="alice:secret1,bob:secret2" (or a single ADMIN_API_KEY).
+// Kept separate from license keys; the name is recorded as the acting admin.
+const ADMIN_KEYS = (process.env.ADMIN_API_KEYS || process.env.ADMIN_API_KEY || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const idx = entry.indexOf(':');
+    return idx > 0
+      ? { name: entry.slice(0, idx), secret: entry.slice(idx + 1) }
+      : { name: 'admin', secret: entry };
+  });
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEYS.length) return res.status(503).json({ error: 'Admin API not configured' });
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const admin = token && ADMIN_KEYS.find((k) => safeEqual(k.secret, token));
+  if (!admin) return res.status(401).json({ error: 'Admin credentials required' });
+  req.admin = admin.name;
+  next();
+}
+
+// wraps an async admin handler so DB errors become a 500 instead of an unhandled rejection
+const adminRoute = (fn) => (req, res) =>
+  fn(req, res).catch((error) => {
+    console.error(`Admin ${req.method} ${req.path} error:`, error);
+    res.status(500).json({ error: 'Admin operation failed' });
+  });
+
+// the same for the public API: a throw (DB, catalog fetch) is logged and answered with a 500
+const apiRoute = (fn) => (req, res) =>
+  fn(req, res).catch((error) => {
+    console.error(`${req.method} ${req.path} error:`, error);
+    if (!res.headersSent) res.status(500).json({ error: 'Request failed' });
+  });
+
+// ---------- free trial ----------
+// Enforced here rather than only in chrome.storage: usage is tracked per install token,
+// with the requesting IP as a secondary signal against minting fresh tokens.
+const TRIAL_LIMIT = Number(process.env.TRIAL_LIMIT ?? 5);
+const TRIAL_IP_LIMIT = Number(process.env.TRIAL_IP_LIMIT ?? TRIAL_LIMIT * 3);
+const TRIAL_TOKENS_PER_IP_PER_DAY = Number(process.env.TRIAL_TOKENS_PER_IP_PER_DAY ?? 5);
+const trialIssueLimiter = createRateLimiter({ store: rateLimitStore, windowMs: 24 * 60 * 60 * 1000, max: TRIAL_TOKENS_PER_IP_PER_DAY });
+
+function trialStatus(used) {
+  return { limit: TRIAL_LIMIT, used, remaining: Math.max(0, TRIAL_LIMIT - used) };
+}
+
+function trialExhausted(res, used) {
+  return res.status(402).json({
+    error: 'Free trial used up. Upgrade for unlimited searches.',
+    code: 'TRIAL_EXHAUSTED',
+    trial: trialStatus(used),
+  });
+}
+
+// reserves the use up front; consumeTrial() keeps it, any other way the response ends gives it back
+function checkTrial(req, res, next) {
+  const token = req.body?.trialToken;
+  if (!token) {
+    return res.status(401).json({ error: 'Trial token required', code: 'TRIAL_TOKEN_REQUIRED' });
+  }
+  reserveTrialUse(token, req.ip, TRIAL_LIMIT, TRIAL_IP_LIMIT).then((reserved) => {
+    if (!reserved) {
+      return res.status(401).json({ error: 'Unknown trial token', code: 'TRIAL_TOKEN_REQUIRED' });
     }
+    if (reserved.exhausted) return trialExhausted(res, reserved.used);
+    req.trial = { token, used: reserved.used, kept: false };
+    res.on('close', () => {
+      if (req.trial.kept) return;
+      releaseTrialUse(token, req.ip).catch((err) => console.error('Trial release error:', err));
+    });
+    next();
+  }).catch((err) => {
+    console.error('Trial check error:', err);
+    res.status(500).json({ error: 'Trial validation failed' });
+  });
+}
 
-    if (event.type === 'checkout.session.completed') {
-      const email = event.data.object.customer_details?.email?.toLowerCase() || 'unknown';
-      const license = generateLicense();
+// requireLicense for requests that don't spend a search (feedback): a trial token only has to
+// exist, so a trial that just used its last search can still rate it, and nothing is reserved
+function requireRequester(req, res, next) {
+  if (req.body?.licenseKey !== 'FREE_TRIAL') return requireLicense(req, res, next);
+  const token = req.body?.trialToken;
+  if (!token) {
+    return res.status(401).json({ error: 'Trial token required', code: 'TRIAL_TOKEN_REQUIRED' });
+  }
+  getTrialUsage(token, req.ip).then((usage) => {
+    if (!usage) return res.status(401).json({ error: 'Unknown trial token', code: 'TRIAL_TOKEN_REQUIRED' });
+    req.trial = { token, used: usage.used, kept: true };
+    next();
+  }).catch((err) => {
+    console.error('Trial check error:', err);
+    res.status(500).json({ error: 'Trial validation failed' });
+  });
+}
+
+// keeps the use checkTrial reserved for a successful conversion; returns the trial block for the response
+async function consumeTrial(req) {
+  if (!req.trial) return undefined;
+  req.trial.kept = true;
+  return trialStatus(req.trial.used);
+}
+
+// ---------- license email ----------
+async function sendLicenseEmail(email, license) {
+  // OPTIONAL email: delivered by the configured transport (see lib/mailer.js)
+  if (!email || email === 'unknown') return false;
+  const sent = await mailer.send({
+    to: email,
+    subject: 'Your Scryfall Syntax Extension License Key',
+    html: `
+      <h2>Thank you for your purchase!</h2>
+      
+      <p>Your license key is:</p>
+      <p style="background: #f5f5f5; padding: 15px; font-family: monospace; font-size: 16px; border-radius: 5px;">
+        <strong>${license}</strong>
+      </p>
+      
+      <h3>Installation Instructions:</h3>
+      <ol>
+        <li><strong>Download the extension:</strong><br>
+            <a href="YOUR_DOWNLOAD_LINK_HERE">Click here to download</a>
+            <!-- TODO: Replace YOUR_DOWNLOAD_LINK_HERE with actual download link -->
+        </li>
+        <li><strong>Install in Chrome:</strong>
+            <ul>
+              <li>Go to <code>chrome://extensions</code></li>
+              <li>Enable "Developer mode" (toggle in top right)</li>
+              <li>Click "Load unpacked"</li>
+              <li>Select the extension folder you downloaded</li>
+            </ul>
+        </li>
+        <li><strong>Activate your license:</strong>
+            <ul>
+              <li>Click the extension icon in your browser toolbar</li>
+              <li>Paste your license key: <code>${license}</code></li>
+              <li>Click "Activate"</li>
+            </ul>
+        </li>
+      </ol>
+      
+      <h3>Using the Extension:</h3>
+      <p>Visit <a href="https://scryfall.com">scryfall.com</a> and start using natural language to search for Magic cards!</p>
+      
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
       
-      // Save to database
-      await addLicense(license, email);
-
-      console.log(`✅ Activated ${license} for ${email}`);
-
-      // OPTIONAL email: only if RESEND_API_KEY is set
-      if (resend && email !== 'unknown') {
-        try {
-          await resend.emails.send({
-            from: 'onboarding@resend.dev', // TODO: Change to your domain after verifying in Resend
-            to: email,
-            replyTo: 'henrywisner8@gmail.com',
-            subject: 'Your Scryfall Syntax Extension License Key',
-            html: `
-              <h2>Thank you for your purchase!</h2>
-              
-              <p>Your license key is:</p>
-              <p style="background: #f5f5f5; padding: 15px; font-family: monospace; font-size: 16px; border-radius: 5px;">
-                <strong>${license}</strong>
-              </p>
-              
-              <h3>Installation Instructions:</h3>
-              <ol>
-                <li><strong>Download the extension:</strong><br>
-                    <a href="YOUR_DOWNLOAD_LINK_HERE">Click here to download</a>
-                    <!-- TODO: Replace YOUR_DOWNLOAD_LINK_HERE with actual download link -->
-                </li>
-                <li><strong>Install in Chrome:</strong>
-                    <ul>
-                      <li>Go to <code>chrome://extensions</code></li>
-                      <li>Enable "Developer mode" (toggle in top right)</li>
-                      <li>Click "Load unpacked"</li>
-                      <li>Select the extension folder you downloaded</li>
-                    </ul>
-                </li>
-                <li><strong>Activate your license:</strong>
-                    <ul>
-                      <li>Click the extension icon in your browser toolbar</li>
-                      <li>Paste your license key: <code>${license}</code></li>
-                      <li>Click "Activate"</li>
-                    </ul>
-                </li>
-              </ol>
-              
-              <h3>Using the Extension:</h3>
-              <p>Visit <a href="https://scryfall.com">scryfall.com</a> and start using natural language to search for Magic cards!</p>
-              
-              <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
-              
-              <p style="color: #666; font-size: 14px;">
-                <strong>Need help?</strong> Reply to this email or contact support at 
-                <a href="mailto:henrywisner8@gmail.com">henrywisner8@gmail.com</a>
-              </p>
-              
-              <p style="color: #999; font-size: 12px;">
-                Keep this email safe - you'll need your license key to use the extension.
-              </p>
-            `,
-            text: `Thank you for your purchase!
+      <p style="color: #666; font-size: 14px;">
+        <strong>Need help?</strong> Reply to this email or contact support at 
+        <a href="mailto:henrywisner8@gmail.com">henrywisner8@gmail.com</a>
+      </p>
+      
+      <p style="color: #999; font-size: 12px;">
+        Keep this email safe - you'll need your license key to use the extension.
+      </p>
+    `,
+    text: `Thank you for your purchase!
 
 Your license key: ${license}
 
@@ -374,218 +1133,464 @@ Installation Instructions:
 Need help? Contact henrywisner8@gmail.com
 
 Keep this email safe - you'll need your license key to use the extension.`
-          });
-          console.log('📧 License email sent');
-        } catch (e) {
-          console.error('Email send failed:', e.message);
-        }
-      }
+  });
+  if (sent) console.log('📧 License email sent');
+  return sent;
+}
+
+// "forgot my key": every active key for the address
+async function sendRecoveryEmail(email, licenses) {
+  const list = licenses.map((l) => l.license_key);
+  return mailer.send({
+    to: email,
+    subject: 'Your Scryfall Syntax Extension License Key',
+    html: `
+      <h2>Here ${list.length === 1 ? 'is your license key' : 'are your license keys'}</h2>
+
+      ${list.map((key) => `
+      <p style="background: #f5f5f5; padding: 15px; font-family: monospace; font-size: 16px; border-radius: 5px;">
+        <strong>${key}</strong>
+      </p>`).join('')}
+
+      <p>Click the extension icon in your browser toolbar, paste the key and click "Activate".</p>
+
+      <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+
+      <p style="color: #999; font-size: 12px;">
+        You're receiving this because someone asked for the license key for this address.
+        If that wasn't you, you can ignore this email.
+      </p>
+    `,
+    text: `Your license key${list.length === 1 ? '' : 's'}:
+
+${list.join('\n')}
+
+Click the extension icon in your browser toolbar, paste the key and click "Activate".
+
+You're receiving this because someone asked for the license key for this address.
+If that wasn't you, you can ignore this email.`
+  });
+}
+
+// ---------- Stripe webhook
+// Each handler returns a short outcome string stored on the stripe_events row.
+const STRIPE_HANDLERS = {
+  'checkout.session.completed': async (session) => {
+    if (session.payment_status && !['paid', 'no_payment_required'].includes(session.payment_status)) {
+      return `skipped: payment_status=${session.payment_status}`;
     }
+    const existing = await getLicenseBySession(session.id);
+    if (existing) return `license already issued: ${existing.license_key}`;
 
-    res.json({ received: true });
-  }
+    const email = session.customer_details?.email?.toLowerCase() || 'unknown';
+
+    // Save to database
+    const license = await issueLicenseKey(async (key) => {
+      const saved = await addLicense(key, email, {
+        sessionId: session.id,
+        paymentIntent: session.payment_intent,
+        customerId: session.customer,
+      });
+      return saved ? key : null;
+    });
+    if (!license) throw new Error(`could not save license for session ${session.id}`);
+
+    console.log(`✅ Activated ${license} for ${email}`);
+    await recordLicenseEvent(license, 'created', 'stripe', { sessionId: session.id, email });
+    await sendLicenseEmail(email, license);
+    return `issued ${license}`;
+  },
+
+  'charge.refunded': async (charge) => {
+    const full = charge.refunded === true || charge.amount_refunded >= charge.amount;
+    const keys = await flagLicensesByPayment(
+      { paymentIntent: charge.payment_intent },
+      full ? 'refunded' : 'partially_refunded',
+      { deactivate: full }
+    );
+    for (const key of keys) {
+      await recordLicenseEvent(key, full ? 'deactivated' : 'flagged', 'stripe', {
+        reason: full ? 'refunded' : 'partially_refunded',
+        chargeId: charge.id,
+      });
+    }
+    console.log(`💸 Refund on ${charge.payment_intent}: ${full ? 'deactivated' : 'flagged'} ${keys.join(', ') || 'no license'}`);
+    return `${full ? 'deactivated' : 'flagged'}: ${keys.join(', ') || 'none'}`;
+  },
+
+  'charge.dispute.created': async (dispute) => {
+    let paymentIntent = dispute.payment_intent;
+    if (!paymentIntent && dispute.charge) {
+      const charge = await stripe.charges.retrieve(dispute.charge);
+      paymentIntent = charge.payment_intent;
+    }
+    const keys = await flagLicensesByPayment({ paymentIntent }, 'disputed', { deactivate: true });
+    for (const key of keys) {
+      await recordLicenseEvent(key, 'deactivated', 'stripe', { reason: 'disputed', disputeId: dispute.id });
+    }
+    console.warn(`⚠️ Dispute ${dispute.id} on ${paymentIntent}: deactivated ${keys.join(', ') || 'no license'}`);
+    return `deactivated: ${keys.join(', ') || 'none'}`;
+  },
+
+  // an abandoned checkout never issues a key; flag one if it somehow did
+  'checkout.session.expired': async (session) => {
+    const keys = await flagLicensesByPayment({ sessionId: session.id }, 'checkout_expired', { deactivate: true });
+    for (const key of keys) {
+      await recordLicenseEvent(key, 'deactivated', 'stripe', { reason: 'checkout_expired', sessionId: session.id });
+    }
+    return keys.length ? `deactivated: ${keys.join(', ')}` : 'no license';
+  },
+};
+
+// signature check, event-id idempotency and retries: see lib/stripe-webhook.js
+app.post(
+  '/stripe/webhook',
+  express.raw({ type: 'application/json' }),
+  createStripeWebhook({
+    stripe,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+    handlers: STRIPE_HANDLERS,
+    events: stripeEvents,
+  })
 );
 
 // add express.json for all other routes
 app.use(express.json());
 
-// ---------- system prompt ----------
-const SYSTEM_PROMPT = `You are a Scryfall search syntax converter. Convert natural language to valid Scryfall syntax.
-
-OUTPUT RULES:
-- Output ONLY the search syntax
-- No explanations, quotes, or extra text
-- Use exact operators as shown below
-
-COLORS:
-c:w (white) c:u (blue) c:b (black) c:r (red) c:g (green)
-c:colorless (colorless cards)
-
-CARD TYPES AND CREATURE TYPES (CRITICAL):
-- Use t:<type> for card types: t:creature t:instant t:sorcery t:artifact t:enchantment t:planeswalker t:land
-- Use t:<subtype> for creature types (races, classes, tribes): t:bear t:elf t:dragon t:dinosaur t:goblin t:zombie t:vampire t:angel t:demon t:wizard t:soldier t:human t:cat t:dog t:bird t:beast etc.
-- ALWAYS use t:creature along with the subtype when searching for creature types
-- Examples: "green bears" → t:creature t:bear c:g (NOT o:bear)
-- Examples: "white soldiers" → t:creature t:soldier c:w (NOT o:soldier)
-- NEVER use o:<text> when the user is asking for a creature type - always use t:<subtype>
-
-KEYWORD ABILITIES (CRITICAL):
-- ALWAYS use kw:<keyword> for keyword abilities like flying, vigilance, deathtouch, lifelink, trample, haste, menace, reach, first strike, double strike, hexproof, indestructible, flash, defender
-- Examples: kw:flying kw:vigilance kw:deathtouch kw:lifelink kw:menace kw:trample kw:haste kw:reach kw:hexproof
-- NEVER use o:flying or o:vigilance etc. - these keywords should ALWAYS use kw: syntax
-- Use o:<text> ONLY for non-keyword text like o:"draw a card" o:destroy o:exile o:counter o:"target creature"
-
-ORACLE TEXT:
-o:"draw a card" (exact phrases in quotes)
-o:destroy o:exile o:counter o:"target creature"
-DO NOT use o: for keywords or creature types - use kw: and t: instead
-
-MANA VALUE:
-mv:3 (exactly 3)
-mv>=4 (4 or more)
-mv<=2 (2 or less)
-
-POWER/TOUGHNESS:
-pow:3 pow>5 pow<6 pow>=4 pow<=2
-tou:4 tou>3 tou<6 tou>=2 tou<=5
-
-FORMAT LEGALITY:
-f:standard f:modern f:pioneer f:commander f:legacy f:vintage f:pauper
-
-SETS:
-s:<code> (lowercase 3–5 letters, e.g., s:cmm)
-
-RARITY:
-r:c r:u r:r r:m
-
-PRICES:
-usd>=5 usd<=10
-
-BOOLEAN LOGIC:
-Space = AND
-OR with parens: (c:w OR c:u)
-NOT: -t:
-
-SET SELECTION:
-- If "RESOLVED SET CODES" or "CANDIDATE SETS" appear below, follow them strictly.
-- If only a set NAME is provided (no code), choose the best official set code for that name. Never confuse lookalikes (cmm≠cma, mm2≠mh2, 2xm≠mm2).
-
-EXAMPLES:
-"blue dinosaurs" → t:creature t:dinosaur c:u
-"green bears" → t:creature t:bear c:g
-"white soldiers with vigilance" → t:creature t:soldier c:w kw:vigilance
-"green dinosaurs with toughness less than 6" → t:creature t:dinosaur c:g tou<6
-"red dragons with flying" → t:creature t:dragon c:r kw:flying
-"black zombies modern legal power 2-5" → t:creature t:zombie c:b f:modern pow>=2 pow<=5
-"legendary elves from Dominaria" → t:legendary t:creature t:elf s:dom
-"cheap red removal" → c:r function:removal mv<=3
-"white or blue angels" → t:creature t:angel (c:w OR c:u)
-"creatures with lifelink" → t:creature kw:lifelink
-"elves with reach" → t:creature t:elf kw:reach
-"green ramp spells" → c:g function:ramp
-"counterspells under 3 mana" → function:counterspell mv<3
-"cards with squirrels in the art" → art:squirrel
-"dragons breathing fire" → art:dragon art:fire
-"cards featuring someone wearing a crown" → art:crown
-"graveyard hate cards" → function:graveyard-hate
-"tutor" - function:tutor
-REMEMBER: 
-- Creature types (bear, elf, dragon, etc.) ALWAYS use t:<type> syntax
-- Keyword abilities (flying, vigilance, etc.) ALWAYS use kw:<keyword> syntax
-- Common Magic functions (ramp, removal, counterspell, etc.) use function:<tag> syntax
-- Artwork descriptions ALWAYS use art:<tag> syntax
-- Only use o: for non-keyword rules text
-
-Output syntax only.`;
+// ---------- LLM providers ----------
+// chain, models and parameters come from env (see loadProviderConfig in lib/providers.js)
+const llm = createProviderRegistry(loadProviderConfig(process.env));
+
+// ---------- prompt templates ----------
+// prompts/<name>/<version>.txt, split between versions per license by PROMPT_EXPERIMENTS (see lib/prompts.js)
+const prompts = createPromptRegistry({ dir: path.join(__dirname, 'prompts'), experiments: process.env.PROMPT_EXPERIMENTS });
+
+// who a prompt experiment assigns a version to (the trial token for free-trial requests)
+const requesterKey = (req) => (req.trial ? `trial:${req.trial.token}` : `license:${req.license.license_key}`);
+
+// resolve -> rules fast path -> cache -> model -> rules fallback (see lib/pipeline.js)
+const converter = createConverter({
+  llm,
+  prompts,
+  resolvers,
+  cache: { key: conversionCacheKey, get: getCachedConversion, set: setCachedConversion },
+  examples: exampleIndex,
+  // answer fully-understood queries locally instead of calling the model (RULES_FAST_PATH=false to disable)
+  rulesFastPath: process.env.RULES_FAST_PATH !== 'false',
+});
 
 // ---------- routes ----------
-app.post('/api/convert', requireLicense, rateLimitPerLicense, async (req, res) => {
-  const { query, provider } = req.body;
+app.post('/api/convert', requireLicense, rateLimitPerLicense, apiRoute(async (req, res) => {
+  const { query } = req.body;
+  const explain = req.body.explain === true;
+  // up to N ranked readings of an ambiguous query (1 = just the syntax)
+  const alternatives = Math.min(Math.max(parseInt(req.body.alternatives, 10) || 1, 1), MAX_INTERPRETATIONS);
   if (!query) return res.status(400).json({ error: 'Query is required' });
 
-  const explicitMatch =
-    query.match(/\(\s*([A-Za-z0-9]{2,5})\s*\)/) ||
-    query.match(/\b(?:set|code)\s*[:=]?\s*([A-Za-z0-9]{2,5})\b/i);
-  const explicitCode = explicitMatch?.[1];
-
-  let dynamicSystem = SYSTEM_PROMPT;
-
-  if (explicitCode) {
-    dynamicSystem += `
-
-RESOLVED SET CODES (STRICT)
-- explicit: s:${explicitCode.toLowerCase()}
-Rules:
-- Always use s:${explicitCode.toLowerCase()} when selecting a set code.
-`;
-  } else {
-    const candidates = await getSetCandidatesFromQuery(query, 6);
-    if (candidates.length === 1) {
-      dynamicSystem += `
-
-RESOLVED SET CODES (STRICT)
-- "${candidates[0].name}" -> s:${candidates[0].code}
-Rules:
-- Always use s:${candidates[0].code} for this request.
-`;
-    } else if (candidates.length > 1) {
-      dynamicSystem += `
-
-CANDIDATE SETS (CHOOSE ONLY FROM THESE IF A SET IS IMPLIED)
-${candidates.map((c) => `- s:${c.code} — ${c.name}`).join('\n')}
-
-Rules:
-- If a set is requested by name, choose the best match from the list above.
-- Do NOT invent other set codes. If none fit, omit the set filter.
-- Never confuse visually similar codes (e.g., cmm ≠ cma, mm2 ≠ mh2, 2xm ≠ mm2).
-`;
-    }
+  const started = Date.now();
+  let ctx;
+  try {
+    ctx = await converter.prepare(query, { subject: requesterKey(req) });
+  } catch (error) {
+    console.error(`Preparing "${query}" failed:`, error);
+    return res.status(500).json({ error: 'Conversion failed' });
   }
+  const { explicitCode, candidates, vocab, template, promptKey, rules, queryNorm, setContext } = ctx;
+
+  // model-proposed readings, cached like conversions (under their own prompt version)
+  const llmAlternatives = async () => {
+    if (llm.configured().length === 0) return [];
+    const altKey = conversionCacheKey(queryNorm, setContext, `${promptKey}:alt`);
+    const cached = await getCachedConversion(altKey, queryNorm);
+    if (cached) return cached.alternatives;
+    try {
+      const completion = await llm.complete(
+        { system: ctx.system + alternativesPrompt(MAX_INTERPRETATIONS), user: query, maxTokens: 400 }
+      );
+      const parsed = parseAlternativesReply(completion.text, { vocabulary: vocab });
+      if (parsed.length) await setCachedConversion(altKey, queryNorm, `${promptKey}:alt`, { alternatives: parsed });
+      return parsed;
+    } catch (error) {
+      console.warn(`Alternatives for "${query}" failed: ${error.message}`);
+      return [];
+    }
+  };
+
+  // primary answer + model alternatives + set-candidate swaps + the rules answer, ranked together
+  const interpret = async (primary) => {
+    const suggested = await llmAlternatives();
+    const own = suggested.find((a) => sameSyntax(a.syntax, primary.syntax));
+    const base = own?.confidence ?? Math.max(0.5, ...suggested.map((a) => a.confidence));
+    const sets = explicitCode ? { primaryLabel: null, primaryWeight: 1, swaps: [] } : setSwapInterpretations(primary.syntax, candidates);
+
+    const list = [{
+      syntax: primary.syntax,
+      label: sets.primaryLabel || own?.label || 'Best match',
+      confidence: base * sets.primaryWeight,
+      source: 'primary',
+    }];
+    for (const swap of sets.swaps) {
+      list.push({ syntax: swap.syntax, label: swap.label, confidence: base * swap.weight, source: 'set' });
+    }
+    for (const alt of suggested) if (alt !== own) list.push({ ...alt, source: 'llm' });
+    if (rules.syntax) {
+      list.push({ syntax: rules.syntax, label: 'Keyword match', confidence: rules.complete ? 0.3 : 0.1, source: 'rules' });
+    }
+    return rankInterpretations(list, alternatives);
+  };
+
+  // every successful answer counts against the free trial (cache and rule hits included).
+  // Explain mode adds a clause-by-clause breakdown; it depends on the exact wording, so it's never cached.
+  // promptVersion is the template this requester is assigned, whichever path answered.
+  const send = async (payload) => res.json({
+    ...payload,
+    promptVersion: template.id,
+    ...(explain && {
+      clauses: explainSyntax(payload.syntax, { query, ruleClauses: rules.clauses, setName: setNameFor }),
+    }),
+    ...(alternatives > 1 && { interpretations: await interpret(payload) }),
+    trial: await consumeTrial(req),
+  });
 
+  // conversionId identifies this answer in the conversion log (and for feedback on it)
+  const conversionId = crypto.randomUUID();
+  let result;
   try {
-    let result;
-    const useProvider = provider || 'openai';
-
-    if (useProvider === 'anthropic' && process.env.ANTHROPIC_API_KEY) {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-haiku-20241022',
-          max_tokens: 200,
-          system: dynamicSystem,
-          messages: [{ role: 'user', content: query }],
-          temperature: 0.1,
-        }),
-      });
+    result = await converter.run(ctx, { label: req.body.licenseKey.substring(0, 8) });
+  } catch (error) {
+    logConversion(req, ctx, { id: conversionId, started });
+    if (error instanceof ConversionError) return res.status(error.status).json(error);
+    console.error('Conversion error:', error);
+    return res.status(500).json({ error: error.message || 'Conversion failed' });
+  }
+  logConversion(req, ctx, { id: conversionId, started, result });
+  try {
+    return await send({ ...result, conversionId });
+  } catch (error) {
+    // interpretations, explain or the trial update failed; the answer itself is logged above
+    console.error('Sending conversion failed:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Conversion failed' });
+  }
+}));
+
+// ---------- refinement ----------
+// Follow-ups like "now only commander legal" edit the previous syntax. A refine session keeps
+// the latest syntax of a chain so the extension can send just { sessionId, instruction };
+// sessions live in memory, so after a restart the client's `syntax` starts a new one.
+const REFINE_SESSION_TTL_MS = Number(process.env.REFINE_SESSION_TTL_MS ?? 2 * 60 * 60 * 1000); // 2h
+const REFINE_HISTORY = 20;
+const refineSessions = new LRUCache({ max: 5000, ttlMs: REFINE_SESSION_TTL_MS });
+
+const refineOwner = requesterKey;
+
+app.post('/api/refine', requireLicense, rateLimitPerLicense, apiRoute(async (req, res) => {
+  const instruction = String(req.body.instruction || '').trim();
+  if (!instruction) return res.status(400).json({ error: 'Instruction is required' });
+
+  const owner = refineOwner(req);
+  let sessionId = req.body.sessionId;
+  let session = sessionId ? refineSessions.get(sessionId) : undefined;
+  if (session?.owner !== owner) session = undefined;
+  if (!session && !req.body.syntax) {
+    return res.status(404).json({ error: 'Refine session expired; send the current syntax', code: 'REFINE_SESSION_NOT_FOUND' });
+  }
+
+  // an explicit syntax wins: the user may have edited the search since the last step. It's
+  // the user's own search, so it's only parsed, never repaired like model output
+  let base = session?.syntax;
+  if (req.body.syntax && req.body.syntax !== base) {
+    try {
+      base = formatQuery(parseQuery(req.body.syntax));
+    } catch (error) {
+      return res.status(422).json({ error: 'Could not parse the search to refine', code: 'INVALID_SYNTAX', details: [{ message: error.message, at: error.at }] });
+    }
+    if (!base) return res.status(422).json({ error: 'Could not parse the search to refine', code: 'INVALID_SYNTAX' });
+  }
+  if (!session) {
+    sessionId = crypto.randomBytes(12).toString('base64url');
+    session = { owner, syntax: base, history: [] };
+  }
 
-      if (!response.ok) {
-        let errorText = '';
-        try { errorText = await response.text(); } catch {}
-        console.error('Anthropic API error:', errorText);
-        throw new Error('AI service temporarily unavailable');
+  const explicitCode = explicitSetCode(instruction);
+  const filters = await getSetFiltersFromQuery(instruction);
+  const candidates = explicitCode ? [] : await getSetCandidatesFromQuery(instruction, 6, filters);
+  const cards = await getCardMentionsFromQuery(instruction, filters);
+  const rules = refineWithRules(base, instruction, { explicitCode, candidates, filters });
+  const keyPrefix = req.body.licenseKey.substring(0, 8);
+
+  let result = null;
+  if (rules.complete && !cards.length) {
+    result = { syntax: rules.syntax, provider: 'rules', ops: rules.ops };
+  } else if (llm.configured().length) {
+    const vocab = await getVocabulary();
+    const template = prompts.choose('convert', requesterKey(req));
+    let system = converter.renderConvertPrompt(template, {
+      cards: cardFactsSection(cards),
+      vocabulary: vocabularySection(vocabularyHints(vocab, instruction)),
+    }) + refinePrompt(base);
+    if (explicitCode) system += `\n- If a set is requested, use s:${explicitCode.toLowerCase()}`;
+    else if (candidates.length) {
+      system += `\n\nCANDIDATE SETS (CHOOSE ONLY FROM THESE IF A SET IS IMPLIED)\n${candidates.map(describeCandidate).join('\n')}`;
+    }
+    try {
+      const completion = await llm.complete({ system, user: instruction });
+      const checked = validateAndRepair(completion.text, { vocabulary: vocab });
+      if (checked.ok) {
+        result = {
+          syntax: checked.syntax,
+          provider: completion.provider,
+          model: completion.model,
+          repairs: checked.repairs,
+          promptVersion: template.id,
+        };
+      } else {
+        console.warn(`[${keyPrefix}...] refine "${instruction}" → invalid "${completion.text}"`, checked.errors);
       }
+    } catch (error) {
+      console.error('Refine error:', error);
+    }
+  }
+  // a partial rule edit beats nothing
+  if (!result && rules.syntax && rules.ops.length) {
+    result = { syntax: rules.syntax, provider: 'rules', ops: rules.ops, fallback: true, unmatched: rules.unmatched };
+  }
+  if (!result) {
+    return res.status(422).json({ error: 'Could not apply that change to the search', code: 'REFINE_FAILED', unmatched: rules.unmatched });
+  }
 
-      const data = await response.json();
-      result = (data.content?.[0]?.text || '').trim();
-    } else {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: dynamicSystem },
-            { role: 'user', content: query },
-          ],
-          temperature: 0.1,
-          max_tokens: 200,
-        }),
-      });
+  session.history = [...session.history, { instruction, from: base, to: result.syntax }].slice(-REFINE_HISTORY);
+  session.syntax = result.syntax;
+  refineSessions.set(sessionId, session);
+
+  console.log(`[${keyPrefix}...] refine "${base}" + "${instruction}" → "${result.syntax}" (${result.provider})`);
+  res.json({ ...result, previous: base, sessionId, step: session.history.length, trial: await consumeTrial(req) });
+}));
+
+// ---------- feedback ----------
+// The extension reports thumbs up/down on a conversion, and the syntax the user actually
+// searched when they edited ours. Only the requester a conversion was made for can rate it.
+const FEEDBACK_PER_HOUR = Number(process.env.FEEDBACK_PER_HOUR ?? 120);
+const feedbackLimiter = createRateLimiter({ store: rateLimitStore, windowMs: 60 * 60 * 1000, max: FEEDBACK_PER_HOUR });
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+app.post('/api/feedback', requireRequester, async (req, res) => {
+  const conversionId = String(req.body.conversionId || '');
+  const corrected = String(req.body.correctedSyntax || '').trim() || null;
+  const rating = req.body.rating || (corrected ? 'down' : null);
+  const source = ['edit', 'alternative'].includes(req.body.source) ? req.body.source : 'button';
+  if (!UUID_RE.test(conversionId)) return res.status(400).json({ error: 'conversionId is required' });
+  if (rating !== 'up' && rating !== 'down') return res.status(400).json({ error: 'rating must be "up" or "down"' });
+  if (corrected && corrected.length > 1000) return res.status(400).json({ error: 'Corrected search is too long' });
 
-      if (!response.ok) {
-        let errorText = '';
-        try { errorText = await response.text(); } catch {}
-        console.error('OpenAI API error:', errorText);
-        throw new Error('AI service temporarily unavailable');
-      }
+  try {
+    const rec = await feedbackLimiter.consume(`feedback:${requesterKey(req)}`);
+    if (!rec.allowed) return res.status(429).json({ error: 'Too many requests. Try again later.', code: 'FEEDBACK_LIMIT' });
 
-      const data = await response.json();
-      result = (data.choices?.[0]?.message?.content || '').trim();
+    const conversion = await conversionLog.get(conversionId);
+    if (!conversion || conversion.requester !== requesterKey(req)) {
+      return res.status(404).json({ error: 'Unknown conversion', code: 'CONVERSION_NOT_FOUND' });
     }
+    // a correction that only reorders or requotes our syntax isn't one (see sameSyntax)
+    const correctedSyntax = corrected && !(conversion.syntax && sameSyntax(corrected, conversion.syntax)) ? corrected : null;
+    if (source !== 'button' && !correctedSyntax) return res.json({ recorded: false });
 
-    console.log(`[${req.body.licenseKey.substring(0, 8)}...] "${query}" → "${result}"`);
-    return res.json({ syntax: result });
+    const saved = await feedbackStore.submit(conversion, { rating, correctedSyntax, source });
+    console.log(`📝 Feedback ${saved.rating} on ${conversionId}${saved.correctedSyntax ? ` → "${saved.correctedSyntax}"` : ''}`);
+    res.json({ recorded: true, feedbackId: saved.id });
   } catch (error) {
-    console.error('Conversion error:', error);
-    return res.status(500).json({ error: error.message || 'Conversion failed' });
+    console.error('Feedback error:', error);
+    res.status(500).json({ error: 'Could not record feedback' });
+  }
+});
+
+// ---------- reverse translation ----------
+// Describes pasted syntax in plain English. The rule-based description is open to everyone
+// (rate-limited per IP); `polish: true` from an active license also has the model reword it.
+const EXPLAIN_PER_IP_PER_HOUR = Number(process.env.EXPLAIN_PER_IP_PER_HOUR ?? 120);
+const explainIpLimiter = createRateLimiter({ store: rateLimitStore, windowMs: 60 * 60 * 1000, max: EXPLAIN_PER_IP_PER_HOUR });
+
+// cached like conversions, keyed on the syntax (operators matter, so not normQuery());
+// prompts/explain-polish, with `subject` (license) picking the experiment arm
+async function polishExplanation(syntax, description, subject) {
+  const template = prompts.choose('explain-polish', subject);
+  const promptKey = `${template.id}:${template.hash}`;
+  const syntaxNorm = syntax.toLowerCase().replace(/\s+/g, ' ');
+  const cacheKey = conversionCacheKey(syntaxNorm, 'explain', promptKey);
+  try {
+    const cached = await getCachedConversion(cacheKey, syntaxNorm);
+    if (cached) return cached.polished;
+    const completion = await llm.complete(
+      { system: prompts.render(template), user: `Search: ${syntax}\nLiteral description: ${description}`, maxTokens: 300 }
+    );
+    const polished = completion.text.trim().replace(/^["']|["']$/g, '').slice(0, 600);
+    if (!polished) return null;
+    await setCachedConversion(cacheKey, syntaxNorm, promptKey, { polished });
+    return polished;
+  } catch (error) {
+    console.warn(`Explain polish for "${syntax}" failed: ${error.message}`);
+    return null;
+  }
+}
+
+app.post('/api/explain', async (req, res) => {
+  const syntax = String(req.body?.syntax || '').trim();
+  if (!syntax) return res.status(400).json({ error: 'Syntax is required' });
+  if (syntax.length > 1000) return res.status(400).json({ error: 'Search is too long to explain' });
+
+  try {
+    const rec = await explainIpLimiter.consume(`explain-ip:${req.ip}`);
+    if (!rec.allowed) {
+      return res.status(429).json({ error: 'Too many requests. Try again later.', code: 'EXPLAIN_LIMIT' });
+    }
+
+    let explained;
+    try {
+      explained = describeSyntax(syntax, { setName: setNameFor });
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read this search: ${error.message}`, code: 'INVALID_SYNTAX' });
+    }
+
+    let polished = null;
+    if (req.body.polish === true && llm.configured().length) {
+      const parsed = parseLicenseKey(req.body.licenseKey || '');
+      const license = parsed.ok ? await getActiveLicense(parsed.key) : null;
+      if (license) polished = await polishExplanation(syntax, explained.description, `license:${license.license_key}`);
+    }
+
+    res.json({ syntax, ...explained, polished });
+  } catch (error) {
+    console.error('Explain error:', error);
+    res.status(500).json({ error: 'Could not explain this search' });
+  }
+});
+
+// free trial: issue an anonymous install token
+app.post('/api/trial/token', async (req, res) => {
+  try {
+    const rec = await trialIssueLimiter.consume(`trial-issue:${req.ip}`);
+    if (!rec.allowed) {
+      return res.status(429).json({ error: 'Too many trial installs from this network', code: 'TRIAL_ISSUE_LIMIT' });
+    }
+    const trialToken = await createTrialToken(req.ip);
+    res.json({ trialToken, trial: trialStatus(0) });
+  } catch (error) {
+    console.error('Trial token error:', error);
+    res.status(500).json({ error: 'Could not start free trial' });
+  }
+});
+
+// free trial: remaining conversions for a token
+app.post('/api/trial/status', async (req, res) => {
+  const token = req.body?.trialToken;
+  if (!token) return res.status(400).json({ error: 'Trial token required', code: 'TRIAL_TOKEN_REQUIRED' });
+  try {
+    const usage = await getTrialUsage(token, req.ip);
+    if (!usage) return res.status(404).json({ error: 'Unknown trial token', code: 'TRIAL_TOKEN_REQUIRED' });
+    const used = usage.ipUsed >= TRIAL_IP_LIMIT ? Math.max(usage.used, TRIAL_LIMIT) : usage.used;
+    res.json({ trial: trialStatus(used) });
+  } catch (error) {
+    console.error('Trial status error:', error);
+    res.status(500).json({ error: 'Trial lookup failed' });
   }
 });
 
@@ -597,8 +1602,116 @@ app.post('/api/validate-license', async (req, res) => {
     return res.status(400).json({ valid: false, error: 'License key required' });
   }
   
-  const valid = await isLicenseValid(licenseKey);
-  return res.json({ valid });
+  const parsed = parseLicenseKey(licenseKey);
+  if (!parsed.ok && parsed.reason !== 'TYPO') {
+    return res.json({ valid: false, code: 'LICENSE_FORMAT', error: 'Invalid license key format' });
+  }
+  const license = parsed.ok ? await getActiveLicense(parsed.key).catch((error) => {
+    console.error('License validation error:', error);
+    return null;
+  }) : null;
+  if (license) {
+    const deviceId = readDeviceId(req.body.deviceId);
+    // older extension builds don't send a deviceId; they can check the key but not claim a seat
+    if (!deviceId) return res.json({ valid: true, licenseKey: license.license_key });
+
+    const seatLimit = seatLimitFor(license);
+    const label = req.body.deviceLabel ? String(req.body.deviceLabel).slice(0, 100) : null;
+    const userAgent = req.get('user-agent')?.slice(0, 255) || null;
+    let seat;
+    try {
+      seat = await registerLicenseDevice(license.license_key, deviceId, {
+        label,
+        userAgent,
+        seatLimit,
+        idleDays: DEVICE_IDLE_DAYS,
+      });
+    } catch (error) {
+      console.error('Device registration error:', error);
+      return res.status(500).json({ valid: false, error: 'License validation failed' });
+    }
+    if (!seat.registered) {
+      return res.json({
+        valid: false,
+        code: 'DEVICE_LIMIT',
+        error: `This license is already active on ${seatLimit} device(s). Release one from the extension popup on another browser, or contact support.`,
+        seatLimit,
+      });
+    }
+    if (seat.created) {
+      await recordLicenseEvent(license.license_key, 'device_registered', 'system', { deviceId, label });
+    }
+    return res.json({
+      valid: true,
+      licenseKey: license.license_key,
+      seatLimit,
+      devices: seat.devices.map((d) => deviceView(d, deviceId)),
+    });
+  }
+
+  // mistyped (or checksum-valid but unknown, e.g. two swapped characters): look one edit away
+  const suggestion = await suggestLicenseKey(parsed.key);
+  return res.json({
+    valid: false,
+    code: parsed.ok ? 'LICENSE_NOT_FOUND' : 'LICENSE_TYPO',
+    error: parsed.ok ? 'License key not found' : 'License key has a typo',
+    suggestion,
+  });
+});
+
+// the single active license one edit away from `key`, if there is exactly one
+async function suggestLicenseKey(key) {
+  try {
+    const matches = await findActiveLicenseKeys(typoCandidates(key));
+    return matches.length === 1 ? matches[0] : null;
+  } catch (error) {
+    console.error('License suggestion error:', error);
+    return null;
+  }
+}
+
+// devices registered to the caller's license (caller must be one of them)
+function requirePaidLicense(req, res, next) {
+  if (!req.license) return res.status(400).json({ error: 'Devices only apply to paid licenses' });
+  next();
+}
+
+app.post('/api/devices', requireLicense, requirePaidLicense, async (req, res) => {
+  try {
+    const devices = await getLicenseDevices(req.license.license_key);
+    res.json({ seatLimit: seatLimitFor(req.license), devices: devices.map((d) => deviceView(d, req.deviceId)) });
+  } catch (error) {
+    console.error('Device list error:', error);
+    res.status(500).json({ error: 'Could not load devices' });
+  }
+});
+
+// free a seat: { licenseKey, deviceId, releaseDeviceId } (defaults to the caller's own device)
+app.post('/api/devices/release', requireLicense, requirePaidLicense, async (req, res) => {
+  const key = req.license.license_key;
+  const target = readDeviceId(req.body.releaseDeviceId) || req.deviceId;
+  try {
+    if (target !== req.deviceId) {
+      const rec = await deviceReleaseLimiter.consume(`device-release:${key}`);
+      if (!rec.allowed) {
+        return res.status(429).json({
+          error: 'Too many device changes this month. Contact support if you need more.',
+          code: 'DEVICE_RELEASE_LIMIT',
+        });
+      }
+    }
+    if (!(await releaseLicenseDevice(key, target))) return res.status(404).json({ error: 'Device not found' });
+    await recordLicenseEvent(key, 'device_released', 'system', { deviceId: target, by: req.deviceId });
+    const devices = await getLicenseDevices(key);
+    res.json({
+      released: target,
+      seatLimit: seatLimitFor(req.license),
+      devices: devices.map((d) => deviceView(d, req.deviceId)),
+    });
+  } catch (error) {
+    console.error('Device release error:', error);
+    res.status(500).json({ error: 'Could not release device' });
+  }
 });
 
 // success-page helper: get license via Stripe session_id
@@ -606,6 +1719,10 @@ app.get('/api/license/by-session', async (req, res) => {
   try {
     const sid = req.query.session_id;
     if (!sid) return res.status(400).json({ error: 'session_id required' });
+    const issued = await getLicenseBySession(sid);
+    if (issued) {
+      return issued.is_active ? res.json({ license: issued.license_key }) : res.status(404).json({ error: 'license not found' });
+    }
     const session = await stripe.checkout.sessions.retrieve(sid);
     const email = session.customer_details?.email?.toLowerCase();
     if (!email) return res.status(404).json({ error: 'email not found' });
@@ -616,6 +1733,280 @@ app.get('/api/license/by-session', async (req, res) => {
   }
 });
 
+// ---------- license recovery ("forgot my key") ----------
+// Same response whether or not the address has a license, and the email is sent after
+// responding so timing doesn't give it away either.
+const RECOVERY_PER_IP_PER_HOUR = Number(process.env.RECOVERY_PER_IP_PER_HOUR ?? 5);
+const RECOVERY_PER_EMAIL_PER_DAY = Number(process.env.RECOVERY_PER_EMAIL_PER_DAY ?? 3);
+const recoveryIpLimiter = createRateLimiter({ store: rateLimitStore, windowMs: 60 * 60 * 1000, max: RECOVERY_PER_IP_PER_HOUR });
+const recoveryEmailLimiter = createRateLimiter({ store: rateLimitStore, windowMs: 24 * 60 * 60 * 1000, max: RECOVERY_PER_EMAIL_PER_DAY });
+const RECOVERY_MESSAGE = "If there's an active license for that address, we've emailed it. Check your inbox (and spam folder).";
+
+app.post('/api/license/recover', async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255) {
+    return res.status(400).json({ error: 'Please enter a valid email address' });
+  }
+
+  try {
+    const ip = await recoveryIpLimiter.consume(`recover-ip:${req.ip}`);
+    if (!ip.allowed) {
+      return res.status(429).json({ error: 'Too many requests. Try again later.', code: 'RECOVERY_LIMIT' });
+    }
+    // per-address limit is silent: a 429 here would only differ for addresses someone already tried
+    const perEmail = await recoveryEmailLimiter.consume(`recover-email:${email}`);
+    res.json({ ok: true, message: RECOVERY_MESSAGE });
+    if (!perEmail.allowed) return;
+
+    const licenses = await getActiveLicensesByEmail(email);
+    if (!licenses.length) return;
+    const sent = await sendRecoveryEmail(email, licenses);
+    for (const { license_key } of licenses) {
+      await recordLicenseEvent(license_key, 'recovery_requested', 'system', { ip: req.ip, emailed: sent });
+    }
+  } catch (error) {
+    console.error('License recovery error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Could not process request' });
+  }
+});
+
+// ---------- admin: conversion cache ----------
+app.get('/admin/cache', requireAdmin, (_req, res) => {
+  const active = prompts.describe().flatMap((p) => p.versions.filter((v) => v.share > 0).map((v) => `${v.id}:${v.hash}`));
+  res.json({ promptVersions: active, ...getCacheStats() });
+});
+
+// ---------- admin: usage stats ----------
+// GET /admin/stats?days=30&limit=10 -> aggregates over the conversion log
+app.get('/admin/stats', requireAdmin, adminRoute(async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+  res.json({
+    retentionDays: conversionLog.retentionDays,
+    queries: conversionLog.queries,
+    ...(await conversionLog.stats({ days, limit })),
+  });
+}));
+
+// ---------- admin: feedback review ----------
+// GET /admin/feedback?status=pending&rating=down&limit=50 -> review queue; corrected syntax is
+// checked the way model output is, so reviewers see what would be stored
+app.get('/admin/feedback', requireAdmin, adminRoute(async (req, res) => {
+  const status = ['pending', 'approved', 'dismissed'].includes(req.query.status) ? req.query.status : 'pending';
+  const rating = ['up', 'down'].includes(req.query.rating) ? req.query.rating : null;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const vocabulary = await getVocabulary();
+  const { items, counts } = await feedbackStore.list({ status, rating, limit });
+  res.json({
+    counts,
+    items: items.map((item) => {
+      if (!item.correctedSyntax) return item;
+      const checked = validateAndRepair(item.correctedSyntax, { vocabulary });
+      return { ...item, check: checked.ok ? { ok: true, syntax: checked.syntax } : { ok: false, errors: checked.errors } };
+    }),
+  });
+}));
+
+// POST /admin/feedback/:id/promote { query?, syntax? } -> curated example. Defaults: the
+// feedback's query, and its correction (or, for a thumbs up, the syntax we returned)
+app.post('/admin/feedback/:id/promote', requireAdmin, adminRoute(async (req, res) => {
+  const item = await feedbackStore.get(Number(req.params.id));
+  if (!item) return res.status(404).json({ error: 'Feedback not found' });
+  const query = String(req.body.query || item.query || '').trim();
+  const raw = req.body.syntax || item.correctedSyntax || (item.rating === 'up' ? item.syntax : null);
+  if (!query) return res.status(400).json({ error: 'This conversion has no stored query; send one', code: 'QUERY_REQUIRED' });
+  if (!raw) return res.status(400).json({ error: 'No corrected syntax to promote; send one', code: 'SYNTAX_REQUIRED' });
+  const checked = validateAndRepair(raw, { vocabulary: await getVocabulary() });
+  if (!checked.ok) return res.status(422).json({ error: 'Syntax is not valid', code: 'INVALID_SYNTAX', details: checked.errors });
+
+  const example = await feedbackStore.promote(item.id, { query, queryNorm: normQuery(query), syntax: checked.syntax, admin: req.admin });
+  console.log(`⭐ Feedback ${item.id} promoted by ${req.admin}: "${query}" → "${example.syntax}"`);
+  await exampleIndex.refresh();
+  res.json({ example });
+}));
+
+app.post('/admin/feedback/:id/dismiss', requireAdmin, adminRoute(async (req, res) => {
+  const item = await feedbackStore.dismiss(Number(req.params.id), req.admin);
+  if (!item) return res.status(404).json({ error: 'Feedback not found' });
+  res.json({ feedback: item });
+}));
+
+app.get('/admin/examples', requireAdmin, adminRoute(async (_req, res) => {
+  res.json({ index: exampleIndex.status(), examples: await feedbackStore.examples() });
+}));
+
+// GET /admin/examples/similar?q=... -> the examples a conversion of q would get in its prompt
+app.get('/admin/examples/similar', requireAdmin, (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) return res.status(400).json({ error: 'q is required' });
+  res.json({ query, examples: exampleIndex.similar(query) });
+});
+
+app.delete('/admin/examples/:id', requireAdmin, adminRoute(async (req, res) => {
+  const deleted = await feedbackStore.deleteExample(Number(req.params.id));
+  if (!deleted) return res.status(404).json({ error: 'Example not found' });
+  console.log(`🗑️ Example ${req.params.id} deleted by ${req.admin}`);
+  await exampleIndex.refresh();
+  res.json({ deleted: true });
+}));
+
+// ---------- admin: prompt templates ----------
+// every template version with its traffic share and outcome counts since startup
+app.get('/admin/prompts', requireAdmin, (_req, res) => {
+  res.json({ experiments: process.env.PROMPT_EXPERIMENTS || null, templates: prompts.describe() });
+});
+
+// DELETE /admin/cache            -> purge everything
+// DELETE /admin/cache?query=...  -> purge one query (normalized the same way as lookups)
+// `memory` counts this instance's entries; other instances drop theirs on their next purge sync
+app.delete('/admin/cache', requireAdmin, async (req, res) => {
+  const queryNorm = req.query.query ? normQuery(req.query.query) : null;
+  try {
+    const database = await purgeCachedConversions(queryNorm);
+    await recordCachePurge(queryNorm);
+    const memory = purgeMemoryCache(queryNorm);
+    console.log(`🧹 Cache purged by ${req.admin}${queryNorm ? ` for "${queryNorm}"` : ''}: ${memory} memory, ${database} db`);
+    res.json({ purged: { memory, database } });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Cache purge failed' });
+  }
+});
+
+// ---------- admin: licenses ----------
+function licenseView(row) {
+  return {
+    licenseKey: row.license_key,
+    email: row.email,
+    active: row.is_active,
+    flag: row.flag,
+    source: row.source,
+    note: row.note,
+    rateLimit: row.rate_limit,
+    seatLimit: row.seat_limit,
+    replacedBy: row.replaced_by,
+    stripe: {
+      sessionId: row.stripe_session_id,
+      paymentIntent: row.stripe_payment_intent,
+      customerId: row.stripe_customer_id,
+    },
+    createdAt: row.created_at,
+    deactivatedAt: row.deactivated_at,
+  };
+}
+
+// GET /admin/licenses?email=...&key=...
+app.get('/admin/licenses', requireAdmin, adminRoute(async (req, res) => {
+  const email = req.query.email ? String(req.query.email).toLowerCase() : null;
+  const key = req.query.key ? String(req.query.key).toUpperCase() : null;
+  if (!email && !key) return res.status(400).json({ error: 'email or key required' });
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const rows = await searchLicenses({ email, key, limit });
+  res.json({ licenses: rows.map(licenseView) });
+}));
+
+app.get('/admin/licenses/:key', requireAdmin, adminRoute(async (req, res) => {
+  const row = await getLicense(req.params.key);
+  if (!row) return res.status(404).json({ error: 'License not found' });
+  res.json({
+    license: licenseView(row),
+    devices: await getLicenseDevices(row.license_key),
+    audit: await getLicenseAudit(row.license_key),
+  });
+}));
+
+app.delete('/admin/licenses/:key/devices/:deviceId', requireAdmin, adminRoute(async (req, res) => {
+  if (!(await releaseLicenseDevice(req.params.key, req.params.deviceId))) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  await recordLicenseEvent(req.params.key, 'device_released', req.admin, { deviceId: req.params.deviceId });
+  res.json({ released: req.params.deviceId, devices: await getLicenseDevices(req.params.key) });
+}));
+
+app.get('/admin/licenses/:key/audit', requireAdmin, adminRoute(async (req, res) => {
+  const row = await getLicense(req.params.key);
+  if (!row) return res.status(404).json({ error: 'License not found' });
+  res.json({ licenseKey: row.license_key, audit: await getLicenseAudit(row.license_key) });
+}));
+
+// manual comp license: { email, note?, sendEmail? }
+app.post('/admin/licenses', requireAdmin, adminRoute(async (req, res) => {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  if (!email) return res.status(400).json({ error: 'email required' });
+  const license = await issueLicenseKey(async (key) =>
+    (await addLicense(key, email, {}, { source: 'comp', note: req.body?.note || null })) ? key : null
+  );
+  if (!license) return res.status(500).json({ error: 'Could not create license' });
+  await recordLicenseEvent(license, 'created', req.admin, { reason: 'comp', note: req.body?.note || null, email });
+  const emailed = req.body?.sendEmail ? await sendLicenseEmail(email, license) : false;
+  res.status(201).json({ license: licenseView(await getLicense(license)), emailed });
+}));
+
+app.post('/admin/licenses/:key/deactivate', requireAdmin, adminRoute(async (req, res) => {
+  const row = await setLicenseActive(req.params.key, false);
+  if (!row) return res.status(404).json({ error: 'License not found' });
+  await recordLicenseEvent(row.license_key, 'deactivated', req.admin, { reason: req.body?.reason || null });
+  res.json({ license: licenseView(row) });
+}));
+
+app.post('/admin/licenses/:key/reactivate', requireAdmin, adminRoute(async (req, res) => {
+  const existing = await getLicense(req.params.key);
+  if (!existing) return res.status(404).json({ error: 'License not found' });
+  if (existing.replaced_by) {
+    return res.status(409).json({ error: `License was reissued as ${existing.replaced_by}` });
+  }
+  const row = await setLicenseActive(existing.license_key, true);
+  await recordLicenseEvent(row.license_key, 'reactivated', req.admin, {
+    reason: req.body?.reason || null,
+    previousFlag: existing.flag,
+  });
+  res.json({ license: licenseView(row) });
+}));
+
+// retire a key and issue a replacement carrying over email, Stripe linkage and overrides
+app.post('/admin/licenses/:key/reissue', requireAdmin, adminRoute(async (req, res) => {
+  const reissued = await issueLicenseKey((key) => reissueLicense(req.params.key, key));
+  if (!reissued) return res.status(404).json({ error: 'License not found' });
+  if (reissued.conflict) return res.status(409).json({ error: reissued.conflict });
+  const row = reissued.license;
+  const newKey = row.license_key;
+  const reason = req.body?.reason || null;
+  await recordLicenseEvent(req.params.key, 'replaced', req.admin, { replacedBy: newKey, reason });
+  await recordLicenseEvent(newKey, 'reissued', req.admin, { replaces: req.params.key, reason });
+  const emailed = req.body?.sendEmail ? await sendLicenseEmail(row.email, newKey) : false;
+  res.json({ license: licenseView(row), replaced: req.params.key, emailed });
+}));
+
+// per-license overrides, each a non-negative integer or null (= server default):
+//   { rateLimit }  RATE_MAX_REQUESTS      { seatLimit }  DEVICE_SEAT_LIMIT
+const LICENSE_OVERRIDES = {
+  rateLimit: { column: 'rate_limit', action: 'rate_limit_changed', set: setLicenseRateLimit },
+  seatLimit: { column: 'seat_limit', action: 'seat_limit_changed', set: setLicenseSeatLimit },
+};
+
+app.patch('/admin/licenses/:key', requireAdmin, adminRoute(async (req, res) => {
+  const fields = Object.keys(LICENSE_OVERRIDES).filter((f) => req.body && f in req.body);
+  if (!fields.length) return res.status(400).json({ error: `one of ${Object.keys(LICENSE_OVERRIDES).join(', ')} required` });
+  const values = {};
+  for (const field of fields) {
+    const raw = req.body[field];
+    // a JSON number or a string of digits; Number('') and Number(false) would pass as 0
+    const valid = raw === null || (typeof raw === 'number' && Number.isInteger(raw) && raw >= 0) ||
+      (typeof raw === 'string' && /^\d+$/.test(raw.trim()));
+    if (!valid) return res.status(400).json({ error: `${field} must be a non-negative integer or null` });
+    values[field] = raw === null ? null : Number(raw);
+  }
+  const existing = await getLicense(req.params.key);
+  if (!existing) return res.status(404).json({ error: 'License not found' });
+  let row = existing;
+  for (const field of fields) {
+    const { column, action, set } = LICENSE_OVERRIDES[field];
+    row = await set(existing.license_key, values[field]);
+    await recordLicenseEvent(row.license_key, action, req.admin, { from: existing[column], to: values[field] });
+  }
+  res.json({ license: licenseView(row) });
+}));
+
 // health & root
 app.get('/health', async (_req, res) => {
   try {
@@ -626,7 +2017,11 @@ app.get('/health', async (_req, res) => {
       status: 'ok', 
       timestamp: new Date().toISOString(), 
       licenses: parseInt(result.rows[0].count),
-      database: 'connected'
+      database: 'connected',
+      providers: llm.describe(),
+      upstreams: getBreakerStates(),
+      cache: getCacheStats(),
+      catalogs: resolvers.status(),
     });
   } catch (error) {
     res.status(500).json({ status: 'error', error: error.message });
@@ -641,9 +2036,11 @@ const PORT = process.env.PORT || 3001;
 const server = app.listen(PORT, () => {
   console.log('✨ Scryfall NLP API v2.0');
   console.log(`📡 Port: ${PORT}`);
-  console.log(
-    `🤖 Provider: ${process.env.OPENAI_API_KEY ? 'OpenAI' : process.env.ANTHROPIC_API_KEY ? 'Anthropic' : 'NONE'}`
-  );
+  const providers = llm.describe();
+  console.log(`📧 Mail: ${mailer.transport}`);
+  console.log(`🤖 Providers: ${providers.length ? providers.join(' → ') : 'NONE (rule-based only)'}`);
+  const split = prompts.describe().find((p) => p.name === 'convert').versions.filter((v) => v.share > 0);
+  console.log(`📝 Prompt: ${split.map((v) => (v.share < 1 ? `${v.id} ${Math.round(v.share * 100)}%` : v.id)).join(' / ')}`);
 });
 
 ['SIGINT', 'SIGTERM'].forEach((sig) => {
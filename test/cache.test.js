@@ -0,0 +1,52 @@
+// test/cache.test.js — LRUCache eviction, TTLs and counters
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LRUCache } = require('../lib/cache');
+
+test('evicts the least recently used entry', () => {
+  const cache = new LRUCache({ max: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+  assert.equal(cache.stats.evictions, 1);
+});
+
+test('expires entries after their TTL', (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const cache = new LRUCache({ ttlMs: 1000 });
+  cache.set('default', 1);
+  cache.set('short', 2, 100);
+  now += 500;
+  assert.equal(cache.get('short'), undefined);
+  assert.equal(cache.get('default'), 1);
+  now += 500;
+  assert.equal(cache.get('default'), undefined);
+  assert.deepEqual(cache.stats, { hits: 1, misses: 2, sets: 2, evictions: 0 });
+});
+
+test('stores nothing for a TTL that has already run out', () => {
+  const cache = new LRUCache();
+  cache.set('a', 1);
+  cache.set('a', 2, 0);
+  cache.set('b', 3, -50);
+  assert.equal(cache.size, 0);
+});
+
+test('deleteWhere and prune remove matching and expired entries', (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const cache = new LRUCache({ ttlMs: 1000 });
+  cache.set('x', { queryNorm: 'blue dinosaurs' });
+  cache.set('y', { queryNorm: 'green bears' });
+  cache.set('z', { queryNorm: 'green bears' }, 10);
+  assert.equal(cache.deleteWhere((v) => v.queryNorm === 'blue dinosaurs'), 1);
+  now = 100;
+  cache.prune();
+  assert.deepEqual([...cache.map.keys()], ['y']);
+});
@@ -0,0 +1,165 @@
+// test/catalog.test.js — createCatalog against a stub fetch and a temporary file snapshot store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCatalog, createFileSnapshotStore } = require('../lib/catalog');
+
+const URL = 'https://api.scryfall.com/sets';
+const HOUR = 60 * 60 * 1000;
+const RETRY_MS = 5 * 60 * 1000; // CATALOG_RETRY_MS default
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createFileSnapshotStore(dir);
+}
+
+// replies are Response objects or functions of the request init; every request is recorded
+function stubFetch(...replies) {
+  const requests = [];
+  const fetchImpl = async (url, init = {}) => {
+    requests.push({ url, headers: init.headers || {} });
+    const reply = replies.length > 1 ? replies.shift() : replies[0];
+    if (reply instanceof Error) throw reply;
+    return typeof reply === 'function' ? reply(init) : reply.clone();
+  };
+  return { fetchImpl, requests };
+}
+
+const setsResponse = (codes, headers = { etag: '"v1"', 'last-modified': 'Mon, 01 Sep 2025 00:00:00 GMT' }) =>
+  Response.json({ data: codes.map((code) => ({ code })) }, { headers });
+
+function setsCatalog(overrides) {
+  return createCatalog({
+    name: 'scryfall-sets',
+    url: URL,
+    ttlMs: HOUR,
+    extract: (json) => json.data,
+    transform: (payload) => payload.map((s) => s.code),
+    ...overrides,
+  });
+}
+
+test('a cold start fetches live and saves a snapshot the next start uses', async (t) => {
+  const store = tempStore(t);
+  const { fetchImpl, requests } = stubFetch(setsResponse(['dmu', 'bro']));
+  const first = setsCatalog({ store, fetchImpl });
+  assert.deepEqual(await first.get(), ['dmu', 'bro']);
+  assert.equal(first.status().source, 'live');
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].headers, {}); // nothing to revalidate yet
+
+  const saved = await store.load('scryfall-sets');
+  assert.equal(saved.etag, '"v1"');
+  assert.deepEqual(saved.payload, [{ code: 'dmu' }, { code: 'bro' }]);
+
+  const restarted = setsCatalog({ store, fetchImpl });
+  assert.deepEqual(await restarted.get(), ['dmu', 'bro']);
+  assert.equal(restarted.status().source, 'snapshot');
+  assert.equal(restarted.status().stale, false);
+  assert.equal(requests.length, 1);
+});
+
+test('a stale snapshot is served at once while one conditional refresh runs', async (t) => {
+  const store = tempStore(t);
+  await store.save('scryfall-sets', {
+    payload: [{ code: 'dmu' }],
+    etag: '"v1"',
+    lastModified: 'Mon, 01 Sep 2025 00:00:00 GMT',
+    fetchedAt: new Date(Date.now() - 2 * HOUR).toISOString(),
+  });
+  const { fetchImpl, requests } = stubFetch(new Response(null, { status: 304 }));
+  const catalog = setsCatalog({ store, fetchImpl });
+
+  const results = await Promise.all([catalog.get(), catalog.get(), catalog.get()]);
+  for (const data of results) assert.deepEqual(data, ['dmu']);
+  assert.equal(catalog.status().refreshing, true);
+  await catalog.refresh(); // joins the background refresh
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].headers, {
+    'If-None-Match': '"v1"',
+    'If-Modified-Since': 'Mon, 01 Sep 2025 00:00:00 GMT',
+  });
+  // 304: same data, fresh again, and the stored snapshot's age is reset
+  assert.deepEqual(catalog.peek(), ['dmu']);
+  assert.equal(catalog.status().stale, false);
+  assert.ok(Date.now() - new Date((await store.load('scryfall-sets')).fetchedAt).getTime() < HOUR);
+});
+
+test('a changed list replaces the snapshot', async (t) => {
+  const store = tempStore(t);
+  await store.save('scryfall-sets', {
+    payload: [{ code: 'dmu' }],
+    etag: '"v1"',
+    fetchedAt: new Date(Date.now() - 2 * HOUR).toISOString(),
+  });
+  const { fetchImpl } = stubFetch(setsResponse(['dmu', 'fdn'], { etag: '"v2"' }));
+  const catalog = setsCatalog({ store, fetchImpl });
+  assert.deepEqual(await catalog.get(), ['dmu']);
+  await catalog.refresh();
+  assert.deepEqual(await catalog.get(), ['dmu', 'fdn']);
+  assert.equal(catalog.status().source, 'live');
+  assert.equal((await store.load('scryfall-sets')).etag, '"v2"');
+});
+
+test('with nothing loaded, a failed fetch fails fast until the retry delay passes', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { fetchImpl, requests } = stubFetch(
+    new Error('ECONNRESET'),
+    new Response('busy', { status: 503 }),
+    setsResponse(['dmu'])
+  );
+  const catalog = setsCatalog({ store: tempStore(t), fetchImpl });
+
+  await assert.rejects(catalog.get(), /ECONNRESET/);
+  await assert.rejects(catalog.get(), /ECONNRESET/); // no new request inside the delay
+  assert.equal(requests.length, 1);
+  assert.match(catalog.status().lastError.message, /ECONNRESET/);
+
+  now += RETRY_MS;
+  await assert.rejects(catalog.get(), /responded 503/);
+  assert.equal(requests.length, 2);
+
+  now += RETRY_MS;
+  assert.deepEqual(await catalog.get(), ['dmu']);
+  assert.equal(catalog.status().lastError, null);
+});
+
+test('a failed background refresh keeps serving the snapshot and waits before retrying', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = tempStore(t);
+  await store.save('scryfall-sets', { payload: [{ code: 'dmu' }], fetchedAt: new Date(Date.now() - 2 * HOUR).toISOString() });
+  const { fetchImpl, requests } = stubFetch(new Error('timeout'));
+  const catalog = setsCatalog({ store, fetchImpl });
+
+  assert.deepEqual(await catalog.get(), ['dmu']);
+  await catalog.refresh().catch(() => {});
+  assert.deepEqual(await catalog.get(), ['dmu']);
+  assert.equal(catalog.status().refreshing, false); // no second refresh inside the delay
+  assert.equal(requests.length, 1);
+  assert.equal(catalog.status().stale, true);
+});
+
+test('an unreadable store falls through to the live fetch', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = { name: 'broken', load: async () => { throw new Error('disk on fire'); }, save: async () => {} };
+  const { fetchImpl } = stubFetch(setsResponse(['dmu']));
+  const catalog = setsCatalog({ store, fetchImpl });
+  assert.deepEqual(await catalog.get(), ['dmu']);
+  assert.equal(catalog.status().source, 'live');
+});
+
+test('with `file` set the catalog reads only that file', async () => {
+  const { fetchImpl, requests } = stubFetch(new Error('must not fetch'));
+  const catalog = setsCatalog({ file: path.join(__dirname, '..', 'fixtures', 'scryfall', 'sets.json'), fetchImpl });
+  const codes = await catalog.get();
+  assert.equal(codes.length, 37);
+  assert.equal(catalog.status().source, 'file');
+  assert.equal(catalog.status().stale, false);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,24 @@
+// test/describe.test.js — plain-English descriptions of Scryfall clauses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeSyntax } = require('../lib/describe');
+
+// [syntax, clause descriptions]
+const CASES = [
+  ['t:creature c:u', ['is a creature', 'is blue']],
+  ['pow>=3', ['power 3 or more']],
+  ['usd<5', ['costs less than $5']],
+  ['cmc>2', ['mana value more than 2']],
+  // comparisons between two fields name both
+  ['pow>tou', ['power greater than its toughness']],
+  ['tou<=power', ['toughness at most its power']],
+];
+
+test('describeSyntax', async (t) => {
+  for (const [syntax, descriptions] of CASES) {
+    await t.test(syntax, () => {
+      assert.deepEqual(describeSyntax(syntax).clauses.map((c) => c.description), descriptions);
+    });
+  }
+});
@@ -0,0 +1,90 @@
+// test/examples.test.js — the similar-example index: scoring, dedupe and loaded pairs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExampleIndex } = require('../lib/examples');
+
+const CURATED = [
+  { query: 'red dragons', syntax: 't:creature t:dragon c:r' },
+  { query: 'dragons that are red', syntax: 't:creature t:dragon c:r' },
+  { query: 'green elves', syntax: 't:creature t:elf c:g' },
+  { query: 'cheap blue counterspells', syntax: 'function:counterspell c:u mv<=2' },
+  { query: 'broken example', syntax: 'foo:bar' },
+];
+
+function curatedFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'examples-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'examples.json');
+  fs.writeFileSync(file, JSON.stringify(CURATED));
+  return file;
+}
+
+const quietLogger = () => ({ warnings: [], warn(message) { this.warnings.push(message); } });
+
+test('refresh indexes the curated pairs and skips invalid syntax', async (t) => {
+  const logger = quietLogger();
+  const index = createExampleIndex({ file: curatedFile(t), logger });
+  assert.equal(await index.refresh(), 4);
+  assert.deepEqual(index.status(), { examples: 4, bySource: { curated: 4 }, k: 3, minScore: 0.3 });
+  assert.equal(logger.warnings.length, 1);
+  assert.match(logger.warnings[0], /broken example/);
+});
+
+test('similar ranks by overlap and keeps one pair per syntax', async (t) => {
+  const index = createExampleIndex({ file: curatedFile(t), logger: quietLogger() });
+  await index.refresh();
+  const cases = [
+    // query, expected syntaxes best first
+    ['red dragon', ['t:creature t:dragon c:r']],
+    ['green elf creatures', ['t:creature t:elf c:g']],
+    ['cheap counterspell', ['function:counterspell c:u mv<=2']],
+    ['lands that tap for mana', []],
+    ['the of a', []],
+  ];
+  for (const [query, expected] of cases) {
+    await t.test(query, () => {
+      const found = index.similar(query);
+      assert.deepEqual(found.map((e) => e.syntax), expected);
+      for (const e of found) assert.ok(e.score >= 0.3);
+    });
+  }
+});
+
+test('similar honours minScore, limit and k = 0', async (t) => {
+  const file = curatedFile(t);
+  const strict = createExampleIndex({ file, minScore: 0.99, logger: quietLogger() });
+  await strict.refresh();
+  assert.deepEqual(strict.similar('big red dragon'), []);
+  assert.equal(strict.similar('red dragon').length, 1);
+
+  const loose = createExampleIndex({ file, minScore: 0, logger: quietLogger() });
+  await loose.refresh();
+  assert.equal(loose.similar('red dragon', { limit: 1 }).length, 1);
+
+  const off = createExampleIndex({ file, k: 0, logger: quietLogger() });
+  await off.refresh();
+  assert.deepEqual(off.similar('red dragons'), []);
+});
+
+test('a loaded pair replaces the curated one for the same query', async (t) => {
+  const load = async () => [{ id: 7, source: 'feedback', query: 'Red  Dragons!', syntax: 't:creature t:dragon c:r is:legendary' }];
+  const index = createExampleIndex({ file: curatedFile(t), load, logger: quietLogger() });
+  assert.equal(await index.refresh(), 4);
+  assert.deepEqual(index.status().bySource, { curated: 3, feedback: 1 });
+  const [best] = index.similar('red dragons');
+  assert.equal(best.id, 'feedback:7');
+  assert.equal(best.syntax, 't:creature t:dragon c:r is:legendary');
+});
+
+test('a failing load keeps the curated pairs', async (t) => {
+  const logger = quietLogger();
+  const load = async () => { throw new Error('db down'); };
+  const index = createExampleIndex({ file: curatedFile(t), load, logger });
+  assert.equal(await index.refresh(), 4);
+  assert.match(logger.warnings.at(-1), /Could not load stored examples: db down/);
+  assert.equal(index.similar('red dragons')[0].source, 'curated');
+});
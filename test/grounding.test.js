@@ -0,0 +1,63 @@
+// test/grounding.test.js — validateAndRepair against the vocabulary built from Scryfall's catalogs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { VOCABULARY_CATALOGS, buildVocabulary, vocabularyHints } = require('../lib/grounding');
+const { validateAndRepair } = require('../lib/syntax');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'fixtures', 'scryfall', 'catalogs');
+
+function fixtureCatalogs() {
+  return Object.fromEntries(Object.keys(VOCABULARY_CATALOGS).map((name) => [
+    name,
+    JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, `${name}.json`), 'utf8')).data,
+  ]));
+}
+
+// [raw, repaired syntax, repair rules applied]
+const CASES = [
+  ['t:creature kw:landfall c:g', 't:creature kw:landfall c:g', []],
+  ['kw:magecraft', 'kw:magecraft', []],
+  ['t:creature kw:"pack tactics"', 't:creature kw:"pack tactics"', []],
+  ['t:token t:goblin', 't:creature t:token t:goblin', ['creature_type_needs_creature']],
+  ['t:emblem', 't:emblem', []],
+  ['kw:flyng', 'kw:flying', ['keyword_value']],
+  ['t:dinosuar', 't:creature t:dinosaur', ['type_value', 'creature_type_needs_creature']],
+  ['function:wipe', 'function:board-wipe', ['tag_value']],
+  ['kw:notathing t:elf', 't:creature t:elf', ['unknown_keyword', 'creature_type_needs_creature']],
+];
+
+test('validateAndRepair with the fixture catalogs', async (t) => {
+  const vocabulary = buildVocabulary(fixtureCatalogs());
+  for (const [raw, syntax, rules] of CASES) {
+    await t.test(raw, () => {
+      const result = validateAndRepair(raw, { vocabulary });
+      assert.equal(result.ok, true);
+      assert.equal(result.syntax, syntax);
+      assert.deepEqual(result.repairs.map((r) => r.rule), rules);
+    });
+  }
+});
+
+test('every catalog the vocabulary loads has a fixture', () => {
+  for (const name of Object.keys(VOCABULARY_CATALOGS)) {
+    assert.ok(fs.existsSync(path.join(CATALOG_DIR, `${name}.json`)), name);
+  }
+});
+
+test('ability words survive without any catalog loaded', () => {
+  const vocabulary = buildVocabulary();
+  assert.equal(validateAndRepair('t:creature kw:landfall c:g', { vocabulary }).syntax, 't:creature kw:landfall c:g');
+  assert.equal(validateAndRepair('kw:magecraft', { vocabulary }).syntax, 'kw:magecraft');
+});
+
+test('vocabularyHints points query words at catalog terms', () => {
+  const vocabulary = buildVocabulary(fixtureCatalogs());
+  assert.deepEqual(vocabularyHints(vocabulary, 'landfall creatures with flyng'), [
+    { text: 'landfall', clause: 'kw:landfall' },
+    { text: 'creatures', clause: 't:creature' },
+    { text: 'flyng', clause: 'kw:flying' },
+  ]);
+});
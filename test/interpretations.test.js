@@ -0,0 +1,70 @@
+// test/interpretations.test.js — parsing, set swaps and ranking of alternative readings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseAlternativesReply,
+  setSwapInterpretations,
+  rankInterpretations,
+  sameSyntax,
+} = require('../lib/interpretations');
+
+test('parseAlternativesReply reads confidence | label | syntax lines', () => {
+  const reply = [
+    '0.7 | Cheap by mana value | function:removal mv<=2',
+    '1. 30% | Cheap by price | function:removal usd<1',
+    'Here are some readings:',
+    '0.2 | Not a search | foo:bar',
+  ].join('\n');
+  assert.deepEqual(parseAlternativesReply(reply), [
+    { syntax: 'function:removal mv<=2', label: 'Cheap by mana value', confidence: 0.7 },
+    { syntax: 'function:removal usd<1', label: 'Cheap by price', confidence: 0.3 },
+  ]);
+});
+
+test('setSwapInterpretations re-targets the set clause at the other candidates', () => {
+  const candidates = [
+    { code: 'dom', name: 'dominaria', score: 100 },
+    { code: 'dmu', name: 'dominaria united', score: 60 },
+    { code: 'xyz', name: 'far off', score: 10 },
+  ];
+  assert.deepEqual(setSwapInterpretations('t:creature s:dom', candidates), {
+    primaryLabel: 'Dominaria (dom)',
+    primaryWeight: 0.625,
+    swaps: [{ syntax: 't:creature s:dmu', label: 'Dominaria United (dmu)', weight: 0.375 }],
+  });
+  // nothing to swap without exactly one set clause
+  assert.deepEqual(setSwapInterpretations('t:creature', candidates).swaps, []);
+  assert.deepEqual(setSwapInterpretations('s:dom OR s:dmu', candidates).swaps, []);
+});
+
+test('sameSyntax ignores case, quoting and the order of top-level terms', async (t) => {
+  const cases = [
+    ['t:goblin c:r', 'c:r t:goblin', true],
+    ['T:Goblin', 't:goblin', true],
+    ['o:"flying" t:bird', 't:bird o:flying', true],
+    ["o:'draw a card'", 'o:"draw a card"', true],
+    ['(t:elf OR t:goblin) c:g', 'c:g (t:elf OR t:goblin)', true],
+    ['t:goblin c:r', 't:goblin c:g', false],
+    ['t:goblin -c:r', '-t:goblin c:r', false],
+    ['o:"draw a card"', 'o:draw a card', false],
+    ['t:elf OR t:goblin c:g', 'c:g t:elf OR t:goblin', false],
+  ];
+  for (const [a, b, expected] of cases) {
+    await t.test(`${a} / ${b}`, () => assert.equal(sameSyntax(a, b), expected));
+  }
+});
+
+test('rankInterpretations dedupes, keeps the best confidence and normalizes', () => {
+  const ranked = rankInterpretations([
+    { syntax: 't:creature c:g', label: 'Best match', confidence: 0.6, source: 'primary' },
+    { syntax: 'T:Creature c:g', label: '', confidence: 0.8, source: 'llm' },
+    { syntax: 'c:g', label: 'Keyword match', confidence: 0.2, source: 'rules' },
+    { syntax: '', label: 'empty', confidence: 1, source: 'llm' },
+  ]);
+  assert.deepEqual(ranked, [
+    { syntax: 't:creature c:g', label: 'Best match', confidence: 0.8, source: 'primary' },
+    { syntax: 'c:g', label: 'Keyword match', confidence: 0.2, source: 'rules' },
+  ]);
+  assert.equal(rankInterpretations(ranked, 1).length, 1);
+});
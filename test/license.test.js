@@ -0,0 +1,47 @@
+// test/license.test.js — key generation, normalization and typo suggestions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateLicenseKey, parseLicenseKey, typoCandidates } = require('../lib/license');
+
+test('generated keys parse back to themselves', () => {
+  for (let i = 0; i < 20; i++) {
+    const key = generateLicenseKey();
+    assert.match(key, /^SCRY(-[0-9A-Z]{4}){4}$/);
+    assert.deepEqual(parseLicenseKey(key), { ok: true, key, legacy: false });
+  }
+});
+
+test('every accepted spelling of a key normalizes to the same key', () => {
+  const key = generateLicenseKey();
+  const body = key.slice(5).replace(/-/g, '');
+  const spellings = [
+    key.toLowerCase(),
+    `SCRY${body}`,
+    ` ${key.replace(/-/g, ' - ')} `,
+    key.replace(/1/g, 'l').replace(/0/g, 'O'),
+  ];
+  for (const spelling of spellings) assert.equal(parseLicenseKey(spelling).key, key, spelling);
+});
+
+// [input, reason]
+const REJECTED = [
+  ['', 'EMPTY'],
+  ['hello', 'FORMAT'],
+  ['SCRY-!!!!-0000-0000-0000', 'FORMAT'],
+];
+
+test('parseLicenseKey rejects what is not a key', () => {
+  for (const [input, reason] of REJECTED) assert.equal(parseLicenseKey(input).reason, reason, input);
+  assert.deepEqual(parseLicenseKey('test-1234-5678-abcd'), { ok: true, key: 'TEST-1234-5678-ABCD', legacy: true });
+});
+
+test('a one-character typo fails the check and is suggested back', () => {
+  const key = generateLicenseKey();
+  const chars = key.split('');
+  const i = 7;
+  chars[i] = chars[i] === 'A' ? 'B' : 'A';
+  const typo = chars.join('');
+  assert.equal(parseLicenseKey(typo).reason, 'TYPO');
+  assert.ok(typoCandidates(typo).includes(key));
+});
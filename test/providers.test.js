@@ -0,0 +1,47 @@
+// test/providers.test.js — the provider registry's failover chain, with mock providers
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider, createProviderRegistry, ProviderError } = require('../lib/providers');
+
+function registry(chain) {
+  return createProviderRegistry({
+    chain,
+    providers: {
+      down: createMockProvider({ name: 'down', fallback: { error: 'HTTP 503', status: 503 } }),
+      up: createMockProvider({ name: 'up', model: 'up-1', fallback: 't:creature' }),
+      spare: createMockProvider({ name: 'spare', fallback: 'c:u' }),
+    },
+  });
+}
+
+test('answers from the first provider in the chain', async () => {
+  const completion = await registry(['up', 'spare']).complete({ user: 'blue dinosaurs' });
+  assert.equal(completion.text, 't:creature');
+  assert.equal(completion.provider, 'up');
+  assert.deepEqual(completion.attempts.map((a) => [a.provider, a.ok]), [['up', true]]);
+});
+
+test('fails over in chain order and records every attempt', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const completion = await registry(['down', 'spare', 'up']).complete({ user: 'q' });
+  assert.equal(completion.provider, 'spare');
+  assert.deepEqual(completion.attempts.map((a) => [a.provider, a.ok]), [['down', false], ['spare', true]]);
+});
+
+test('only uses providers in the configured chain', async () => {
+  const llm = registry(['spare']);
+  assert.deepEqual(llm.configured().map((p) => p.name), ['spare']);
+  // a second argument naming another provider changes nothing
+  assert.equal((await llm.complete({ user: 'q' }, { preferred: 'up' })).provider, 'spare');
+});
+
+test('throws a ProviderError with the attempts when every provider fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  await assert.rejects(registry(['down']).complete({ user: 'q' }), (error) => {
+    assert.ok(error instanceof ProviderError);
+    assert.equal(error.attempts.length, 1);
+    return true;
+  });
+  await assert.rejects(registry([]).complete({ user: 'q' }), /No AI provider configured/);
+});
@@ -0,0 +1,48 @@
+// test/ratelimit.test.js — the sliding-window limiter over the memory store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createRateLimiter } = require('../lib/ratelimit');
+
+const WINDOW = 60_000;
+
+function clock(t, start) {
+  const c = { now: start };
+  t.mock.method(Date, 'now', () => c.now);
+  return c;
+}
+
+test('allows up to the limit and does not count rejected requests', async (t) => {
+  clock(t, 10 * WINDOW);
+  const limiter = createRateLimiter({ store: createMemoryStore(), windowMs: WINDOW, max: 3 });
+  const results = [];
+  for (let i = 0; i < 5; i++) results.push(await limiter.consume('license:A'));
+  assert.deepEqual(results.map((r) => r.allowed), [true, true, true, false, false]);
+  assert.deepEqual(results.map((r) => r.remaining), [2, 1, 0, 0, 0]);
+  assert.equal(results[0].resetAt, 11 * WINDOW);
+  // other keys have their own bucket; a per-call limit overrides max
+  assert.equal((await limiter.consume('license:B')).allowed, true);
+  assert.equal((await limiter.consume('license:A', 10)).allowed, true);
+});
+
+test('weights the previous window by how much of it still overlaps', async (t) => {
+  const c = clock(t, 10 * WINDOW);
+  const limiter = createRateLimiter({ store: createMemoryStore(), windowMs: WINDOW, max: 4 });
+  for (let i = 0; i < 4; i++) await limiter.consume('k');
+  // a quarter into the next window, 3/4 of the previous 4 still count
+  c.now = 11 * WINDOW + WINDOW / 4;
+  assert.equal((await limiter.consume('k')).allowed, true);
+  assert.equal((await limiter.consume('k')).allowed, false);
+  // two windows later nothing is left
+  c.now = 13 * WINDOW;
+  assert.equal((await limiter.consume('k')).remaining, 3);
+});
+
+test('falls back to memory when the store fails', async (t) => {
+  clock(t, 10 * WINDOW);
+  t.mock.method(console, 'error', () => {});
+  const broken = { name: 'broken', hit: async () => { throw new Error('db down'); }, undo: async () => {}, cleanup: async () => {} };
+  const limiter = createRateLimiter({ store: broken, windowMs: WINDOW, max: 1 });
+  assert.equal((await limiter.consume('k')).allowed, true);
+  assert.equal((await limiter.consume('k')).allowed, false);
+});
@@ -0,0 +1,31 @@
+// test/refine.test.js — refineWithRules() edits the user's search clause by clause
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { refineWithRules } = require('../lib/refine');
+
+// [search, instruction, edited search, ops]
+const CASES = [
+  ['t:creature c:g', 'drop the green', 't:creature', ['remove']],
+  ['t:creature c:g', 'now only commander legal', 't:creature c:g f:commander', ['add']],
+  // the user's own words are kept as written, not repaired like model output
+  ['lightning bolt', 'only commander legal', 'lightning bolt f:commander', ['add']],
+  ['dragon', 'now red', 'dragon c:r', ['add']],
+];
+
+test('refineWithRules', async (t) => {
+  for (const [syntax, instruction, expected, ops] of CASES) {
+    await t.test(`${syntax} + ${instruction}`, () => {
+      const result = refineWithRules(syntax, instruction);
+      assert.equal(result.syntax, expected);
+      assert.deepEqual(result.ops.map((o) => o.op), ops);
+      assert.equal(result.complete, true);
+    });
+  }
+});
+
+test('refineWithRules leaves instructions it does not understand to the model', () => {
+  const result = refineWithRules('t:creature', 'make it spicier');
+  assert.equal(result.complete, false);
+  assert.deepEqual(result.ops, []);
+});
@@ -0,0 +1,61 @@
+// test/resolvers.test.js — card mentions against fixtures/scryfall, with a slow /cards/named
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createResolvers } = require('../lib/resolvers');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'scryfall');
+const CARDS = require('../fixtures/scryfall/cards.json').data;
+
+// /cards/named from the fixture after `delayMs`; counts the requests per card
+function slowCards(delayMs) {
+  const requests = new Map();
+  const fetchImpl = async (url) => {
+    const name = new URL(url).searchParams.get('exact');
+    requests.set(name, (requests.get(name) || 0) + 1);
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const card = CARDS.find((c) => c.name === name);
+    return card ? Response.json(card) : new Response('{}', { status: 404 });
+  };
+  return { fetchImpl, requests };
+}
+
+function resolversWith(fetchImpl, cardFactsWaitMs) {
+  return createResolvers({
+    fetchImpl,
+    cardFactsWaitMs,
+    files: { sets: path.join(FIXTURES, 'sets.json'), cardNames: path.join(FIXTURES, 'card-names.json') },
+  });
+}
+
+test('card facts that arrive in time are included', async () => {
+  const { fetchImpl } = slowCards(5);
+  const resolvers = resolversWith(fetchImpl, 1000);
+  const [mention] = await resolvers.getCardMentionsFromQuery('cards like Lightning Bolt but in green');
+  assert.deepEqual(mention.names, ['Lightning Bolt']);
+  assert.equal(mention.facts.length, 1);
+  assert.equal(mention.facts[0].name, 'Lightning Bolt');
+});
+
+test('a slow lookup is cut off at the deadline and cached once it lands', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { fetchImpl, requests } = slowCards(150);
+  const resolvers = resolversWith(fetchImpl, 30);
+
+  const started = Date.now();
+  const [first] = await resolvers.getCardMentionsFromQuery('artifacts like Sol Ring');
+  assert.ok(Date.now() - started < 150, 'did not wait for the lookup');
+  assert.deepEqual(first.names, ['Sol Ring']);
+  assert.deepEqual(first.facts, []);
+  assert.match(warn.mock.calls[0].arguments[0], /"Sol Ring" still loading/);
+
+  // a second query while the first lookup is in flight shares it
+  await resolvers.getCardMentionsFromQuery('decks with Sol Ring');
+  assert.equal(requests.get('Sol Ring'), 1);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const [later] = await resolvers.getCardMentionsFromQuery('artifacts like Sol Ring');
+  assert.equal(later.facts[0].name, 'Sol Ring');
+  assert.equal(requests.get('Sol Ring'), 1);
+});
@@ -0,0 +1,50 @@
+// test/rules.test.js — convertWithRules() on queries the fast path answers (or must not)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertWithRules } = require('../lib/rules');
+
+// [query, syntax, complete]
+const CASES = [
+  ['blue dinosaurs', 't:creature t:dinosaur c:u', true],
+  ['white or blue angels', 't:creature t:angel (c:w OR c:u)', true],
+  ['cheap red removal', 'c:r function:removal mv<=3', true],
+  ['creatures with power 5 or more', 't:creature pow>=5', true],
+  ['creatures without flying', 't:creature -kw:flying', true],
+  ['non-creature artifacts', '-t:creature t:artifact', true],
+  ['3 mana or less green creatures', 't:creature c:g mv<=3', true],
+  // types joined by "or" are a disjunction, not a conjunction
+  ['instant or sorcery', 't:instant OR t:sorcery', true],
+  ['red instants or sorceries under 3 mana', '(t:instant OR t:sorcery) c:r mv<3', true],
+  ['artifacts, enchantments or lands', 't:artifact OR t:enchantment OR t:land', true],
+  // an "or" the rules can't place leaves the query to the model
+  ['green creatures or blue instants', 't:creature t:instant c:g c:u', false],
+  ['non-creature or land', '-t:creature t:land', false],
+  ['cards that make my opponents sad', '', false],
+  // a negated creature type keeps the implied t:creature
+  ['white creatures that are not humans', 't:creature -t:human c:w', true],
+  ['creatures that are not elves', 't:creature -t:elf', true],
+  ['not flyers', 't:creature -kw:flying', true],
+  // creature and card types joined by "and" are a disjunction too
+  ['goblins and elves', 't:creature (t:goblin OR t:elf)', true],
+  ['dogs and cats', 't:creature (t:dog OR t:cat)', true],
+  ['dogs, cats, and birds', 't:creature (t:dog OR t:cat OR t:bird)', true],
+  ['instants and sorceries', 't:instant OR t:sorcery', true],
+  ['elves with flying and trample', 't:creature t:elf kw:flying kw:trample', true],
+  // ...unless the rules can't group them
+  ['goblins and artifacts', 't:creature t:artifact t:goblin', false],
+];
+
+test('convertWithRules', async (t) => {
+  for (const [query, syntax, complete] of CASES) {
+    await t.test(query, () => {
+      const result = convertWithRules(query);
+      assert.equal(result.syntax, syntax);
+      assert.equal(result.complete, complete);
+    });
+  }
+});
+
+test('convertWithRules uses an explicit set code', () => {
+  assert.equal(convertWithRules('dragons (dmu)', { explicitCode: 'DMU' }).syntax, 't:creature t:dragon s:dmu');
+});
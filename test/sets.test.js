@@ -0,0 +1,55 @@
+// test/sets.test.js — set name matching and set/date phrases against the fixture catalog
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSetCatalog, findSetCandidates, resolveSetFilters, editDistance } = require('../lib/sets');
+
+const catalog = buildSetCatalog(require('../fixtures/scryfall/sets.json').data);
+
+// [query, best candidate, its score]
+const CANDIDATES = [
+  ['legendary elves from Dominaria', 'dom', 100],
+  ['squirrels from bloomburrow', 'blb', 100],
+  ['lotr rings', 'ltr', 100],
+  ['modern horizons 2 goblins', 'mh2', 100],
+  ['cards from khans of tarkir', 'ktk', 100],
+  ['dominaria untied dragons', 'dmu', 90],
+];
+
+test('findSetCandidates ranks the named set first', async (t) => {
+  for (const [query, code, score] of CANDIDATES) {
+    await t.test(query, () => {
+      const [best] = findSetCandidates(catalog, query);
+      assert.equal(best.code, code);
+      assert.equal(best.score, score);
+    });
+  }
+});
+
+test('findSetCandidates finds no strong match where no set is named', () => {
+  assert.ok(findSetCandidates(catalog, 'red dragons').every((c) => c.score < 80));
+});
+
+// [query, clauses]
+const FILTERS = [
+  ['latest set dragons', ['s:tdm']],
+  ['sets from 2019', ['year=2019']],
+  ['last 3 sets', ['(s:tdm OR s:dft OR s:fdn)']],
+  ['tarkir block warriors', ['b:ktk']],
+  ['any masters set', ['st:masters']],
+  ['blue dinosaurs', []],
+];
+
+test('resolveSetFilters', async (t) => {
+  const today = new Date('2025-06-01');
+  for (const [query, clauses] of FILTERS) {
+    await t.test(query, () => {
+      assert.deepEqual(resolveSetFilters(catalog, query, { today }).map((f) => f.clause), clauses);
+    });
+  }
+});
+
+test('editDistance', () => {
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('mh2', 'mh2'), 0);
+});
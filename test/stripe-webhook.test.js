@@ -0,0 +1,121 @@
+// test/stripe-webhook.test.js — the webhook route driven with locally signed fixture events
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const stripe = require('stripe')('sk_test_fixture');
+const { createStripeWebhook } = require('../lib/stripe-webhook');
+
+const SECRET = 'whsec_test_fixture';
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'stripe');
+const quiet = { log() {}, error() {} };
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8');
+const sign = (payload, secret = SECRET) => stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+// stripe_events in memory: claim, finish and release as in createStripeEventStore (no stale-claim timeout)
+function memoryEvents() {
+  const rows = new Map();
+  return {
+    rows,
+    async claim(eventId, type) {
+      if (rows.has(eventId)) return false;
+      rows.set(eventId, { type, outcome: null });
+      return true;
+    },
+    async finish(eventId, outcome) { rows.get(eventId).outcome = outcome; },
+    async release(eventId) { if (rows.get(eventId)?.outcome === null) rows.delete(eventId); },
+  };
+}
+
+async function startWebhook(t, { handlers, events = memoryEvents(), secret = SECRET }) {
+  const app = express();
+  app.post('/stripe/webhook', express.raw({ type: 'application/json' }),
+    createStripeWebhook({ stripe, secret, handlers, events, logger: quiet }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/stripe/webhook`;
+  const post = async (payload, signature = sign(payload)) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature) headers['Stripe-Signature'] = signature;
+    const resp = await fetch(url, { method: 'POST', headers, body: payload });
+    const text = await resp.text();
+    return { status: resp.status, body: resp.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+  };
+  return { post, events };
+}
+
+test('each signed fixture reaches its handler once', async (t) => {
+  const seen = [];
+  const handlers = Object.fromEntries(
+    ['checkout.session.completed', 'checkout.session.expired', 'charge.refunded', 'charge.dispute.created']
+      .map((type) => [type, async (object) => { seen.push([type, object.id]); return `handled ${object.id}`; }])
+  );
+  const { post, events } = await startWebhook(t, { handlers });
+  const cases = [
+    ['checkout.session.completed', 'cs_test_fixture_001'],
+    ['checkout.session.expired', 'cs_test_fixture_002'],
+    ['charge.refunded', 'ch_fixture_001'],
+    ['charge.dispute.created', 'dp_fixture_001'],
+  ];
+  for (const [name, objectId] of cases) {
+    await t.test(name, async () => {
+      const payload = fixture(name);
+      assert.deepEqual((await post(payload)).body, { received: true });
+      assert.deepEqual((await post(payload)).body, { received: true, duplicate: true });
+      assert.deepEqual(seen.filter(([type]) => type === name), [[name, objectId]]);
+      assert.equal(events.rows.get(JSON.parse(payload).id).outcome, `handled ${objectId}`);
+    });
+  }
+});
+
+test('unsigned and mis-signed payloads are rejected before any handler runs', async (t) => {
+  let calls = 0;
+  const { post, events } = await startWebhook(t, {
+    handlers: { 'charge.refunded': async () => { calls++; return 'ok'; } },
+  });
+  const payload = fixture('charge.refunded');
+  assert.equal((await post(payload, null)).status, 400);
+  assert.equal((await post(payload, sign(payload, 'whsec_wrong'))).status, 400);
+  assert.equal((await post(payload.replace('"amount_refunded": 499', '"amount_refunded": 1'), sign(payload))).status, 400);
+  assert.equal(calls, 0);
+  assert.equal(events.rows.size, 0);
+});
+
+test('a failed handler releases its claim so the retry runs', async (t) => {
+  let attempts = 0;
+  const { post } = await startWebhook(t, {
+    handlers: {
+      'charge.refunded': async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('db down');
+        return 'deactivated';
+      },
+    },
+  });
+  const payload = fixture('charge.refunded');
+  assert.equal((await post(payload)).status, 500);
+  assert.deepEqual((await post(payload)).body, { received: true });
+  assert.equal(attempts, 2);
+});
+
+test('unhandled event types are acknowledged, and a missing secret is a 500', async (t) => {
+  const { post } = await startWebhook(t, { handlers: {} });
+  assert.deepEqual((await post(fixture('charge.refunded'))).body, { received: true, ignored: true });
+
+  const unconfigured = await startWebhook(t, { handlers: {}, secret: '' });
+  assert.equal((await unconfigured.post(fixture('charge.refunded'))).status, 500);
+});
+
+test('event store bookkeeping failures are a 500 without running the handler', async (t) => {
+  let calls = 0;
+  const events = { ...memoryEvents(), claim: async () => { throw new Error('db down'); } };
+  const { post } = await startWebhook(t, {
+    handlers: { 'charge.refunded': async () => { calls++; return 'ok'; } },
+    events,
+  });
+  assert.equal((await post(fixture('charge.refunded'))).status, 500);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,59 @@
+// test/syntax.test.js — validateAndRepair() on typical model output (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAndRepair, parseQuery, formatQuery } = require('../lib/syntax');
+
+// [model output, repaired syntax, repair rules applied]
+const REPAIRS = [
+  ['t:creature c:u', 't:creature c:u', []],
+  ['Here is the syntax: t:creature c:u', 't:creature c:u', ['strip_prose']],
+  ['type:instant color:r', 't:instant c:r', []],
+  ['t:flying', 'kw:flying', ['keyword_as_type']],
+  ['pow:2-5', 'pow>=2 pow<=5', ['numeric_range']],
+  ['mv<=$3', 'mv<=3', ['numeric_value']],
+  ['f:edh', 'f:commander', ['format_value']],
+  ['t:creature (c:w OR c:u', 't:creature (c:w OR c:u)', ['unbalanced_parens']],
+  ['o:"draw a card', 'o:"draw a card"', ['unterminated_quote']],
+  ['t:creature t:creature', 't:creature', ['duplicate_clause']],
+  ['flying dragons', 't:creature kw:flying t:dragon', ['bare_keyword', 'bare_type', 'creature_type_needs_creature']],
+  // only a required creature type implies t:creature
+  ['t:elf c:g', 't:creature t:elf c:g', ['creature_type_needs_creature']],
+  ['c:g -t:elf', 'c:g -t:elf', []],
+  ['t:elf OR t:equipment', 't:elf OR t:equipment', []],
+  ['(t:elf OR t:goblin) c:g', '(t:elf OR t:goblin) c:g', []],
+];
+
+test('validateAndRepair repairs model output', async (t) => {
+  for (const [raw, syntax, rules] of REPAIRS) {
+    await t.test(raw, () => {
+      const result = validateAndRepair(raw);
+      assert.equal(result.ok, true);
+      assert.equal(result.syntax, syntax);
+      assert.deepEqual(result.repairs.map((r) => r.rule), rules);
+    });
+  }
+});
+
+// [model output, error code]
+const ERRORS = [
+  ['', 'EMPTY_OUTPUT'],
+  ['foo:bar', 'UNKNOWN_OPERATOR'],
+  ['r:x', 'INVALID_VALUE'],
+];
+
+test('validateAndRepair rejects what it cannot repair', async (t) => {
+  for (const [raw, code] of ERRORS) {
+    await t.test(raw || '(empty)', () => {
+      const result = validateAndRepair(raw);
+      assert.equal(result.ok, false);
+      assert.equal(result.errors[0].code, code);
+    });
+  }
+});
+
+test('formatQuery round-trips parseQuery', () => {
+  for (const syntax of ['t:creature c:u', '(c:w OR c:u) -t:human', 'o:"draw a card" mv<=3', '!"Lightning Bolt"']) {
+    assert.equal(formatQuery(parseQuery(syntax)), syntax);
+  }
+});
@@ -0,0 +1,139 @@
+// test/upstream.test.js — deadlines (headers and body), retries and the circuit breaker
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { CircuitBreaker, getBreaker, upstreamFetch } = require('../lib/upstream');
+
+let upstreams = 0;
+const uniqueName = () => `test-upstream-${++upstreams}`;
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+// a local server; `handler(req, res, hit)` with hit counting from 1
+async function serve(t, handler) {
+  let hits = 0;
+  const sockets = new Set();
+  const server = http.createServer((req, res) => handler(req, res, ++hits));
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}/`, hits: () => hits };
+}
+
+test('CircuitBreaker: closed -> open -> half_open with a single probe', async (t) => {
+  quiet(t);
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const breaker = new CircuitBreaker('b', { threshold: 2, resetMs: 1000 });
+
+  const steps = [
+    // [action, expected state after, allow() result where the action is 'allow']
+    ['failure', 'closed'],
+    ['failure', 'open'],
+    ['allow', 'open', false],
+    ['wait', 'open'],
+    ['allow', 'half_open', true],
+    ['allow', 'half_open', false], // only one probe at a time
+    ['failure', 'open'], // a failed probe reopens at once
+    ['allow', 'open', false],
+    ['wait', 'open'],
+    ['allow', 'half_open', true],
+    ['success', 'closed'],
+    ['allow', 'closed', true],
+    ['failure', 'closed'], // the count restarted on success
+  ];
+  for (const [i, [action, state, allowed]] of steps.entries()) {
+    await t.test(`${i + 1}. ${action}`, () => {
+      if (action === 'wait') now += 1000;
+      else if (action === 'allow') assert.equal(breaker.allow(), allowed);
+      else breaker[action](new Error('boom'));
+      assert.equal(breaker.state, state);
+    });
+  }
+  assert.equal(breaker.snapshot().rejected, 3);
+});
+
+test('an open circuit rejects without calling the upstream', async (t) => {
+  quiet(t);
+  const name = uniqueName();
+  getBreaker(name, { threshold: 1, resetMs: 60_000 });
+  let calls = 0;
+  const fetchImpl = async () => { calls++; throw new Error('ECONNREFUSED'); };
+  await assert.rejects(upstreamFetch('http://x.test/', {}, { name, retries: 0, fetchImpl }), { code: 'NETWORK' });
+  await assert.rejects(upstreamFetch('http://x.test/', {}, { name, retries: 0, fetchImpl }), { code: 'CIRCUIT_OPEN' });
+  assert.equal(calls, 1);
+});
+
+test('retryable statuses are retried, honouring Retry-After', async (t) => {
+  quiet(t);
+  const upstream = await serve(t, (req, res, hit) => {
+    if (hit === 1) {
+      res.writeHead(503, { 'Retry-After': '1' });
+      return res.end('busy');
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+  const started = Date.now();
+  const resp = await upstreamFetch(upstream.url, {}, { name: uniqueName(), retries: 1, baseDelayMs: 0 });
+  assert.deepEqual(await resp.json(), { ok: true });
+  assert.equal(upstream.hits(), 2);
+  assert.ok(Date.now() - started >= 900, 'waited for Retry-After');
+});
+
+test('Retry-After is capped at maxDelayMs, and the last failure is returned', async (t) => {
+  quiet(t);
+  const upstream = await serve(t, (req, res) => {
+    res.writeHead(429, { 'Retry-After': '120' });
+    res.end('slow down');
+  });
+  const started = Date.now();
+  const resp = await upstreamFetch(upstream.url, {}, { name: uniqueName(), retries: 2, maxDelayMs: 20 });
+  assert.equal(resp.status, 429);
+  assert.equal(await resp.text(), 'slow down');
+  assert.equal(upstream.hits(), 3);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('headers that never come time out', async (t) => {
+  quiet(t);
+  const upstream = await serve(t, () => {}); // never answers
+  await assert.rejects(
+    upstreamFetch(upstream.url, {}, { name: uniqueName(), retries: 0, timeoutMs: 100 }),
+    { name: 'UpstreamError', code: 'TIMEOUT' }
+  );
+});
+
+test('a body that stalls after the headers times out too', async (t) => {
+  quiet(t);
+  const upstream = await serve(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"data": ['); // ...and nothing more
+  });
+  const name = uniqueName();
+  const resp = await upstreamFetch(upstream.url, {}, { name, retries: 0, timeoutMs: 150 });
+  assert.equal(resp.status, 200);
+  await assert.rejects(resp.json(), { name: 'UpstreamError', code: 'TIMEOUT' });
+  assert.equal(getBreaker(name).snapshot().consecutiveFailures, 1);
+});
+
+test('a body read within the deadline is unaffected', async (t) => {
+  quiet(t);
+  const upstream = await serve(t, (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.write('hello ');
+    setTimeout(() => res.end('world'), 30);
+  });
+  const resp = await upstreamFetch(upstream.url, {}, { name: uniqueName(), retries: 0, timeoutMs: 1000 });
+  assert.equal(await resp.text(), 'hello world');
+});